@@ -0,0 +1,92 @@
+/**
+ * Abilities module defining the special actions units can take instead of a plain attack
+ *
+ * Abilities are described by data only, the targeting rules live in mapState.js and
+ * the effects are resolved in combat.js. Which unit type has which ability is set in unit.js.
+ */
+import { StatusEffectType } from './statusEffects.js';
+
+// Define the abilities
+export const AbilityType = {
+    CHARGE: 'charge',
+    VOLLEY: 'volley',
+    FIREBALL: 'fireball',
+    DEFENSIVE_STANCE: 'defensiveStance'
+};
+
+// Define what an ability is aimed at
+export const AbilityTarget = {
+    SELF: 'self',
+    ENEMY: 'enemy',
+    HEX: 'hex'
+};
+
+/**
+ * @typedef {Object} AbilityDefinition
+ * @property {string} name - Display name
+ * @property {string} description - Short explanation shown in the action bar
+ * @property {string} target - What the ability is aimed at, from AbilityTarget
+ * @property {number} cooldown - Own turns before the ability can be used again
+ * @property {number|null} [range] - Range in hexes, the unit's attack range if null
+ * @property {number} [damageBonus] - Added to the unit's attack for each unit hit
+ * @property {number} [radius] - Hexes around the target hex that are hit as well
+ * @property {boolean} [requiresMove] - Whether the unit has to have moved this turn
+ * @property {boolean} [ignoresLineOfSight] - Whether terrain and units in between don't block it
+ * @property {boolean} [endsTurn] - Whether the unit can't move anymore afterwards
+ * @property {Array<{type: string, duration: number}>} [effects] - Status effects applied to each unit hit
+ * @property {Array<{type: string, duration: number}>} [selfEffects] - Status effects applied to the unit itself
+ */
+
+/** @type {Object<string, AbilityDefinition>} */
+export const abilityDefinitions = {
+    [AbilityType.CHARGE]: {
+        name: 'Charge',
+        description: 'Attack an adjacent enemy after moving, +3 damage and stuns it for a turn',
+        target: AbilityTarget.ENEMY,
+        cooldown: 3,
+        range: 1,
+        damageBonus: 3,
+        requiresMove: true,
+        effects: [{ type: StatusEffectType.STUN, duration: 1 }]
+    },
+    [AbilityType.VOLLEY]: {
+        name: 'Volley',
+        description: 'Shoot poisoned arrows over terrain and units, -1 damage',
+        target: AbilityTarget.ENEMY,
+        cooldown: 3,
+        range: null,
+        damageBonus: -1,
+        ignoresLineOfSight: true,
+        effects: [{ type: StatusEffectType.POISON, duration: 2 }]
+    },
+    [AbilityType.FIREBALL]: {
+        name: 'Fireball',
+        description: 'Hit the enemies on a hex and its neighbors, -2 damage and slows them for a turn',
+        target: AbilityTarget.HEX,
+        cooldown: 3,
+        range: null,
+        damageBonus: -2,
+        radius: 1,
+        effects: [{ type: StatusEffectType.SLOW, duration: 1 }]
+    },
+    [AbilityType.DEFENSIVE_STANCE]: {
+        name: 'Defensive Stance',
+        description: 'Halve the damage taken until the next turn and regenerate, ends the unit\'s turn',
+        target: AbilityTarget.SELF,
+        cooldown: 2,
+        endsTurn: true,
+        selfEffects: [
+            { type: StatusEffectType.SHIELD, duration: 1 },
+            { type: StatusEffectType.REGENERATION, duration: 2 }
+        ]
+    }
+};
+
+/**
+ * Get ability definition by type
+ * @param {string} ability - Ability type from AbilityType
+ * @returns {AbilityDefinition|null} Ability definition, null for unknown types
+ */
+export function getAbilityDefinition(ability) {
+    return abilityDefinitions[ability] ?? null;
+}
@@ -0,0 +1,92 @@
+/**
+ * Action bar module showing the abilities of the selected unit
+ */
+import { appState, getCell, selectAbility, canUseAbility } from './state.js';
+import { executeAbility } from './commands.js';
+import { AbilityTarget, getAbilityDefinition } from './abilities.js';
+import { editorState } from './editor.js';
+import { createButton } from './ui.js';
+
+/**
+ * Create the action bar at the bottom of the screen
+ * @param {HTMLElement} container - Container element for the bar
+ * @param {Function} renderFn - Render function to call on updates
+ * @returns {() => void} Refreshes the bar from the selected unit, call it after every render
+ */
+export function createActionBar(container, renderFn) {
+    const bar = document.createElement('div');
+    bar.id = 'action-bar';
+    bar.style.position = 'fixed';
+    bar.style.bottom = '20px';
+    bar.style.left = '50%';
+    bar.style.transform = 'translateX(-50%)';
+    bar.style.display = 'none';
+    bar.style.gap = '8px';
+    container.appendChild(bar);
+
+    // Rendering happens on every animation frame, the buttons are only rebuilt when they change
+    let shownState = '';
+
+    return function updateActionBar() {
+        const unit = appState.selectedUnit;
+        const visible = !!unit
+            && unit.abilities.length > 0
+            && unit.owner === appState.currentTurn
+            && appState.isHumanTurn
+            && !appState.gameOver
+            && !editorState.enabled;
+
+        const state = visible
+            ? JSON.stringify([unit.abilities, unit.cooldowns, unit.hasAttacked, unit.movementRemaining, appState.activeAbility])
+            : '';
+        if (state === shownState) return;
+        shownState = state;
+
+        bar.replaceChildren();
+        bar.style.display = visible ? 'flex' : 'none';
+        if (!visible) return;
+
+        for (const ability of unit.abilities) {
+            bar.appendChild(createAbilityButton(unit, ability, renderFn));
+        }
+    };
+}
+
+/**
+ * Create the button of one ability
+ * Abilities aimed at the unit itself are used right away, the others are aimed on the map
+ * @param {import('./unit.js').Unit} unit - Selected unit
+ * @param {string} ability - Ability type from AbilityType
+ * @param {Function} renderFn - Render function to call on updates
+ * @returns {HTMLButtonElement} Button element
+ */
+function createAbilityButton(unit, ability, renderFn) {
+    const definition = getAbilityDefinition(ability);
+    const cooldown = unit.getCooldown(ability);
+    const usable = canUseAbility(unit, ability);
+    const aiming = appState.activeAbility === ability;
+
+    const button = createButton(cooldown > 0 ? `${definition.name} (${cooldown})` : definition.name, () => {
+        if (!usable) return;
+
+        if (definition.target === AbilityTarget.SELF) {
+            executeAbility(unit, ability, getCell(unit.position.row, unit.position.col));
+        } else {
+            // Clicking the ability being aimed again puts it away
+            selectAbility(aiming ? null : ability);
+        }
+        renderFn();
+    });
+
+    button.title = cooldown > 0
+        ? `${definition.description}. Ready in ${cooldown} turn${cooldown === 1 ? '' : 's'}`
+        : definition.description;
+    if (!usable) {
+        button.style.opacity = '0.5';
+        button.style.cursor = 'default';
+    }
+    if (aiming) {
+        button.style.outline = '2px solid #B388FF';
+    }
+    return button;
+}
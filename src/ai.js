@@ -0,0 +1,348 @@
+/**
+ * AI module for computer controlled units
+ *
+ * Planning is a pure function of the game state: planUnitTurn only reads the map
+ * and returns the actions a unit wants to take. planTurn plans a whole turn unit by unit,
+ * Game.playAITurn applies its actions at once and aiRunner.js plays them out in the browser.
+ * The AI plays by the fog of war rules and only knows about enemies its units see.
+ */
+import { config } from './config.js';
+import {
+    mapState,
+    getCell,
+    getReachableCells,
+    getHexDistance,
+    getCellMovementCost,
+    runDijkstra,
+    getAbilityTargets
+} from './mapState.js';
+import { IMPASSABLE } from './terrain.js';
+import { resolveAttack, getAbilityDamage, getAbilityVictims } from './combat.js';
+import { AbilityTarget, getAbilityDefinition } from './abilities.js';
+import { getStatusEffectDefinition } from './statusEffects.js';
+import { RandomStream, random as seededRandom } from './random.js';
+import { getVisibleCells, isUnitVisibleTo, unitSeesCell, findLineBlocker } from './visibility.js';
+
+/**
+ * @typedef {import('./unit.js').Unit} Unit
+ * @typedef {import('./mapState.js').Cell} Cell
+ */
+
+/**
+ * @typedef {{type: 'move', unit: Unit, row: number, col: number}
+ *   | {type: 'attack', unit: Unit, target: Unit}
+ *   | {type: 'ability', unit: Unit, ability: string, row: number, col: number}} AIAction
+ */
+
+// Define difficulty levels
+export const AIDifficulty = {
+    EASY: 'easy',
+    NORMAL: 'normal',
+    HARD: 'hard'
+};
+
+/**
+ * @typedef {Object} DifficultySettings
+ * @property {number} noise - Random score added to each option, makes play sloppier
+ * @property {number} threatWeight - How much the AI avoids cells enemies can hit
+ * @property {number} targetThreatWeight - How much the AI prefers dangerous targets
+ * @property {number} killBonus - Extra score for attacks that kill
+ * @property {number} retreatBelow - Health fraction under which units fall back
+ * @property {boolean} keepDistance - Whether ranged units avoid standing next to enemies
+ */
+
+/** @type {Object<string, DifficultySettings>} */
+const difficultySettings = {
+    [AIDifficulty.EASY]: {
+        noise: 4,
+        threatWeight: 0,
+        targetThreatWeight: 0,
+        killBonus: 2,
+        retreatBelow: 0,
+        keepDistance: false
+    },
+    [AIDifficulty.NORMAL]: {
+        noise: 0.5,
+        threatWeight: 0.5,
+        targetThreatWeight: 0.5,
+        killBonus: 5,
+        retreatBelow: 0.25,
+        keepDistance: true
+    },
+    [AIDifficulty.HARD]: {
+        noise: 0,
+        threatWeight: 1,
+        targetThreatWeight: 1,
+        killBonus: 10,
+        retreatBelow: 0.35,
+        keepDistance: true
+    }
+};
+
+/**
+ * Get all living enemies of a unit its side can see
+ * @param {Unit} unit
+ * @returns {Array<Unit>}
+ */
+function getEnemies(unit) {
+    return mapState.units.filter(other => other.owner !== unit.owner && isUnitVisibleTo(unit.owner, other));
+}
+
+/**
+ * Check whether a target stays in sight once a unit has moved to a cell
+ * @param {Unit} unit - Moving unit
+ * @param {Cell} cell - Cell the unit would move to
+ * @param {Unit} target
+ * @returns {boolean}
+ */
+function isTargetVisibleFrom(unit, cell, target) {
+    const targetCell = getCell(target.position.row, target.position.col);
+    return unitSeesCell(unit, targetCell, cell) || mapState.units.some(other =>
+        other !== unit && other.owner === unit.owner && unitSeesCell(other, targetCell));
+}
+
+/**
+ * Get the hexes a unit should head for: its visible enemies or, with none in sight, the hexes out of sight
+ * @param {Unit} unit
+ * @param {Array<Unit>} enemies - Visible enemies
+ * @returns {Array<Cell>}
+ */
+function getGoalCells(unit, enemies) {
+    if (enemies.length > 0) {
+        return enemies.map(enemy => getCell(enemy.position.row, enemy.position.col));
+    }
+
+    const visible = getVisibleCells(unit.owner);
+    return mapState.cells.flat().filter(cell => cell.isVisible && !visible.has(`${cell.rowIndex},${cell.cellIndex}`));
+}
+
+/**
+ * Distance in hexes between a cell and a unit
+ * @param {Cell} cell
+ * @param {Unit} unit
+ * @returns {number}
+ */
+function distanceToUnit(cell, unit) {
+    return getHexDistance(cell.rowIndex, cell.cellIndex, unit.position.row, unit.position.col);
+}
+
+/**
+ * Score how attractive attacking a target is
+ * @param {Unit} unit - Attacking unit
+ * @param {Unit} target - Potential target
+ * @param {DifficultySettings} settings
+ * @param {number} dealt - Damage the target would take
+ * @returns {number}
+ */
+function scoreTarget(unit, target, settings, dealt) {
+    const damage = Math.min(dealt, target.health);
+    const kills = dealt >= target.health;
+    return damage / target.maxHealth * 10
+        + (kills ? settings.killBonus : 0)
+        + target.getAttack() * settings.targetThreatWeight;
+}
+
+/**
+ * Find the most valuable ability a unit could use from a cell
+ * @param {Unit} unit - Unit using the ability
+ * @param {Cell} cell - Cell the unit would use it from
+ * @param {Array<Unit>} enemies - Visible enemies
+ * @param {number} danger - How dangerous standing on the cell is
+ * @param {DifficultySettings} settings
+ * @returns {{ability: string, cell: Cell, value: number}|null} Best ability and its target cell, null if none is worth it
+ */
+function findBestAbility(unit, cell, enemies, danger, settings) {
+    let best = null;
+    for (const ability of unit.abilities) {
+        const definition = getAbilityDefinition(ability);
+        const damage = getAbilityDamage(unit, ability);
+
+        for (const targetCell of getAbilityTargets(unit, ability, cell)) {
+            let value;
+            if (definition.target === AbilityTarget.SELF) {
+                // Protecting the unit is worth part of the danger it avoids, next to a doubled attack score
+                const protection = (definition.selfEffects ?? []).reduce((sum, { type }) =>
+                    sum + 1 - (getStatusEffectDefinition(type)?.modifiers?.damageTaken ?? 1), 0);
+                value = danger * settings.threatWeight * protection / 2;
+            } else {
+                if (definition.target === AbilityTarget.ENEMY && config.fogOfWar
+                    && !isTargetVisibleFrom(unit, cell, targetCell.unit)) continue;
+
+                // Only enemies the AI knows about count, hidden ones may or may not be hit
+                const victims = getAbilityVictims(unit, ability, targetCell).filter(victim => enemies.includes(victim));
+                // Each turn of a lasting effect on a victim is worth a little extra
+                const effectTurns = (definition.effects ?? []).reduce((sum, { duration }) => sum + duration, 0);
+                value = victims.reduce((sum, victim) => sum + scoreTarget(unit, victim, settings, victim.getDamageTaken(damage)) + effectTurns, 0);
+            }
+
+            if (value > 0 && (!best || value > best.value)) {
+                best = { ability, cell: targetCell, value };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Sum of the attack of all enemies that could reach and hit a cell next turn
+ * @param {Unit} unit - Unit that would stand on the cell
+ * @param {Cell} cell
+ * @param {Array<Unit>} enemies
+ * @returns {number}
+ */
+function getThreat(unit, cell, enemies) {
+    let threat = 0;
+    for (const enemy of enemies) {
+        if (distanceToUnit(cell, enemy) <= enemy.getMovement() + enemy.attackRange) {
+            threat += enemy.getAttack();
+        }
+    }
+    return threat;
+}
+
+/**
+ * Path cost from every cell to the nearest goal, ignoring other units
+ * @param {Unit} unit - Moving unit, its terrain costs are used
+ * @param {Array<Cell>} goals - Cells of enemies or hexes to explore
+ * @returns {(cell: Cell) => number} Distance lookup, Infinity for unreachable cells
+ */
+function getApproachDistances(unit, goals) {
+    const passable = cell => cell.isVisible && getCellMovementCost(unit, cell) !== IMPASSABLE;
+    const cost = cell => getCellMovementCost(unit, cell);
+
+    // Find the nearest goal along actual paths
+    const fromUnit = runDijkstra(getCell(unit.position.row, unit.position.col), passable, cost);
+    let nearest = null;
+    let nearestScore = Infinity;
+    for (const goal of goals) {
+        const node = fromUnit?.getNode(goal);
+        if (node?.visited && node.score < nearestScore) {
+            nearest = goal;
+            nearestScore = node.score;
+        }
+    }
+    if (!nearest) return () => Infinity;
+
+    // Distance field around the nearest goal
+    const fromGoal = runDijkstra(nearest, passable, cost);
+    return cell => {
+        const node = fromGoal.getNode(cell);
+        return node.visited ? node.score : Infinity;
+    };
+}
+
+/**
+ * Plan the actions of a single unit for this turn without changing the game state
+ * @param {Unit} unit - Unit to plan for
+ * @param {string} [difficulty=AIDifficulty.NORMAL] - Difficulty from AIDifficulty
+ * @param {() => number} [random] - Random source in [0, 1), the seeded AI stream by default
+ * @returns {Array<AIAction>} Actions to perform in order
+ */
+export function planUnitTurn(unit, difficulty = AIDifficulty.NORMAL, random = () => seededRandom(RandomStream.AI)) {
+    const settings = difficultySettings[difficulty] ?? difficultySettings[AIDifficulty.NORMAL];
+    const enemies = getEnemies(unit);
+    const goals = getGoalCells(unit, enemies);
+    if (goals.length === 0) return [];
+
+    const currentCell = getCell(unit.position.row, unit.position.col);
+    const candidates = unit.movementRemaining > 0 ? getReachableCells(unit) : [currentCell];
+    const approachDistance = getApproachDistances(unit, goals);
+    const retreating = unit.health / unit.maxHealth < settings.retreatBelow;
+
+    let best = null;
+    for (const cell of candidates) {
+        // Standing where enemies can finish the unit off is what really matters
+        const threat = getThreat(unit, cell, enemies);
+        const danger = threat >= unit.health ? 6 : threat / unit.health * 2;
+
+        // Best target attackable from this cell
+        let target = null;
+        let ability = null;
+        let targetScore = 0;
+        if (unit.canAttack()) {
+            for (const enemy of enemies) {
+                if (distanceToUnit(cell, enemy) > unit.attackRange) continue;
+                // The unit itself no longer stands on its old cell once it moved
+                const enemyCell = getCell(enemy.position.row, enemy.position.col);
+                if (findLineBlocker(cell, enemyCell, other => other !== unit)) continue;
+                if (config.fogOfWar && !isTargetVisibleFrom(unit, cell, enemy)) continue;
+                // Counterattacks cost the unit health, one that would kill it is as bad as a kill is good
+                const outcome = resolveAttack(unit, enemy, undefined, cell);
+                const value = scoreTarget(unit, enemy, settings, outcome.damage)
+                    - outcome.counterDamage / unit.maxHealth * 10
+                    - (outcome.attackerHealth === 0 ? settings.killBonus : 0);
+                if (!target || value > targetScore) {
+                    target = enemy;
+                    targetScore = value;
+                }
+            }
+
+            // Abilities use up the attack as well, whichever is worth more is taken
+            const bestAbility = findBestAbility(unit, cell, enemies, danger, settings);
+            if (bestAbility && bestAbility.value > targetScore) {
+                target = null;
+                ability = bestAbility;
+                targetScore = bestAbility.value;
+            }
+        }
+
+        const distance = approachDistance(cell);
+        let score;
+
+        if (retreating) {
+            // Get out of reach, only fight back when cornered
+            score = -danger * 2 + Math.min(distance, 10) + targetScore * 0.25;
+        } else {
+            score = targetScore * 2 - danger * settings.threatWeight;
+
+            // Ranged units want to end at their range, not next to the enemy
+            const keepDistance = unit.isRanged() && settings.keepDistance && enemies.length > 0;
+            const desiredDistance = keepDistance ? unit.attackRange - 1 : 0;
+            if (!target && !ability) {
+                score -= Math.abs(distance - desiredDistance);
+            }
+            if (unit.isRanged() && settings.keepDistance && enemies.some(enemy => distanceToUnit(cell, enemy) <= 1)) {
+                score -= 5;
+            }
+        }
+
+        score += settings.noise * random();
+
+        if (!best || score > best.score) {
+            best = { cell, target, ability, score };
+        }
+    }
+
+    /** @type {Array<AIAction>} */
+    const actions = [];
+    if (!best) return actions;
+
+    if (best.cell !== currentCell) {
+        actions.push({ type: 'move', unit, row: best.cell.rowIndex, col: best.cell.cellIndex });
+    }
+    if (best.target) {
+        actions.push({ type: 'attack', unit, target: best.target });
+    } else if (best.ability) {
+        const { ability, cell } = best.ability;
+        actions.push({ type: 'ability', unit, ability, row: cell.rowIndex, col: cell.cellIndex });
+    }
+    return actions;
+}
+
+/**
+ * Plan a player's turn one unit at a time, each unit once the previous one's actions were taken
+ * Units that died meanwhile are skipped and the turn stops once the game is over
+ * @param {string} owner - Owner whose units are planned for
+ * @param {string} [difficulty=AIDifficulty.NORMAL] - Difficulty from AIDifficulty
+ * @yields {{unit: Unit, actions: Array<AIAction>}} Next unit to act and its actions
+ */
+export function* planTurn(owner, difficulty = AIDifficulty.NORMAL) {
+    // Copy the list, units can die while the turn plays out
+    for (const unit of [...mapState.units]) {
+        if (mapState.gameOver) return;
+        if (unit.owner !== owner || !mapState.units.includes(unit)) continue;
+
+        const actions = planUnitTurn(unit, difficulty);
+        if (actions.length > 0) yield { unit, actions };
+    }
+}
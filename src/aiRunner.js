@@ -0,0 +1,75 @@
+/**
+ * AI runner module playing the computer controlled players' turns in the browser
+ *
+ * The actions come from planTurn, played one at a time with thinking pauses
+ * and move animations so the player can follow them.
+ */
+import { config } from './config.js';
+import { mapState, getCell, findPath, selectUnit } from './mapState.js';
+import { executeMove, executeAttack, executeAbility, executeEndTurn } from './commands.js';
+import { planTurn } from './ai.js';
+import { animateUnitMove } from './renderer.js';
+import { isHumanPlayer } from './players.js';
+import { GameEvent } from './game.js';
+import { RandomStream, random as seededRandom } from './random.js';
+
+const delay = ms => new Promise(r => setTimeout(r, ms));
+
+const THINKING_TIME = 1000 * 1;
+
+/**
+ * Run the AI turn, planning and performing the actions of each AI unit in turn
+ * The turn is given up when the match is replaced or the turn passes on while the AI waits
+ * @param {import('./game.js').Game} game - Game the turn is played in
+ * @param {Function} renderFn - Render function to call after each action
+ * @param {string} owner - Owner whose units are controlled
+ */
+export async function runAITurn(game, renderFn, owner) {
+    const { matchId } = game;
+    const isInterrupted = () => !game.isPlaying(matchId) || mapState.currentTurn !== owner || mapState.gameOver !== null;
+
+    await delay(seededRandom(RandomStream.PRESENTATION) * THINKING_TIME);
+    if (isInterrupted()) return;
+
+    for (const { unit, actions } of planTurn(owner, config.aiDifficulty)) {
+        selectUnit(unit);
+        renderFn();
+        await delay(seededRandom(RandomStream.PRESENTATION) * THINKING_TIME);
+        if (isInterrupted()) return;
+
+        for (const action of actions) {
+            if (action.type === 'move') {
+                const start = getCell(unit.position.row, unit.position.col);
+                const path = findPath(start, getCell(action.row, action.col), unit);
+                if (executeMove(unit, action.row, action.col)) {
+                    await animateUnitMove(unit, path, renderFn);
+                    if (isInterrupted()) return;
+                }
+            } else if (action.type === 'attack') {
+                executeAttack(unit, action.target);
+            } else if (action.type === 'ability') {
+                executeAbility(unit, action.ability, getCell(action.row, action.col));
+            }
+            renderFn();
+            await delay(seededRandom(RandomStream.PRESENTATION) * THINKING_TIME);
+            if (isInterrupted()) return;
+        }
+    }
+
+    executeEndTurn();
+    renderFn();
+}
+
+/**
+ * Let the AI play whenever the turn of a computer controlled player starts
+ * @param {import('./game.js').Game} game - Game whose turns to follow
+ * @param {Function} renderFn - Render function to call after each AI action
+ */
+export function setupAI(game, renderFn) {
+    // The game leaves played back turns out, replays play back what the AI did instead
+    game.on(GameEvent.TURN_START, currentTurn => {
+        if (!isHumanPlayer(currentTurn)) {
+            runAITurn(game, renderFn, currentTurn);
+        }
+    });
+}
@@ -0,0 +1,324 @@
+/**
+ * Combat module for resolving attacks and abilities between units
+ */
+import {
+    mapState,
+    getCell,
+    canAttackTarget,
+    getAbilityTargets,
+    getAbilityArea,
+    getNeighborCoordinates,
+    getHexDistance,
+    recordCasualty,
+    selectUnit,
+    mapEvents,
+    MapEvent
+} from './mapState.js';
+import { findLineBlocker } from './visibility.js';
+import { getTerrainDefense } from './terrain.js';
+import { getActiveRuleset } from './rulesets.js';
+import { random as seededRandom } from './random.js';
+import { AbilityTarget, getAbilityDefinition } from './abilities.js';
+
+/**
+ * @typedef {import('./unit.js').Unit} Unit
+ * @typedef {import('./mapState.js').Cell} Cell
+ */
+
+/**
+ * @typedef {Object} AttackResult
+ * @property {Unit} attacker - Unit that performed the attack
+ * @property {Unit} defender - Unit that was attacked
+ * @property {number} damage - Damage dealt to the defender
+ * @property {boolean} killed - Whether the defender was killed
+ * @property {number} [counterDamage] - Damage the defender dealt back, attacks only
+ * @property {boolean} [attackerKilled] - Whether the counterattack killed the attacker, attacks only
+ * @property {string} [ability] - Ability type the hit came from, ability hits only
+ */
+
+/**
+ * @typedef {Object} AttackRolls
+ * @property {number} attack - Roll in [0, 1) placing the attack's damage within the ruleset's damage band
+ * @property {number} counter - Roll in [0, 1) placing the counterattack's damage within the band
+ */
+
+/**
+ * @typedef {Object} AttackOutcome
+ * @property {number} attack - Strength of the attacker's strike, before the defender's status effects
+ * @property {number} damage - Damage the defender takes
+ * @property {number} defenderHealth - Defender's health afterwards
+ * @property {number} flankers - Other units of the attacker next to the defender
+ * @property {number} defense - Share of the damage the defender's terrain shrugs off
+ * @property {boolean} counterattacks - Whether the defender strikes back
+ * @property {number} counter - Strength of the counterattack, before the attacker's status effects
+ * @property {number} counterDamage - Damage the attacker takes in return
+ * @property {number} attackerHealth - Attacker's health afterwards
+ */
+
+// Rolls in the middle of the damage band, the outcome without any luck
+const AVERAGE_ROLLS = { attack: 0.5, counter: 0.5 };
+
+// Rolls per strike a forecast samples across the damage band
+const FORECAST_ROLLS = 20;
+
+/**
+ * @typedef {Object} CombatForecast
+ * @property {Unit} attacker - Attacking unit
+ * @property {Unit} defender - Unit being attacked
+ * @property {{min: number, max: number}} damage - Damage dealt to the defender
+ * @property {{min: number, max: number}} received - Damage the attacker takes in return
+ * @property {number} killChance - Chance the defender dies, from 0 to 1
+ * @property {number} deathChance - Chance the attacker dies, from 0 to 1
+ * @property {{min: number, max: number}} defenderHealth - Defender's health afterwards
+ * @property {{min: number, max: number}} attackerHealth - Attacker's health afterwards
+ * @property {number} flankers - Other units of the attacker next to the defender
+ * @property {number} defense - Share of the damage the defender's terrain shrugs off
+ */
+
+/**
+ * @typedef {Object} AbilityResult
+ * @property {Unit} unit - Unit that used the ability
+ * @property {string} ability - Ability type from AbilityType
+ * @property {Cell} cell - Cell the ability was aimed at
+ * @property {Array<AttackResult>} hits - Outcome for each unit hit
+ */
+
+/**
+ * Deal damage to a unit, taking it off the board if it dies
+ * @param {Unit} defender - Unit taking the damage
+ * @param {number} amount - Damage before the defender's status effects
+ * @returns {{damage: number, killed: boolean}} Damage actually dealt and whether the unit died
+ */
+export function dealDamage(defender, amount) {
+    const damage = defender.getDamageTaken(amount);
+    const alive = defender.takeDamage(amount);
+
+    if (!alive) {
+        recordCasualty(defender);
+    }
+
+    return { damage, killed: !alive };
+}
+
+/**
+ * Get the other units of the attacker next to the defender
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @returns {Array<Unit>} Flanking units
+ */
+export function getFlankers(attacker, defender) {
+    return getNeighborCoordinates(defender.position.row, defender.position.col)
+        .map(([row, col]) => getCell(row, col)?.unit)
+        .filter(unit => unit && unit !== attacker && unit.owner === attacker.owner);
+}
+
+/**
+ * Check if a defender is able to strike back at an attacker
+ * Counterattacks follow the attack rules except that they don't use up the defender's attack
+ * @param {Unit} defender - Unit being attacked
+ * @param {Unit} attacker - Attacking unit
+ * @param {Cell} from - Cell the attacker attacks from
+ * @returns {boolean}
+ */
+export function canCounterattack(defender, attacker, from) {
+    if (defender.isStunned()) return false;
+
+    const defenderCell = getCell(defender.position.row, defender.position.col);
+    const distance = getHexDistance(defenderCell.rowIndex, defenderCell.cellIndex, from.rowIndex, from.cellIndex);
+    if (distance > defender.attackRange) return false;
+
+    // The attacker may not stand on its attack cell yet, it never blocks the line itself
+    return findLineBlocker(defenderCell, from, unit => unit !== attacker) === null;
+}
+
+/**
+ * Get the strength of a strike after cover and luck
+ * @param {number} strength - Strength before the terrain and the damage band
+ * @param {Cell} cell - Cell of the unit being hit
+ * @param {number} roll - Roll in [0, 1) placing the strike within the damage band
+ * @param {import('./rulesets.js').Ruleset} ruleset
+ * @returns {number} Strike strength, before the status effects of the unit hit
+ */
+function getStrikeStrength(strength, cell, roll, ruleset) {
+    if (strength <= 0) return 0;
+
+    const defense = ruleset.terrainDefense ? getTerrainDefense(cell.terrain) : 0;
+    const band = 1 + ruleset.damageBand * (roll * 2 - 1);
+
+    // Strikes always hurt a little, no cover makes a unit invulnerable
+    return Math.max(1, Math.round(strength * (1 - defense) * band));
+}
+
+/**
+ * Work out what an attack does without changing either unit
+ * Attacks apply exactly this outcome and forecasts are built from it, so both always agree
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @param {AttackRolls} [rolls=AVERAGE_ROLLS] - Luck of both strikes, the middle of the damage band by default
+ * @param {Cell} [from] - Cell the attacker attacks from, its current cell by default
+ * @returns {AttackOutcome}
+ */
+export function resolveAttack(attacker, defender, rolls = AVERAGE_ROLLS, from = getCell(attacker.position.row, attacker.position.col)) {
+    const ruleset = getActiveRuleset();
+    const defenderCell = getCell(defender.position.row, defender.position.col);
+
+    // Every other unit of the attacker next to the defender adds to the strike
+    const flankers = getFlankers(attacker, defender).length;
+    const defense = ruleset.terrainDefense ? getTerrainDefense(defenderCell.terrain) : 0;
+    const attack = getStrikeStrength(attacker.getAttack() + flankers * ruleset.flankingBonus, defenderCell, rolls.attack, ruleset);
+    const damage = defender.getDamageTaken(attack);
+    const defenderHealth = Math.max(0, defender.health - damage);
+
+    // Surviving defenders strike back at attackers they could attack themselves
+    const counterattacks = ruleset.counterattacks && defenderHealth > 0 && canCounterattack(defender, attacker, from);
+    const counter = counterattacks
+        ? getStrikeStrength(defender.getAttack() * ruleset.counterattackFactor, from, rolls.counter, ruleset)
+        : 0;
+    const counterDamage = counterattacks ? attacker.getDamageTaken(counter) : 0;
+
+    return {
+        attack,
+        damage,
+        defenderHealth,
+        flankers,
+        defense,
+        counterattacks,
+        counter,
+        counterDamage,
+        attackerHealth: Math.max(0, attacker.health - counterDamage)
+    };
+}
+
+/**
+ * Get the rolls a forecast samples, evenly spread across the damage band
+ * @returns {Array<number>} Rolls in [0, 1), just the middle one without a damage band
+ */
+function getForecastRolls() {
+    if (getActiveRuleset().damageBand === 0) return [AVERAGE_ROLLS.attack];
+    return Array.from({ length: FORECAST_ROLLS }, (_, index) => (index + 0.5) / FORECAST_ROLLS);
+}
+
+/**
+ * Forecast an attack for the player before it is made
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @returns {CombatForecast|null} What the attack would do, null if it isn't allowed
+ */
+export function forecastAttack(attacker, defender) {
+    if (!canAttackTarget(attacker, defender)) return null;
+
+    // Every way the attack can play out, each equally likely
+    const rolls = getForecastRolls();
+    const outcomes = rolls.flatMap(attack => rolls.map(counter => resolveAttack(attacker, defender, { attack, counter })));
+    const range = values => ({ min: Math.min(...values), max: Math.max(...values) });
+    const chance = predicate => outcomes.filter(predicate).length / outcomes.length;
+
+    return {
+        attacker,
+        defender,
+        damage: range(outcomes.map(outcome => outcome.damage)),
+        received: range(outcomes.map(outcome => outcome.counterDamage)),
+        killChance: chance(outcome => outcome.defenderHealth === 0),
+        deathChance: chance(outcome => outcome.attackerHealth === 0),
+        defenderHealth: range(outcomes.map(outcome => outcome.defenderHealth)),
+        attackerHealth: range(outcomes.map(outcome => outcome.attackerHealth)),
+        flankers: outcomes[0].flankers,
+        defense: outcomes[0].defense
+    };
+}
+
+/**
+ * Resolve an attack of one unit against another
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @param {() => number} [random] - Random source in [0, 1) for the damage band, the seeded game stream by default
+ * @returns {AttackResult|null} Outcome of the attack or null if it wasn't allowed
+ */
+export function attackUnit(attacker, defender, random = seededRandom) {
+    if (!canAttackTarget(attacker, defender)) return null;
+
+    // Both rolls are always drawn so a seeded source stays in step whatever happens
+    const outcome = resolveAttack(attacker, defender, { attack: random(), counter: random() });
+    const isSelected = mapState.selectedUnit === attacker;
+    attacker.performAttack();
+    const { damage, killed } = dealDamage(defender, outcome.attack);
+
+    let counterDamage = 0;
+    let attackerKilled = false;
+    if (outcome.counterattacks) {
+        ({ damage: counterDamage, killed: attackerKilled } = dealDamage(attacker, outcome.counter));
+    }
+
+    // Refresh highlights, the attacker can't attack again this turn or was killed by the counterattack
+    if (isSelected) {
+        selectUnit(attackerKilled ? null : attacker);
+    }
+
+    const result = { attacker, defender, damage, killed, counterDamage, attackerKilled };
+    mapEvents.emit(MapEvent.UNIT_ATTACKED, result);
+    return result;
+}
+
+/**
+ * Get the damage an ability deals to each unit it hits
+ * @param {Unit} unit - Unit using the ability
+ * @param {string} ability - Ability type from AbilityType
+ * @returns {number} Damage per unit hit, before the defenders' status effects
+ */
+export function getAbilityDamage(unit, ability) {
+    return Math.max(1, unit.getAttack() + (getAbilityDefinition(ability)?.damageBonus ?? 0));
+}
+
+/**
+ * Get the units an ability aimed at a cell would hit
+ * Area abilities only hit the enemies of the unit
+ * @param {Unit} unit - Unit using the ability
+ * @param {string} ability - Ability type from AbilityType
+ * @param {Cell} cell - Target cell
+ * @returns {Array<Unit>} Units hit
+ */
+export function getAbilityVictims(unit, ability, cell) {
+    const definition = getAbilityDefinition(ability);
+    if (!definition || definition.target === AbilityTarget.SELF) return [];
+
+    return getAbilityArea(ability, cell)
+        .map(areaCell => areaCell.unit)
+        .filter(victim => victim && victim.owner !== unit.owner);
+}
+
+/**
+ * Resolve an ability aimed at a cell
+ * @param {Unit} unit - Unit using the ability
+ * @param {string} ability - Ability type from AbilityType
+ * @param {Cell} cell - Target cell, the unit's own cell for abilities aimed at itself
+ * @returns {AbilityResult|null} Outcome of the ability or null if it wasn't allowed
+ */
+export function useAbility(unit, ability, cell) {
+    if (!cell || !getAbilityTargets(unit, ability).includes(cell)) return null;
+
+    // Victims are collected first, dying units leave their cells
+    const victims = getAbilityVictims(unit, ability, cell);
+    const damage = getAbilityDamage(unit, ability);
+    const { effects = [] } = getAbilityDefinition(ability);
+    unit.performAbility(ability);
+
+    const hits = victims.map(defender => {
+        const hit = { attacker: unit, defender, ability, ...dealDamage(defender, damage) };
+        if (!hit.killed) {
+            for (const { type, duration } of effects) {
+                defender.addStatusEffect(type, duration);
+            }
+        }
+        return hit;
+    });
+
+    // Refresh highlights, the unit's action is used up
+    if (mapState.selectedUnit === unit) {
+        selectUnit(unit);
+    }
+
+    for (const hit of hits) {
+        mapEvents.emit(MapEvent.UNIT_ATTACKED, hit);
+    }
+    return { unit, ability, cell, hits };
+}
@@ -0,0 +1,242 @@
+/**
+ * Command module routing player actions through an undoable command log
+ *
+ * Each command records a snapshot of the units and selection before and after
+ * it ran, so undo and redo restore the exact state without re-running the action.
+ */
+import {
+    mapState,
+    getCell,
+    moveUnit,
+    selectUnit,
+    endTurn,
+    mapEvents,
+    MapEvent
+} from './mapState.js';
+import { attackUnit, useAbility } from './combat.js';
+import { evaluateVictory } from './victory.js';
+import { getRandomState, setRandomState } from './random.js';
+
+/**
+ * @typedef {import('./unit.js').Unit} Unit
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {Array<Unit>} units - Units in the game, in order
+ * @property {Map<Unit, Object>} states - Copy of each unit's fields
+ * @property {Unit|null} selectedUnit - Selected unit
+ * @property {Object<string, number>} casualties - Units lost per owner
+ * @property {import('./random.js').RandomState} random - Random streams, undoing and redoing an attack gives the same roll
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Action name, e.g. 'move'
+ * @property {Snapshot} before - State before the action
+ * @property {Snapshot} after - State after the action
+ */
+
+/**
+ * @typedef {Object} CommandEvent
+ * @property {string} type - 'execute' for a new action, 'undo' or 'redo' for a recorded one
+ * @property {string} [name] - Action name of new actions, e.g. 'move' or 'endTurn'
+ * @property {Array<any>} [args] - Arguments of new actions
+ */
+
+// Listeners called whenever the game's actions change
+const commandListeners = [];
+
+/**
+ * Register a listener called after every action, undo and redo
+ * @param {(event: CommandEvent) => void} listener
+ */
+export function onCommand(listener) {
+    commandListeners.push(listener);
+}
+
+/**
+ * Notify the command listeners
+ * @param {CommandEvent} event
+ */
+function notifyCommand(event) {
+    commandListeners.forEach(listener => listener(event));
+}
+
+/**
+ * Capture the state of all units and the selection
+ * @returns {Snapshot}
+ */
+function takeSnapshot() {
+    const states = new Map();
+    for (const unit of mapState.units) {
+        states.set(unit, structuredClone({ ...unit }));
+    }
+    return {
+        units: [...mapState.units],
+        states,
+        selectedUnit: mapState.selectedUnit,
+        casualties: { ...mapState.casualties },
+        random: getRandomState()
+    };
+}
+
+/**
+ * Restore units, cell references, selection and highlights from a snapshot
+ * @param {Snapshot} snapshot
+ */
+function restoreSnapshot(snapshot) {
+    // Detach all units from their cells first so restored positions can't collide
+    const occupants = new Map();
+    for (const unit of mapState.units) {
+        const cell = getCell(unit.position.row, unit.position.col);
+        if (cell?.unit === unit) {
+            occupants.set(cell, unit);
+            cell.unit = null;
+        }
+    }
+
+    mapState.units = [...snapshot.units];
+    mapState.casualties = { ...snapshot.casualties };
+    setRandomState(snapshot.random);
+    for (const unit of mapState.units) {
+        Object.assign(unit, structuredClone(snapshot.states.get(unit)));
+        const cell = getCell(unit.position.row, unit.position.col);
+        if (cell) {
+            if (!occupants.has(cell)) occupants.set(cell, null);
+            cell.unit = unit;
+        }
+    }
+
+    // Only the cells whose occupant changed are reported
+    for (const [cell, occupant] of occupants) {
+        if (cell.unit !== occupant) mapEvents.emit(MapEvent.CELL_CHANGED, { cell });
+    }
+
+    // Selecting recomputes the highlighted cells
+    selectUnit(snapshot.selectedUnit);
+}
+
+/**
+ * Run an action and record it in the command log if it changed anything
+ * Victory conditions are checked after every action, no actions run once the game is over
+ * @template T
+ * @param {string} name - Action name
+ * @param {Array<any>} args - Arguments of the action, passed on to the command listeners
+ * @param {() => T} action - Action to run, returning a falsy value when nothing happened
+ * @returns {T|null} Result of the action, null if the game is over
+ */
+function executeCommand(name, args, action) {
+    if (mapState.gameOver) return null;
+
+    const before = takeSnapshot();
+    const result = action();
+
+    if (result) {
+        const { undoStack, redoStack } = mapState.commandLog;
+        undoStack.push({ name, before, after: takeSnapshot() });
+        redoStack.length = 0;
+        notifyCommand({ type: 'execute', name, args });
+        evaluateVictory();
+    }
+
+    return result;
+}
+
+/**
+ * Move a unit as an undoable command
+ * @param {Unit} unit - Unit to move
+ * @param {number} rowIndex - Target row index
+ * @param {number} cellIndex - Target cell index
+ * @returns {boolean} Whether the move was successful
+ */
+export function executeMove(unit, rowIndex, cellIndex) {
+    return executeCommand('move', [unit, rowIndex, cellIndex], () => moveUnit(unit, rowIndex, cellIndex));
+}
+
+/**
+ * Attack a unit as an undoable command
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @returns {import('./combat.js').AttackResult|null} Outcome of the attack
+ */
+export function executeAttack(attacker, defender) {
+    return executeCommand('attack', [attacker, defender], () => attackUnit(attacker, defender));
+}
+
+/**
+ * Use an ability as an undoable command
+ * @param {Unit} unit - Unit using the ability
+ * @param {string} ability - Ability type from AbilityType
+ * @param {import('./mapState.js').Cell} cell - Cell the ability is aimed at
+ * @returns {import('./combat.js').AbilityResult|null} Outcome of the ability
+ */
+export function executeAbility(unit, ability, cell) {
+    return executeCommand('ability', [unit, ability, cell], () => useAbility(unit, ability, cell));
+}
+
+/**
+ * End the turn, undo history doesn't carry over into the next turn
+ */
+export function executeEndTurn() {
+    if (mapState.gameOver) return;
+
+    clearCommandLog();
+    endTurn();
+    notifyCommand({ type: 'execute', name: 'endTurn', args: [] });
+    evaluateVictory();
+}
+
+/**
+ * Forget all recorded commands
+ */
+export function clearCommandLog() {
+    mapState.commandLog.undoStack.length = 0;
+    mapState.commandLog.redoStack.length = 0;
+}
+
+/**
+ * @returns {boolean} Whether there is an action to undo
+ */
+export function canUndo() {
+    return mapState.commandLog.undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean} Whether there is an undone action to redo
+ */
+export function canRedo() {
+    return mapState.commandLog.redoStack.length > 0;
+}
+
+/**
+ * Undo the last action
+ * @returns {boolean} Whether an action was undone
+ */
+export function undo() {
+    if (mapState.gameOver) return false;
+
+    const command = mapState.commandLog.undoStack.pop();
+    if (!command) return false;
+
+    restoreSnapshot(command.before);
+    mapState.commandLog.redoStack.push(command);
+    notifyCommand({ type: 'undo' });
+    return true;
+}
+
+/**
+ * Redo the last undone action
+ * @returns {boolean} Whether an action was redone
+ */
+export function redo() {
+    if (mapState.gameOver) return false;
+
+    const command = mapState.commandLog.redoStack.pop();
+    if (!command) return false;
+
+    restoreSnapshot(command.after);
+    mapState.commandLog.undoStack.push(command);
+    notifyCommand({ type: 'redo' });
+    return true;
+}
@@ -1,35 +1,58 @@
 /**
  * Configuration module for the hexagonal grid application
  */
-
-// Default grid configuration (1 = visible, 0 = invisible)
-const defaultGridConfig = [
-    [1, 1, 1, 1, 1, 1],
-    [1, 0, 1, 1, 1, 1],
-    [1, 1, 1, 0, 1, 1],
-    [1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 1, 1, 1],
-    [1, 1, 1, 0, 1, 1]
-];
+import { defaultMap } from './maps.js';
+import { Orientation, createLayout, hexToPixel, offsetToCube } from './hexCoords.js';
 
 // Application configuration
 export const config = {
-    // Grid configuration
-    gridConfig: defaultGridConfig,
+    // Grid configuration of the loaded map (1 = visible, 0 = invisible)
+    gridConfig: defaultMap.grid,
+    // Terrain codes of the loaded map (see terrain.js)
+    terrainConfig: defaultMap.terrain,
     
     // Drawing parameters
     hexSize: 50, // Base size of hexagons
     hexSpacing: 2.0, // Spacing factor for horizontal distance between hexagons
     hexRowSpacing: 2.0, // Spacing factor for vertical distance between rows
+    hexOrientation: Orientation.POINTY, // Pointy-top hexagons shift odd rows, flat-top ones odd columns
+    
+    // AI difficulty ('easy', 'normal' or 'hard')
+    aiDifficulty: 'normal',
+    
+    // Combat rules, a ruleset from rulesets.js ('classic' or 'standard')
+    ruleset: 'classic',
+    
+    // Hide what the player's units can't see
+    fogOfWar: true,
     
     // Colors
     colors: {
         background: '#202325',
         hexagon: '#2a2d2f',
-        active: '#4CAF50'
+        active: '#4CAF50',
+        unexplored: '#141617', // Hexes never seen under the fog of war
+        fog: 'rgba(0, 0, 0, 0.5)' // Dims hexes that are out of sight
     }
 };
 
+/**
+ * Get the layout mapping cells to pixels
+ * The layout hexagons are larger than the drawn ones, the spacing factors leave a gap between neighbors
+ * @returns {import('./hexCoords.js').Layout} Layout for the configured orientation
+ */
+export function getHexLayout() {
+    const size = config.hexSize;
+    return createLayout(
+        config.hexOrientation,
+        {
+            x: size * config.hexSpacing / Math.sqrt(3), // Apply spacing factor
+            y: size * 0.866 * config.hexRowSpacing / 1.5 // Apply row spacing factor
+        },
+        { x: size * 1.5, y: size }
+    );
+}
+
 /**
  * Calculate x-coordinate for a hexagon
  * @param {number} row - Row index
@@ -37,21 +60,15 @@ export const config = {
  * @returns {number} X position of the hexagon
  */
 export function calculateHexX(row, col) {
-    const size = config.hexSize;
-    const horizontalDistance = size * config.hexSpacing; // Apply spacing factor
-    // Offset every other row
-    return (row % 2 === 0)
-        ? col * horizontalDistance + size * 1.5
-        : col * horizontalDistance + size * 2.5;
+    return hexToPixel(getHexLayout(), offsetToCube(row, col, config.hexOrientation)).x;
 }
 
 /**
  * Calculate y-coordinate for a hexagon
  * @param {number} row - Row index
+ * @param {number} col - Column index
  * @returns {number} Y position of the hexagon
  */
-export function calculateHexY(row) {
-    const size = config.hexSize;
-    const verticalDistance = size * 0.866 * config.hexRowSpacing; // Apply row spacing factor
-    return row * verticalDistance + size;
-}
\ No newline at end of file
+export function calculateHexY(row, col) {
+    return hexToPixel(getHexLayout(), offsetToCube(row, col, config.hexOrientation)).y;
+}
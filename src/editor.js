@@ -0,0 +1,203 @@
+/**
+ * Editor module for painting maps in the browser
+ *
+ * While the editor is enabled clicks on the grid apply the selected tool instead
+ * of playing, the edited map can be exported or played once the editor is left.
+ */
+import { config } from './config.js';
+import {
+    mapState,
+    createCell,
+    updateCellPositions,
+    toggleCellState,
+    placeUnit,
+    removeUnit,
+    selectUnit,
+    mapEvents,
+    MapEvent
+} from './mapState.js';
+import { serializeMap, MAX_MAP_DIMENSION, VictoryType } from './mapFormat.js';
+import { TerrainType, terrainDefinitions } from './terrain.js';
+import { createUnit, getUnitTypes } from './unit.js';
+import { clearCommandLog } from './commands.js';
+import { getPlayers } from './players.js';
+
+/**
+ * @typedef {import('./mapState.js').Cell} Cell
+ */
+
+// Define what a click does in the editor
+export const EditorTool = {
+    VISIBILITY: 'visibility',
+    TERRAIN: 'terrain',
+    UNIT: 'unit',
+    ERASE: 'erase',
+    SPAWN: 'spawn'
+};
+
+export const editorState = {
+    enabled: false,
+    tool: EditorTool.TERRAIN,
+    terrain: TerrainType.PLAINS, // Painted by the terrain tool
+    unitType: null, // Placed by the unit tool, the first type of the unit catalog by default
+    owner: 'player' // Owner of placed units and spawn zones
+};
+
+/** @type {Array<(enabled: boolean) => void>} */
+const editorToggleListeners = [];
+
+/**
+ * Register a listener called whenever the editor is enabled or disabled
+ * @param {(enabled: boolean) => void} listener - Called with the new editor state
+ */
+export function onEditorToggle(listener) {
+    editorToggleListeners.push(listener);
+}
+
+/**
+ * Enable or disable the editor
+ * Entering the editor drops the selection and the undo history of the running game
+ * @param {boolean} enabled
+ */
+export function setEditorEnabled(enabled) {
+    if (editorState.enabled === enabled) return;
+
+    editorState.enabled = enabled;
+    if (enabled) {
+        selectUnit(null);
+        clearCommandLog();
+
+        // The owner picked for another map may not exist on this one
+        const owners = getPlayers().map(player => player.id);
+        if (!owners.includes(editorState.owner)) {
+            editorState.owner = owners[0] ?? 'player';
+        }
+        if (!getUnitTypes().includes(editorState.unitType)) {
+            editorState.unitType = getUnitTypes()[0] ?? null;
+        }
+    }
+    editorToggleListeners.forEach(listener => listener(enabled));
+}
+
+/**
+ * Write the grid back into the config, the renderer centers the map on it
+ */
+function syncConfig() {
+    config.gridConfig = mapState.cells.map(row => row.map(cell => cell.isVisible ? 1 : 0));
+    config.terrainConfig = mapState.cells.map(row => row.map(cell => terrainDefinitions[cell.terrain].code));
+}
+
+/**
+ * Get the spawn zone on a cell
+ * @param {Cell} cell
+ * @returns {import('./mapFormat.js').SpawnZone|undefined}
+ */
+export function getSpawnZone(cell) {
+    return mapState.spawnZones.find(spawn => spawn.row === cell.rowIndex && spawn.col === cell.cellIndex);
+}
+
+/**
+ * Remove the spawn zone on a cell, if any
+ * @param {Cell} cell
+ */
+function removeSpawnZone(cell) {
+    mapState.spawnZones = mapState.spawnZones.filter(spawn => spawn !== getSpawnZone(cell));
+}
+
+/**
+ * Apply the selected tool to a cell
+ * @param {Cell} cell - Clicked cell, may be outside the map
+ * @returns {boolean} Whether the map changed
+ */
+export function applyTool(cell) {
+    const { rowIndex, cellIndex } = cell;
+
+    switch (editorState.tool) {
+        case EditorTool.VISIBILITY:
+            if (!toggleCellState(rowIndex, cellIndex)) {
+                removeSpawnZone(cell);
+            }
+            break;
+        case EditorTool.TERRAIN:
+            if (!cell.isVisible || cell.terrain === editorState.terrain) return false;
+            cell.terrain = editorState.terrain;
+            mapEvents.emit(MapEvent.CELL_CHANGED, { cell });
+            break;
+        case EditorTool.UNIT:
+            if (!cell.isVisible || !editorState.unitType) return false;
+            if (cell.unit) removeUnit(cell.unit);
+            placeUnit(createUnit(editorState.unitType, editorState.owner), rowIndex, cellIndex);
+            break;
+        case EditorTool.ERASE:
+            if (!cell.unit) return false;
+            removeUnit(cell.unit);
+            break;
+        case EditorTool.SPAWN: {
+            if (!cell.isVisible) return false;
+            const spawn = getSpawnZone(cell);
+            removeSpawnZone(cell);
+
+            // Clicking an owner's own spawn zone again clears it
+            if (spawn?.owner !== editorState.owner) {
+                mapState.spawnZones.push({ owner: editorState.owner, row: rowIndex, col: cellIndex });
+            }
+            break;
+        }
+        default:
+            return false;
+    }
+
+    syncConfig();
+    return true;
+}
+
+/**
+ * Resize the grid, new cells are plains and cells cut off take their units and spawn zones with them
+ * Rows and columns are added and removed at the bottom and right edges
+ * @param {number} width - New number of columns
+ * @param {number} height - New number of rows
+ * @returns {boolean} Whether the size was valid
+ */
+export function resizeGrid(width, height) {
+    const validDimension = value => Number.isInteger(value) && value >= 1 && value <= MAX_MAP_DIMENSION;
+    if (!validDimension(width) || !validDimension(height)) return false;
+
+    // Units outside the new bounds are removed first, they still need their cells for that
+    for (const unit of [...mapState.units]) {
+        if (unit.position.row >= height || unit.position.col >= width) {
+            removeUnit(unit);
+        }
+    }
+    mapState.spawnZones = mapState.spawnZones.filter(spawn => spawn.row < height && spawn.col < width);
+
+    const cells = mapState.cells.slice(0, height);
+    for (let rowIndex = 0; rowIndex < height; rowIndex++) {
+        const row = (cells[rowIndex] ?? []).slice(0, width);
+        for (let cellIndex = row.length; cellIndex < width; cellIndex++) {
+            row.push(createCell(rowIndex, cellIndex, true, TerrainType.PLAINS));
+        }
+        cells[rowIndex] = row;
+    }
+    mapState.cells = cells;
+
+    updateCellPositions();
+    syncConfig();
+    return true;
+}
+
+/**
+ * Get the edited map as a map file
+ * Capture objectives on hexes that are no longer part of the map are dropped,
+ * a map left without victory conditions is won by annihilation
+ * @returns {import('./mapFormat.js').MapFile} Map file
+ */
+export function getEditedMap() {
+    const map = serializeMap(mapState.startingMap?.name ?? 'Custom map');
+
+    map.victory = map.victory.filter(condition => condition.type !== VictoryType.CAPTURE
+        || map.grid[condition.row]?.[condition.col] === 1);
+    if (map.victory.length === 0) {
+        map.victory.push({ type: VictoryType.ANNIHILATION });
+    }
+    return map;
+}
@@ -0,0 +1,107 @@
+/**
+ * Editor panel module with the tools and grid size controls of the map editor
+ */
+import { mapState } from './mapState.js';
+import { editorState, EditorTool, onEditorToggle, resizeGrid } from './editor.js';
+import { terrainDefinitions } from './terrain.js';
+import { UnitOwner, getUnitTypes, getUnitDefinition } from './unit.js';
+import { getPlayers, getPlayerName } from './players.js';
+import { createButton, createSelect } from './ui.js';
+
+// Labels of the editor tools
+const toolLabels = {
+    [EditorTool.VISIBILITY]: 'Add/Remove Hex',
+    [EditorTool.TERRAIN]: 'Paint Terrain',
+    [EditorTool.UNIT]: 'Place Unit',
+    [EditorTool.ERASE]: 'Erase Unit',
+    [EditorTool.SPAWN]: 'Spawn Zone'
+};
+
+/**
+ * Create the editor panel, shown while the editor is enabled
+ * @param {HTMLElement} container - Container element for the panel
+ * @param {Function} renderFn - Render function to call on updates
+ * @returns {HTMLElement} Panel element
+ */
+export function createEditorPanel(container, renderFn) {
+    const panel = document.createElement('div');
+    panel.id = 'editor-panel';
+    panel.style.position = 'fixed';
+    panel.style.top = '20px';
+    panel.style.right = '20px';
+    panel.style.display = 'none';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '8px';
+
+    /**
+     * Rebuild the controls, the owners depend on the loaded map
+     */
+    function renderControls() {
+        panel.replaceChildren();
+
+        panel.appendChild(createSelect(
+            Object.values(EditorTool).map(tool => ({ value: tool, label: toolLabels[tool] })),
+            editorState.tool,
+            value => { editorState.tool = value; }
+        ));
+
+        panel.appendChild(createSelect(
+            Object.entries(terrainDefinitions).map(([terrain, definition]) => ({ value: terrain, label: definition.name })),
+            editorState.terrain,
+            value => {
+                editorState.terrain = value;
+                editorState.tool = EditorTool.TERRAIN;
+                renderControls();
+            }
+        ));
+
+        panel.appendChild(createSelect(
+            getUnitTypes().map(type => ({ value: type, label: getUnitDefinition(type).name })),
+            editorState.unitType,
+            value => {
+                editorState.unitType = value;
+                editorState.tool = EditorTool.UNIT;
+                renderControls();
+            }
+        ));
+
+        // Owner of placed units and spawn zones
+        const owners = [...getPlayers().map(player => player.id), UnitOwner.NEUTRAL];
+        panel.appendChild(createSelect(
+            owners.map(owner => ({ value: owner, label: `Owner: ${getPlayerName(owner)}` })),
+            editorState.owner,
+            value => { editorState.owner = value; }
+        ));
+
+        const size = document.createElement('span');
+        size.style.color = 'white';
+        size.style.fontSize = '14px';
+        const height = mapState.cells.length;
+        const width = mapState.cells[0]?.length ?? 0;
+        size.textContent = `Size: ${width} x ${height}`;
+        panel.appendChild(size);
+
+        /**
+         * Resize the grid and refresh the panel
+         * @param {number} newWidth
+         * @param {number} newHeight
+         */
+        const resize = (newWidth, newHeight) => {
+            if (!resizeGrid(newWidth, newHeight)) return;
+            renderControls();
+            renderFn();
+        };
+        panel.appendChild(createButton('Add Row', () => resize(width, height + 1)));
+        panel.appendChild(createButton('Remove Row', () => resize(width, height - 1)));
+        panel.appendChild(createButton('Add Column', () => resize(width + 1, height)));
+        panel.appendChild(createButton('Remove Column', () => resize(width - 1, height)));
+    }
+
+    onEditorToggle(enabled => {
+        if (enabled) renderControls();
+        panel.style.display = enabled ? 'flex' : 'none';
+    });
+
+    container.appendChild(panel);
+    return panel;
+}
@@ -0,0 +1,43 @@
+/**
+ * Event bus letting any number of listeners follow named events
+ * @template {Object<string, any>} Events - Value passed with each event, by event name
+ */
+export class EventBus {
+    /** @type {Object<string, Array<Function>>} Listeners by event name */
+    listeners = {};
+
+    /**
+     * Register a listener for an event
+     * @template {keyof Events} K
+     * @param {K} type - Event name
+     * @param {(value: Events[K]) => void} listener - Called with the event's value
+     * @returns {() => void} Function removing the listener again
+     */
+    on(type, listener) {
+        (this.listeners[type] ??= []).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a listener from an event
+     * @template {keyof Events} K
+     * @param {K} type - Event name
+     * @param {(value: Events[K]) => void} listener - Listener registered with on
+     */
+    off(type, listener) {
+        const listeners = this.listeners[type];
+        const index = listeners?.indexOf(listener) ?? -1;
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    /**
+     * Call the listeners of an event, in the order they were registered
+     * @template {keyof Events} K
+     * @param {K} type - Event name
+     * @param {Events[K]} [value] - Value passed to the listeners
+     */
+    emit(type, value) {
+        // Copy the list, listeners may remove themselves
+        this.listeners[type]?.slice().forEach(listener => listener(value));
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Game module with the headless game API: state, rules, actions and events without the DOM
+ *
+ * A Game starts, loads and plays matches through the same commands the browser uses,
+ * so it runs in Node for simulations and tests. The game state itself lives in the
+ * shared modules (mapState, config, random), which means only one game is loaded at
+ * a time: starting or loading a game replaces the previous one, and events go to the
+ * game that was started or loaded last.
+ */
+import { config } from './config.js';
+import { mapState, getCell, onTurnChange, notifyTurnChange } from './mapState.js';
+import { loadMap } from './mapFormat.js';
+import { serializeGameState, deserializeGameState } from './saveGame.js';
+import {
+    onCommand,
+    executeMove,
+    executeAttack,
+    executeAbility,
+    executeEndTurn,
+    undo,
+    redo
+} from './commands.js';
+import { onGameOver } from './victory.js';
+import { setPlayerController } from './players.js';
+import { planTurn } from './ai.js';
+import { createSeed, seedRandom, getSeed } from './random.js';
+import { startRecording, getRecording, isWatchingReplay } from './replay.js';
+import { EventBus } from './eventBus.js';
+
+/**
+ * @typedef {import('./unit.js').Unit} Unit
+ */
+
+// Define the events a game emits
+export const GameEvent = {
+    ACTION: 'action',
+    UNDO: 'undo',
+    REDO: 'redo',
+    TURN_START: 'turnStart',
+    GAME_OVER: 'gameOver'
+};
+
+/**
+ * @typedef {Object} GameEvents
+ * @property {{name: string, args: Array<any>}} action - An action was taken
+ * @property {undefined} undo - The last action was undone
+ * @property {undefined} redo - An undone action was taken again
+ * @property {string} turnStart - A player's turn started, with the owner id
+ * @property {import('./victory.js').GameResult} gameOver - The game ended
+ */
+
+// Turns after which a simulated game is given up as undecided
+const DEFAULT_MAX_TURNS = 200;
+
+/**
+ * Action a game can dispatch, the AI's planned actions are valid as they are
+ * @typedef {{type: 'move', unit: Unit, row: number, col: number}
+ *   | {type: 'attack', unit: Unit, target: Unit}
+ *   | {type: 'ability', unit: Unit, ability: string, row: number, col: number}
+ *   | {type: 'endTurn'}} GameAction
+ */
+
+/**
+ * @typedef {Object} GameOptions
+ * @property {import('./mapFormat.js').MapFile} map - Map to play
+ * @property {string} [ruleset=config.ruleset] - Ruleset from RulesetType, the current one by default
+ * @property {number} [seed=createSeed()] - Seed of the game's randomness, a new one by default
+ * @property {Object<string, string>} [controllers={}] - Controller type by owner id, the map's defaults otherwise
+ */
+
+/** @type {Game|null} Game that was started or loaded last */
+let activeGame = null;
+
+/**
+ * Get the game that was started or loaded last
+ * @returns {Game|null}
+ */
+export function getActiveGame() {
+    return activeGame;
+}
+
+/**
+ * @extends {EventBus<GameEvents>}
+ */
+export class Game extends EventBus {
+    /** @type {number} Counts the matches started or loaded, tells a running match from the ones after it */
+    matchId = 0;
+
+    /**
+     * Create a game, starting it right away when options are given
+     * @param {GameOptions} [options] - Game to start, none to load or start one later
+     * @throws {import('./mapFormat.js').MapFormatError} If the map is invalid
+     */
+    constructor(options) {
+        super();
+        if (options) this.start(options);
+    }
+
+    /**
+     * Start a new match, replacing the loaded game
+     * @param {GameOptions} options
+     * @throws {import('./mapFormat.js').MapFormatError} If the map is invalid
+     * @throws {Error} If the seed is invalid
+     */
+    start({ map, ruleset = config.ruleset, seed = createSeed(), controllers = {} }) {
+        loadMap(map);
+        config.ruleset = ruleset;
+        seedRandom(seed);
+        activeGame = this;
+        this.matchId++;
+        startRecording();
+
+        for (const [id, controller] of Object.entries(controllers)) {
+            setPlayerController(id, controller);
+        }
+
+        // Let the first player take its turn, the AI or the handoff screen may be waiting for it
+        notifyTurnChange();
+    }
+
+    /**
+     * Continue a saved match, replacing the loaded game
+     * @param {import('./saveGame.js').GameSave} save - Serialized game state
+     * @throws {Error} If the save is from an unsupported version
+     * @throws {import('./mapFormat.js').MapFormatError} If the saved map is invalid
+     */
+    load(save) {
+        deserializeGameState(save);
+        activeGame = this;
+        this.matchId++;
+        startRecording();
+
+        // Let the player whose turn was saved take it, an AI's turn starts over
+        notifyTurnChange();
+    }
+
+    /**
+     * Check whether a match is still the one being played
+     * @param {number} matchId - matchId when the match was started or loaded
+     * @returns {boolean}
+     */
+    isPlaying(matchId) {
+        return activeGame === this && this.matchId === matchId;
+    }
+
+    /** @returns {Array<Unit>} Units in the game */
+    get units() {
+        return mapState.units;
+    }
+
+    /** @returns {string} Owner whose turn it is */
+    get currentTurn() {
+        return mapState.currentTurn;
+    }
+
+    /** @returns {number} Current turn number, starting at 1 */
+    get turnNumber() {
+        return mapState.turnNumber;
+    }
+
+    /** @returns {import('./victory.js').GameResult|null} Result of the game once it has ended */
+    get result() {
+        return mapState.gameOver;
+    }
+
+    /** @returns {boolean} Whether the game has ended */
+    get isOver() {
+        return mapState.gameOver !== null;
+    }
+
+    /** @returns {number} Seed the game was started with */
+    get seed() {
+        return getSeed();
+    }
+
+    /**
+     * Take an action as the current player
+     * @param {GameAction} action
+     * @returns {any} Result of the action, falsy if it couldn't be taken
+     * @throws {Error} If the action type is unknown
+     */
+    dispatch(action) {
+        switch (action.type) {
+            case 'move':
+                return executeMove(action.unit, action.row, action.col);
+            case 'attack':
+                return executeAttack(action.unit, action.target);
+            case 'ability':
+                return executeAbility(action.unit, action.ability, getCell(action.row, action.col));
+            case 'endTurn':
+                if (mapState.gameOver) return false;
+                executeEndTurn();
+                return true;
+            default:
+                throw new Error(`Unknown action type ${action.type}`);
+        }
+    }
+
+    /**
+     * Undo the last action of the current turn
+     * @returns {boolean} Whether there was an action to undo
+     */
+    undo() {
+        return undo();
+    }
+
+    /**
+     * Redo the last undone action
+     * @returns {boolean} Whether there was an action to redo
+     */
+    redo() {
+        return redo();
+    }
+
+    /**
+     * Let the AI play the current player's turn at once and end it
+     * @param {string} [difficulty=config.aiDifficulty] - Difficulty from AIDifficulty
+     */
+    playAITurn(difficulty = config.aiDifficulty) {
+        for (const { actions } of planTurn(mapState.currentTurn, difficulty)) {
+            for (const action of actions) {
+                this.dispatch(action);
+            }
+        }
+
+        this.dispatch({ type: 'endTurn' });
+    }
+
+    /**
+     * Let the AI play every side until the game ends, whoever controls the players
+     * @param {number} [maxTurns=DEFAULT_MAX_TURNS] - Turn number after which the game is given up
+     * @param {string} [difficulty=config.aiDifficulty] - Difficulty from AIDifficulty
+     * @returns {import('./victory.js').GameResult|null} Result of the game, null if undecided after maxTurns
+     */
+    simulate(maxTurns = DEFAULT_MAX_TURNS, difficulty = config.aiDifficulty) {
+        while (!this.isOver && mapState.turnNumber <= maxTurns) {
+            this.playAITurn(difficulty);
+        }
+        return this.result;
+    }
+
+    /**
+     * Serialize the game, e.g. to save it or start a replay from it
+     * @returns {import('./saveGame.js').GameSave}
+     */
+    serialize() {
+        return serializeGameState();
+    }
+
+    /**
+     * Get the replay of everything played since the game was started or loaded
+     * @returns {import('./replay.js').Replay|null}
+     */
+    getReplay() {
+        return getRecording();
+    }
+}
+
+/**
+ * Pass an event on to the active game, played back replays are not the game's own
+ * @param {string} type - Event from GameEvent
+ * @param {any} [value]
+ */
+function emitToActiveGame(type, value) {
+    if (activeGame && !isWatchingReplay()) {
+        activeGame.emit(type, value);
+    }
+}
+
+onCommand(event => {
+    if (event.type === 'execute') {
+        emitToActiveGame(GameEvent.ACTION, { name: event.name, args: event.args });
+    } else {
+        emitToActiveGame(event.type === 'undo' ? GameEvent.UNDO : GameEvent.REDO);
+    }
+});
+onTurnChange(currentTurn => emitToActiveGame(GameEvent.TURN_START, currentTurn));
+onGameOver(result => emitToActiveGame(GameEvent.GAME_OVER, result));
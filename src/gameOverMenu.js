@@ -0,0 +1,78 @@
+/**
+ * Game over menu module showing the result of a finished game
+ */
+import { mapState } from './mapState.js';
+import { builtInMaps } from './maps.js';
+import { getControllers, getPlayerName } from './players.js';
+import { startGame } from './newGameMenu.js';
+import { createButton, createOverlay, createHeading } from './ui.js';
+import { getSeed } from './random.js';
+import { getRecording } from './replay.js';
+import { showReplayViewer } from './replayViewer.js';
+
+// Descriptions of how a game was decided
+const reasonText = {
+    annihilation: 'All enemy units were destroyed',
+    capture: 'The objective was captured',
+    survive: 'The defenders held out',
+    commander: 'The enemy commander fell'
+};
+
+/**
+ * Show the game over overlay
+ * @param {HTMLElement} container - Container element for the overlay
+ * @param {import('./victory.js').GameResult} result - Result of the game
+ * @param {Function} renderFn - Render function to call after starting a new game
+ */
+export function showGameOverMenu(container, result, renderFn) {
+    const { overlay, panel } = createOverlay(container);
+
+    const title = result.winner ? `${getPlayerName(result.winner).toUpperCase()} WINS` : 'DRAW';
+    panel.appendChild(createHeading(title));
+
+    const details = [
+        reasonText[result.reason] ?? result.reason,
+        `Turns played: ${result.turnNumber}`,
+        `Seed: ${getSeed()}`,
+        ...Object.entries(mapState.casualties).map(([owner, count]) => `${getPlayerName(owner)} casualties: ${count}`)
+    ];
+    for (const line of details) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = line;
+        paragraph.style.marginBottom = '6px';
+        panel.appendChild(paragraph);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '8px';
+    buttons.style.marginTop = '12px';
+    panel.appendChild(buttons);
+
+    // Whoever played a faction keeps playing it
+    const controllers = getControllers();
+
+    /**
+     * Start a new game on a map and close the overlay
+     * @param {import('./mapFormat.js').MapFile} map
+     */
+    function startMap(map) {
+        overlay.remove();
+        startGame(map, controllers);
+        renderFn();
+    }
+
+    const currentMap = mapState.startingMap;
+    if (currentMap) {
+        buttons.appendChild(createButton('Play Again', () => startMap(currentMap)));
+    }
+
+    buttons.appendChild(createButton('Watch Replay', () => {
+        overlay.remove();
+        showReplayViewer(container, getRecording(), renderFn);
+    }));
+
+    const currentIndex = builtInMaps.findIndex(map => map.name === currentMap?.name);
+    const nextMap = builtInMaps[(currentIndex + 1) % builtInMaps.length];
+    buttons.appendChild(createButton(`Next Map: ${nextMap.name}`, () => startMap(nextMap)));
+}
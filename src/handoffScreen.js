@@ -0,0 +1,47 @@
+/**
+ * Handoff screen module hiding the battlefield between the turns of human players sharing a device
+ */
+import { mapState, onTurnChange } from './mapState.js';
+import { countHumanPlayers, getPlayer, isHumanPlayer } from './players.js';
+import { createButton, createOverlay, createHeading } from './ui.js';
+import { isWatchingReplay } from './replay.js';
+
+/**
+ * Show the handoff screen for a player
+ * @param {HTMLElement} container - Container element for the overlay
+ * @param {import('./players.js').Player} player - Player whose turn starts
+ * @param {Function} renderFn - Render function to call once the player is ready
+ */
+export function showHandoffScreen(container, player, renderFn) {
+    const { overlay, panel } = createOverlay(container);
+
+    // Opaque, the previous player's view must not show through
+    overlay.style.backgroundColor = '#1e2022';
+    panel.style.borderTop = `6px solid ${player.color}`;
+    panel.style.textAlign = 'center';
+
+    panel.appendChild(createHeading(`${player.name}'s turn`));
+
+    const hint = document.createElement('p');
+    hint.textContent = `Pass the device to ${player.name}`;
+    hint.style.marginBottom = '12px';
+    panel.appendChild(hint);
+
+    panel.appendChild(createButton('Start Turn', () => {
+        overlay.remove();
+        renderFn();
+    }));
+}
+
+/**
+ * Show the handoff screen whenever a human player's turn starts and more than one human plays
+ * @param {HTMLElement} container - Container element for the overlay
+ * @param {Function} renderFn - Render function to call once the player is ready
+ */
+export function setupHandoff(container, renderFn) {
+    onTurnChange(currentTurn => {
+        if (mapState.gameOver || !isHumanPlayer(currentTurn) || countHumanPlayers() < 2) return;
+        if (isWatchingReplay()) return;
+        showHandoffScreen(container, getPlayer(currentTurn), renderFn);
+    });
+}
@@ -0,0 +1,357 @@
+/**
+ * Hex coordinate module for converting between offset, cube and axial coordinates and pixels
+ *
+ * Cells are stored by row and column (offset coordinates), all geometry is done in
+ * cube coordinates where q + r + s = 0. Pointy-top layouts shift odd rows right
+ * (odd-r), flat-top layouts shift odd columns down (odd-q).
+ */
+
+/**
+ * @typedef {{q: number, r: number, s: number}} Cube
+ * @typedef {{q: number, r: number}} Axial
+ * @typedef {{row: number, col: number}} Offset
+ */
+
+/**
+ * @typedef {Object} Layout
+ * @property {string} orientation - Orientation from Orientation
+ * @property {{x: number, y: number}} size - Distance from a hex center to its corners, per axis
+ * @property {{x: number, y: number}} origin - Pixel position of the hex at row 0, column 0
+ */
+
+// Define the hex orientations
+export const Orientation = {
+    POINTY: 'pointy',
+    FLAT: 'flat'
+};
+
+const SQRT3 = Math.sqrt(3);
+
+// Forward and inverse matrices converting axial coordinates to pixels, per orientation
+const orientationMatrices = {
+    [Orientation.POINTY]: {
+        forward: [SQRT3, SQRT3 / 2, 0, 3 / 2],
+        inverse: [SQRT3 / 3, -1 / 3, 0, 2 / 3],
+        startAngle: 0.5 // Corners start at 30°
+    },
+    [Orientation.FLAT]: {
+        forward: [3 / 2, 0, SQRT3 / 2, SQRT3],
+        inverse: [2 / 3, 0, -1 / 3, SQRT3 / 3],
+        startAngle: 0
+    }
+};
+
+/**
+ * Create cube coordinates
+ * @param {number} q
+ * @param {number} r
+ * @param {number} [s=-q-r]
+ * @returns {Cube}
+ */
+export function cube(q, r, s = -q - r) {
+    return { q, r, s };
+}
+
+// Unit steps to the six neighbors, starting north-west (north for flat-top) and going clockwise
+export const cubeDirections = [
+    cube(0, -1),
+    cube(1, -1),
+    cube(1, 0),
+    cube(0, 1),
+    cube(-1, 1),
+    cube(-1, 0)
+];
+
+/**
+ * Convert axial to cube coordinates
+ * @param {Axial} axial
+ * @returns {Cube}
+ */
+export function axialToCube({ q, r }) {
+    return cube(q, r);
+}
+
+/**
+ * Convert cube to axial coordinates
+ * @param {Cube} hex
+ * @returns {Axial}
+ */
+export function cubeToAxial({ q, r }) {
+    return { q, r };
+}
+
+/**
+ * Convert offset to cube coordinates
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {string} [orientation=Orientation.POINTY] - Orientation from Orientation
+ * @returns {Cube}
+ */
+export function offsetToCube(row, col, orientation = Orientation.POINTY) {
+    if (orientation === Orientation.FLAT) {
+        return cube(col, row - (col - (col & 1)) / 2);
+    }
+    return cube(col - (row - (row & 1)) / 2, row);
+}
+
+/**
+ * Convert cube to offset coordinates
+ * @param {Cube} hex
+ * @param {string} [orientation=Orientation.POINTY] - Orientation from Orientation
+ * @returns {Offset}
+ */
+export function cubeToOffset({ q, r }, orientation = Orientation.POINTY) {
+    if (orientation === Orientation.FLAT) {
+        return { row: r + (q - (q & 1)) / 2, col: q };
+    }
+    return { row: r, col: q + (r - (r & 1)) / 2 };
+}
+
+/**
+ * Add two hexes
+ * @param {Cube} a
+ * @param {Cube} b
+ * @returns {Cube}
+ */
+export function cubeAdd(a, b) {
+    return cube(a.q + b.q, a.r + b.r, a.s + b.s);
+}
+
+/**
+ * Subtract a hex from another
+ * @param {Cube} a
+ * @param {Cube} b
+ * @returns {Cube}
+ */
+export function cubeSubtract(a, b) {
+    return cube(a.q - b.q, a.r - b.r, a.s - b.s);
+}
+
+/**
+ * Multiply a hex by a factor
+ * @param {Cube} hex
+ * @param {number} factor
+ * @returns {Cube}
+ */
+export function cubeScale(hex, factor) {
+    return cube(hex.q * factor, hex.r * factor, hex.s * factor);
+}
+
+/**
+ * Get the neighbor of a hex in a direction
+ * @param {Cube} hex
+ * @param {number} direction - Index into cubeDirections
+ * @returns {Cube}
+ */
+export function cubeNeighbor(hex, direction) {
+    return cubeAdd(hex, cubeDirections[((direction % 6) + 6) % 6]);
+}
+
+/**
+ * Get all six neighbors of a hex, in the order of cubeDirections
+ * @param {Cube} hex
+ * @returns {Array<Cube>}
+ */
+export function cubeNeighbors(hex) {
+    return cubeDirections.map(direction => cubeAdd(hex, direction));
+}
+
+/**
+ * Distance in hexes between two hexes
+ * @param {Cube} a
+ * @param {Cube} b
+ * @returns {number}
+ */
+export function cubeDistance(a, b) {
+    return Math.max(Math.abs(a.q - b.q), Math.abs(a.r - b.r), Math.abs(a.s - b.s));
+}
+
+/**
+ * Round fractional cube coordinates to the hex containing them
+ * @param {Cube} hex - Fractional cube coordinates
+ * @returns {Cube}
+ */
+export function cubeRound({ q, r, s }) {
+    let roundedQ = Math.round(q);
+    let roundedR = Math.round(r);
+    let roundedS = Math.round(s);
+
+    // Fix the axis with the largest rounding error so the coordinates add up to 0
+    const errorQ = Math.abs(roundedQ - q);
+    const errorR = Math.abs(roundedR - r);
+    const errorS = Math.abs(roundedS - s);
+    if (errorQ > errorR && errorQ > errorS) {
+        roundedQ = -roundedR - roundedS;
+    } else if (errorR > errorS) {
+        roundedR = -roundedQ - roundedS;
+    } else {
+        roundedS = -roundedQ - roundedR;
+    }
+
+    // Avoid -0 leaking into keys and comparisons
+    return cube(roundedQ + 0, roundedR + 0, roundedS + 0);
+}
+
+/**
+ * Interpolate between two hexes
+ * @param {Cube} a
+ * @param {Cube} b
+ * @param {number} t - 0 for a, 1 for b
+ * @returns {Cube} Fractional cube coordinates
+ */
+export function cubeLerp(a, b, t) {
+    return cube(a.q + (b.q - a.q) * t, a.r + (b.r - a.r) * t, a.s + (b.s - a.s) * t);
+}
+
+/**
+ * Get the hexes on the straight line between two hexes, both ends included
+ * The line is nudged slightly so it never runs exactly along a hex edge
+ * @param {Cube} a
+ * @param {Cube} b
+ * @returns {Array<Cube>}
+ */
+export function cubeLine(a, b) {
+    const steps = cubeDistance(a, b);
+    const start = cube(a.q + 1e-6, a.r + 2e-6, a.s - 3e-6);
+    const end = cube(b.q + 1e-6, b.r + 2e-6, b.s - 3e-6);
+
+    const line = [];
+    for (let step = 0; step <= steps; step++) {
+        line.push(cubeRound(cubeLerp(start, end, steps === 0 ? 0 : step / steps)));
+    }
+    return line;
+}
+
+/**
+ * Get all hexes within a distance of a hex
+ * @param {Cube} center
+ * @param {number} radius
+ * @returns {Array<Cube>}
+ */
+export function cubeRange(center, radius) {
+    const hexes = [];
+    for (let q = -radius; q <= radius; q++) {
+        for (let r = Math.max(-radius, -q - radius); r <= Math.min(radius, -q + radius); r++) {
+            hexes.push(cubeAdd(center, cube(q, r)));
+        }
+    }
+    return hexes;
+}
+
+/**
+ * Get the hexes at exactly a distance from a hex, going around clockwise
+ * @param {Cube} center
+ * @param {number} radius
+ * @returns {Array<Cube>}
+ */
+export function cubeRing(center, radius) {
+    if (radius === 0) return [center];
+
+    const hexes = [];
+    // Start at the corner reached by walking radius steps west, then walk each side
+    let hex = cubeAdd(center, cubeScale(cubeDirections[5], radius));
+    for (let side = 0; side < 6; side++) {
+        for (let step = 0; step < radius; step++) {
+            hexes.push(hex);
+            hex = cubeNeighbor(hex, side + 1);
+        }
+    }
+    return hexes;
+}
+
+/**
+ * Get all hexes within a distance of a hex, ring by ring from the center outwards
+ * @param {Cube} center
+ * @param {number} radius
+ * @returns {Array<Cube>}
+ */
+export function cubeSpiral(center, radius) {
+    const hexes = [];
+    for (let ring = 0; ring <= radius; ring++) {
+        hexes.push(...cubeRing(center, ring));
+    }
+    return hexes;
+}
+
+/**
+ * Rotate a hex around a center in 60° steps
+ * @param {Cube} hex
+ * @param {number} steps - Number of 60° steps, positive is clockwise
+ * @param {Cube} [center=cube(0, 0)] - Hex to rotate around
+ * @returns {Cube}
+ */
+export function cubeRotate(hex, steps, center = cube(0, 0)) {
+    let { q, r, s } = cubeSubtract(hex, center);
+    const turns = ((steps % 6) + 6) % 6;
+    for (let turn = 0; turn < turns; turn++) {
+        [q, r, s] = [-r, -s, -q];
+    }
+    return cubeAdd(center, cube(q + 0, r + 0, s + 0));
+}
+
+/**
+ * Create a layout mapping hexes to pixels
+ * @param {string} orientation - Orientation from Orientation
+ * @param {{x: number, y: number}} size - Distance from a hex center to its corners, per axis
+ * @param {{x: number, y: number}} [origin={x: 0, y: 0}] - Pixel position of the hex at row 0, column 0
+ * @returns {Layout}
+ */
+export function createLayout(orientation, size, origin = { x: 0, y: 0 }) {
+    return { orientation, size, origin };
+}
+
+/**
+ * Get the pixel position of a hex center
+ * @param {Layout} layout
+ * @param {Cube} hex
+ * @returns {{x: number, y: number}}
+ */
+export function hexToPixel(layout, hex) {
+    const [f0, f1, f2, f3] = orientationMatrices[layout.orientation].forward;
+    const x = (f0 * hex.q + f1 * hex.r) * layout.size.x;
+    const y = (f2 * hex.q + f3 * hex.r) * layout.size.y;
+    return { x: x + layout.origin.x, y: y + layout.origin.y };
+}
+
+/**
+ * Get the fractional hex at a pixel position
+ * @param {Layout} layout
+ * @param {number} x
+ * @param {number} y
+ * @returns {Cube} Fractional cube coordinates, see cubeRound
+ */
+export function pixelToHex(layout, x, y) {
+    const [b0, b1, b2, b3] = orientationMatrices[layout.orientation].inverse;
+    const px = (x - layout.origin.x) / layout.size.x;
+    const py = (y - layout.origin.y) / layout.size.y;
+    return cube(b0 * px + b1 * py, b2 * px + b3 * py);
+}
+
+/**
+ * Get the hex containing a pixel position
+ * @param {Layout} layout
+ * @param {number} x
+ * @param {number} y
+ * @returns {Offset} Row and column of the hex
+ */
+export function pixelToOffset(layout, x, y) {
+    return cubeToOffset(cubeRound(pixelToHex(layout, x, y)), layout.orientation);
+}
+
+/**
+ * Get the corners of a hex drawn at a position
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Distance from the center to the corners
+ * @param {string} [orientation=Orientation.POINTY] - Orientation from Orientation
+ * @returns {Array<{x: number, y: number}>} Six corners, clockwise
+ */
+export function hexCorners(x, y, size, orientation = Orientation.POINTY) {
+    const { startAngle } = orientationMatrices[orientation];
+    const corners = [];
+    for (let corner = 0; corner < 6; corner++) {
+        const angle = 2 * Math.PI * (startAngle + corner) / 6;
+        corners.push({ x: x + size * Math.cos(angle), y: y + size * Math.sin(angle) });
+    }
+    return corners;
+}
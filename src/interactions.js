@@ -3,53 +3,70 @@
  */
 import { 
     appState, 
-    toggleCellState, 
     setZoom, 
     panView,
     selectUnit,
-    moveUnit,
     getCell,
     clearHighlightedCells,
-    endTurn
+    findPath,
+    getPathCost,
+    getAttackBlock,
+    selectAbility
 } from './state.js';
-import { screenToWorld } from './renderer.js';
-import { isPointInHexagon } from './hexagon.js';
+import { screenToWorld, animateUnitMove } from './renderer.js';
+import { forecastAttack } from './combat.js';
+import { getHexLayout } from './config.js';
+import { pixelToOffset } from './hexCoords.js';
+import { AttackBlockReason } from './mapState.js';
+import { LineBlocker } from './visibility.js';
+import { getTerrainDefinition } from './terrain.js';
+import { editorState, applyTool, onEditorToggle } from './editor.js';
+import { isWatchingReplay } from './replay.js';
+import { GameEvent } from './game.js';
 
 /**
  * Set up all interaction handlers
  * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {import('./game.js').Game} game - Game the player's actions are dispatched to
  * @param {Function} renderFn - Render function to call on updates
  */
-export function setupInteractions(canvas, renderFn) {
+export function setupInteractions(canvas, game, renderFn) {
     // Click handler
-    canvas.addEventListener('click', (event) => handleClick(event, canvas, renderFn));
+    canvas.addEventListener('click', (event) => handleClick(event, canvas, game, renderFn));
     
     // Mouse handlers for panning
     canvas.addEventListener('mousedown', (event) => handleMouseDown(event, canvas));
     window.addEventListener('mousemove', (event) => handleMouseMove(event, renderFn));
     window.addEventListener('mouseup', (event) => handleMouseUp(event, canvas));
     
+    // Mouse handler for hover previews
+    canvas.addEventListener('mousemove', (event) => handleHover(event, canvas, renderFn));
+    
     // Wheel handler for zooming
     canvas.addEventListener('wheel', (event) => handleWheel(event, canvas, renderFn));
     
     // Touch handlers for mobile
     canvas.addEventListener('touchstart', (event) => handleTouchStart(event, canvas));
     canvas.addEventListener('touchmove', (event) => handleTouchMove(event, canvas, renderFn));
-    canvas.addEventListener('touchend', (event) => handleTouchEnd(event, canvas, renderFn));
+    canvas.addEventListener('touchend', (event) => handleTouchEnd(event, canvas, game, renderFn));
     
     // Prevent context menu on long press (mobile)
     canvas.addEventListener('contextmenu', (event) => event.preventDefault());
     
+    // Keyboard shortcuts for undo/redo
+    window.addEventListener('keydown', (event) => handleKeyDown(event, game, renderFn));
+    
     // Create an End Turn button
-    createEndTurnButton(canvas.parentElement, renderFn);
+    createEndTurnButton(canvas.parentElement, game, renderFn);
 }
 
 /**
  * Create a button to end the current turn
  * @param {HTMLElement} container - Container element for the button
+ * @param {import('./game.js').Game} game - Game whose turns the button ends
  * @param {Function} renderFn - Render function to call on updates
  */
-function createEndTurnButton(container, renderFn) {
+function createEndTurnButton(container, game, renderFn) {
     // Create button element
     const button = document.createElement('button');
     button.textContent = 'End Turn';
@@ -67,24 +84,30 @@ function createEndTurnButton(container, renderFn) {
     
     // Add hover effect
     button.addEventListener('mouseover', () => {
-        button.style.backgroundColor = '#45a049';
+        button.style.opacity = '0.85';
     });
     
     button.addEventListener('mouseout', () => {
-        button.style.backgroundColor = '#4CAF50';
+        button.style.opacity = '1';
     });
     
     // Add click handler
     button.addEventListener('click', () => {
-        endTurn(renderFn);
-        renderFn();
+        // The AI ends its own turn, played back games can't be played
+        if (!appState.isHumanTurn || isWatchingReplay()) return;
         
-        // Update button color based on current turn
-        if (appState.currentTurn === 'player') {
-            button.style.backgroundColor = '#4CAF50';
-        } else {
-            button.style.backgroundColor = '#F44336';
-        }
+        game.dispatch({ type: 'endTurn' });
+        renderFn();
+    });
+    
+    // Update button color to the color of the player whose turn it is
+    game.on(GameEvent.TURN_START, () => {
+        button.style.backgroundColor = appState.currentPlayer?.color ?? '#4CAF50';
+    });
+    
+    // There are no turns while editing the map
+    onEditorToggle(enabled => {
+        button.style.display = enabled ? 'none' : '';
     });
     
     // Add to container
@@ -116,14 +139,15 @@ const DRAG_THRESHOLD = 5;
  * Handle click/tap events
  * @param {MouseEvent} event - Mouse event
  * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {import('./game.js').Game} game - Game to dispatch the action to
  * @param {Function} renderFn - Render function
  */
-function handleClick(event, canvas, renderFn) {
+function handleClick(event, canvas, game, renderFn) {
     // Don't process click if we're still dragging or if there was significant movement
     if (appState.view.isDragging || hasMoved) return;
     
-    // Don't process clicks during AI's turn
-    if (appState.currentTurn === 'ai') return;
+    // Played back games can be looked at, not played
+    if (isWatchingReplay()) return;
     
     const rect = canvas.getBoundingClientRect();
     const screenX = event.clientX - rect.left;
@@ -136,41 +160,154 @@ function handleClick(event, canvas, renderFn) {
         return;
     }
     
-    // Convert screen coordinates to world coordinates
-    const worldPos = screenToWorld(canvas, screenX, screenY);
+    // In the editor clicks paint the map, hexes outside of it included
+    if (editorState.enabled) {
+        const cell = findCellAt(canvas, screenX, screenY, true);
+        if (cell && applyTool(cell)) renderFn();
+        return;
+    }
     
-    // Find the clicked cell
-    let clickedCell = null;
-    let clickedRow = -1;
-    let clickedCol = -1;
+    // Don't process clicks during AI's turn or once the game is over
+    if (!appState.isHumanTurn || appState.gameOver) return;
     
-    for (let rowIndex = 0; rowIndex < appState.cells.length; rowIndex++) {
-        const row = appState.cells[rowIndex];
-        
-        for (let cellIndex = 0; cellIndex < row.length; cellIndex++) {
-            const cell = row[cellIndex];
-            
-            if (!cell.isVisible) continue;
-            
-            // Check if click is within hexagon using world coordinates
-            if (isPointInHexagon(worldPos.x, worldPos.y, cell.x, cell.y, appState.hexSize)) {
-                clickedCell = cell;
-                clickedRow = rowIndex;
-                clickedCol = cellIndex;
-                break;
-            }
-        }
-        
-        if (clickedCell) break;
-    }
+    // Find the clicked cell
+    const clickedCell = findCellAt(canvas, screenX, screenY);
     
     // If no cell was clicked, return
     if (!clickedCell) return;
     
     console.log('Cell clicked:', clickedCell);
     
+    // The previews are stale once the unit moves or the selection changes
+    appState.view.pathPreview = null;
+    appState.view.targetTooltip = null;
+    appState.view.combatForecast = null;
+    
     // Handle unit selection and movement
-    handleCellInteraction(clickedCell, clickedRow, clickedCol, renderFn);
+    handleCellInteraction(clickedCell, clickedCell.rowIndex, clickedCell.cellIndex, game, renderFn);
+}
+
+/**
+ * Find the visible cell under a point on the canvas
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {number} screenX - Screen X coordinate relative to the canvas
+ * @param {number} screenY - Screen Y coordinate relative to the canvas
+ * @param {boolean} [includeHidden=false] - Whether cells outside the map can be found too
+ * @returns {Object|null} Cell under the point or null
+ */
+function findCellAt(canvas, screenX, screenY, includeHidden = false) {
+    // Convert screen coordinates to world coordinates
+    const worldPos = screenToWorld(canvas, screenX, screenY);
+    
+    // Round the point to the hex containing it
+    const { row, col } = pixelToOffset(getHexLayout(), worldPos.x, worldPos.y);
+    const cell = appState.cells[row]?.[col];
+    if (!cell || (!cell.isVisible && !includeHidden)) return null;
+    
+    return cell;
+}
+
+/**
+ * Handle mouse hover to preview the path of the selected unit
+ * @param {MouseEvent} event - Mouse event
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Function} renderFn - Render function
+ */
+function handleHover(event, canvas, renderFn) {
+    if (appState.view.isDragging) return;
+    
+    const rect = canvas.getBoundingClientRect();
+    const cell = findCellAt(canvas, event.clientX - rect.left, event.clientY - rect.top);
+    if (cell === appState.view.hoveredCell) return;
+    
+    appState.view.hoveredCell = cell;
+    updatePathPreview();
+    updateTargetTooltip();
+    updateCombatForecast();
+    renderFn();
+}
+
+/**
+ * Recompute the path preview from the selected unit to the hovered cell
+ */
+function updatePathPreview() {
+    const { selectedUnit } = appState;
+    const target = appState.view.hoveredCell;
+    appState.view.pathPreview = null;
+    
+    if (!selectedUnit || !target?.isHighlighted || !appState.isHumanTurn) return;
+    
+    const start = getCell(selectedUnit.position.row, selectedUnit.position.col);
+    const path = findPath(start, target, selectedUnit);
+    if (path) {
+        appState.view.pathPreview = { path, cost: getPathCost(path, selectedUnit) };
+    }
+}
+
+/**
+ * Explain why the selected unit can't attack the hovered enemy
+ */
+function updateTargetTooltip() {
+    const { selectedUnit } = appState;
+    const target = appState.view.hoveredCell;
+    appState.view.targetTooltip = null;
+    
+    if (!selectedUnit || !target?.unit || target.isAttackable || !appState.isHumanTurn) return;
+    
+    // Ability targets are highlighted while an ability is aimed
+    if (appState.activeAbility) return;
+    
+    const block = getAttackBlock(selectedUnit, target.unit);
+    const text = block && describeAttackBlock(block, selectedUnit);
+    if (!text) return;
+    
+    const blocker = block.blocker ? { row: block.blocker.row, col: block.blocker.col } : null;
+    appState.view.targetTooltip = { cell: target, text, blocker };
+}
+
+/**
+ * Forecast the attack of the selected unit on the hovered enemy
+ */
+function updateCombatForecast() {
+    const { selectedUnit } = appState;
+    const target = appState.view.hoveredCell;
+    appState.view.combatForecast = null;
+    
+    if (!selectedUnit || !target?.isAttackable || !appState.isHumanTurn) return;
+    
+    const forecast = forecastAttack(selectedUnit, target.unit);
+    if (forecast) {
+        appState.view.combatForecast = { cell: target, forecast };
+    }
+}
+
+/**
+ * Describe why an attack isn't allowed
+ * @param {import('./mapState.js').AttackBlock} block - Reason the attack is blocked
+ * @param {import('./unit.js').Unit} attacker - Attacking unit
+ * @returns {string|null} Tooltip text, null when there's nothing to explain (own units, hidden enemies)
+ */
+function describeAttackBlock(block, attacker) {
+    switch (block.reason) {
+        case AttackBlockReason.CANNOT_ATTACK:
+            return 'Already attacked this turn';
+        case AttackBlockReason.OUT_OF_RANGE:
+            return `Out of range: ${block.distance} hexes away, range ${attacker.attackRange}`;
+        case AttackBlockReason.NO_LINE_OF_SIGHT:
+            switch (block.blocker?.type) {
+                case LineBlocker.TERRAIN:
+                    return `Line of sight blocked by ${getTerrainDefinition(block.blocker.cell.terrain).name.toLowerCase()}`;
+                case LineBlocker.UNIT:
+                    return `Line of sight blocked by a ${block.blocker.cell.unit.getName().toLowerCase()}`;
+                case LineBlocker.OUTSIDE_MAP:
+                    return 'Line of sight leaves the map';
+                default:
+                    // A unit the player can't see, neither it nor its hex is given away
+                    return 'Line of sight blocked';
+            }
+        default:
+            return null;
+    }
 }
 
 /**
@@ -178,13 +315,31 @@ function handleClick(event, canvas, renderFn) {
  * @param {Object} cell - The cell that was clicked
  * @param {number} rowIndex - Row index of the cell
  * @param {number} colIndex - Column index of the cell
+ * @param {import('./game.js').Game} game - Game to dispatch the action to
  * @param {Function} renderFn - Render function
  */
-function handleCellInteraction(cell, rowIndex, colIndex, renderFn) {
+function handleCellInteraction(cell, rowIndex, colIndex, game, renderFn) {
     // If a unit is already selected
     const { selectedUnit } = appState;
     if (selectedUnit) {
         
+        // While an ability is aimed, clicks use it on a target or put it away
+        if (appState.activeAbility) {
+            if (cell.isAbilityTarget) {
+                game.dispatch({
+                    type: 'ability',
+                    unit: selectedUnit,
+                    ability: appState.activeAbility,
+                    row: rowIndex,
+                    col: colIndex
+                });
+            } else {
+                selectAbility(null);
+            }
+            renderFn();
+            return;
+        }
+        
         // If clicked on the same unit, deselect it
         if (cell.unit === selectedUnit) {
             selectUnit(null);
@@ -192,8 +347,8 @@ function handleCellInteraction(cell, rowIndex, colIndex, renderFn) {
             return;
         }
         
-        // If clicked on another unit owned by player, select it instead
-        if (cell.unit && cell.unit.owner === 'player') {
+        // If clicked on another unit of the current player, select it instead
+        if (cell.unit && cell.unit.owner === appState.currentTurn) {
             selectUnit(cell.unit);
             renderFn();
             return;
@@ -201,14 +356,22 @@ function handleCellInteraction(cell, rowIndex, colIndex, renderFn) {
         
         // If clicked on a highlighted (valid move) cell
         if (cell.isHighlighted) {
-            // Move the unit
-            moveUnit(selectedUnit, rowIndex, colIndex);
+            // Move the unit and walk it along its path
+            const start = getCell(selectedUnit.position.row, selectedUnit.position.col);
+            const path = findPath(start, cell, selectedUnit);
+            if (game.dispatch({ type: 'move', unit: selectedUnit, row: rowIndex, col: colIndex })) {
+                animateUnitMove(selectedUnit, path, renderFn);
+            }
             renderFn();
             return;
         }
         
         // If clicked on an enemy unit and in attack range, attack it
-        // (Attack logic would go here)
+        if (cell.unit && cell.isAttackable) {
+            game.dispatch({ type: 'attack', unit: selectedUnit, target: cell.unit });
+            renderFn();
+            return;
+        }
         
         // Otherwise, deselect the current unit
         selectUnit(null);
@@ -220,11 +383,34 @@ function handleCellInteraction(cell, rowIndex, colIndex, renderFn) {
         if (cell.unit && cell.unit.owner === appState.currentTurn) {
             selectUnit(cell.unit);
             renderFn();
-            return;
         }
-        
-        // Otherwise just toggle the cell state (legacy behavior)
-        toggleCellState(rowIndex, colIndex);
+    }
+}
+
+/**
+ * Handle keyboard shortcuts
+ * Ctrl+Z undoes the last action, Ctrl+Shift+Z redoes it, Escape puts away the aimed ability
+ * @param {KeyboardEvent} event - Keyboard event
+ * @param {import('./game.js').Game} game - Game whose actions are undone
+ * @param {Function} renderFn - Render function
+ */
+function handleKeyDown(event, game, renderFn) {
+    if (isWatchingReplay()) return;
+    
+    if (event.key === 'Escape' && appState.activeAbility) {
+        selectAbility(null);
+        renderFn();
+        return;
+    }
+    
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+    event.preventDefault();
+    
+    // Only a human player's own actions can be undone
+    if (!appState.isHumanTurn) return;
+    
+    const changed = event.shiftKey ? game.redo() : game.undo();
+    if (changed) {
         renderFn();
     }
 }
@@ -427,9 +613,10 @@ function handleTouchMove(event, canvas, renderFn) {
  * Handle touch end for mobile interactions
  * @param {TouchEvent} event - Touch event
  * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {import('./game.js').Game} game - Game to dispatch the action to
  * @param {Function} renderFn - Render function
  */
-function handleTouchEnd(event, canvas, renderFn) {
+function handleTouchEnd(event, canvas, game, renderFn) {
     // If we have no touches and didn't move significantly, treat as a tap
     if (event.touches.length === 0 && !hasMoved) {
         // Use the last known position to simulate a click
@@ -440,7 +627,7 @@ function handleTouchEnd(event, canvas, renderFn) {
         
         // Small delay to make sure it's a tap
         setTimeout(() => {
-            handleClick(simulatedClick, canvas, renderFn);
+            handleClick(simulatedClick, canvas, game, renderFn);
         }, 10);
     }
     
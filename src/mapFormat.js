@@ -0,0 +1,335 @@
+/**
+ * Map file format module for loading and saving maps
+ *
+ * A map file is a versioned JSON document describing the grid, its terrain,
+ * the players, the starting units and spawn zones of each owner and the victory conditions.
+ */
+import { config } from './config.js';
+import { mapState, initializeCellStates, placeUnit, resetMapState } from './mapState.js';
+import { createUnit, getUnitTypes, UnitOwner } from './unit.js';
+import { terrainDefinitions } from './terrain.js';
+import { ControllerType, createPlayersForMap, getPlayers, setPlayers } from './players.js';
+import { resetVisibility } from './visibility.js';
+
+// Current version of the map file format
+export const MAP_FORMAT_VERSION = 1;
+
+// Largest supported grid in either direction
+export const MAX_MAP_DIMENSION = 200;
+
+// Known victory condition types
+export const VictoryType = {
+    ANNIHILATION: 'annihilation',
+    CAPTURE: 'capture',
+    SURVIVE: 'survive',
+    COMMANDER: 'commander'
+};
+
+/**
+ * @typedef {Object} UnitPlacement
+ * @property {string} type - Unit type from UnitType
+ * @property {string} owner - Owner id, a player of the map or one from UnitOwner
+ * @property {number} row - Row index
+ * @property {number} col - Column index
+ * @property {boolean} [commander] - Whether the unit is its owner's commander
+ */
+
+/**
+ * @typedef {Object} SpawnZone
+ * @property {string} owner - Owner id of the player who may deploy here
+ * @property {number} row - Row index
+ * @property {number} col - Column index
+ */
+
+/**
+ * @typedef {Object} VictoryCondition
+ * @property {string} type - Condition type from VictoryType
+ * @property {number} [row] - Row of the hex to capture ('capture')
+ * @property {number} [col] - Column of the hex to capture ('capture')
+ * @property {string} [owner] - Owner who can capture ('capture', any owner if omitted) or has to survive ('survive')
+ * @property {number} [turns] - Number of turns to survive ('survive')
+ */
+
+/**
+ * @typedef {Object} PlayerEntry
+ * @property {string} id - Owner id used by the player's units
+ * @property {string} [name] - Display name
+ * @property {string} [color] - CSS color of the player's units
+ * @property {string} [controller] - Default controller from ControllerType
+ */
+
+/**
+ * @typedef {Object} MapFile
+ * @property {number} version - Map format version
+ * @property {string} name - Display name of the map
+ * @property {number} width - Number of columns
+ * @property {number} height - Number of rows
+ * @property {Array<Array<number>>} grid - Cell visibility (1 = visible, 0 = invisible)
+ * @property {Array<Array<string>>} terrain - Terrain codes (see terrain.js)
+ * @property {Array<PlayerEntry>} [players] - Players in turn order, the unit owners by default
+ * @property {Array<UnitPlacement>} units - Starting units
+ * @property {Array<SpawnZone>} [spawns] - Spawn zone hexes of each owner
+ * @property {Array<VictoryCondition>} victory - Victory conditions
+ */
+
+/**
+ * Error thrown when a map file can't be loaded
+ */
+export class MapFormatError extends Error {
+    /**
+     * @param {Array<string>} errors - Problems found in the map file
+     */
+    constructor(errors) {
+        super(`Invalid map file:\n- ${errors.join('\n- ')}`);
+        this.name = 'MapFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a map file
+ * @param {any} data - Parsed map file
+ * @returns {Array<string>} List of problems, empty if the map is valid
+ */
+export function validateMap(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        return ['Map file must be a JSON object'];
+    }
+
+    if (data.version !== MAP_FORMAT_VERSION) {
+        errors.push(`Unsupported map version ${data.version}, expected ${MAP_FORMAT_VERSION}`);
+    }
+
+    const { width, height } = data;
+    const validDimension = value => Number.isInteger(value) && value >= 1 && value <= MAX_MAP_DIMENSION;
+    if (!validDimension(width) || !validDimension(height)) {
+        errors.push(`Map dimensions must be whole numbers between 1 and ${MAX_MAP_DIMENSION}, got ${width}x${height}`);
+        return errors;
+    }
+
+    // Grid visibility
+    if (!Array.isArray(data.grid) || data.grid.length !== height) {
+        errors.push(`Grid must have ${height} rows`);
+        return errors;
+    }
+    data.grid.forEach((row, rowIndex) => {
+        if (!Array.isArray(row) || row.length !== width) {
+            errors.push(`Grid row ${rowIndex} must have ${width} cells`);
+        } else if (row.some(value => value !== 0 && value !== 1)) {
+            errors.push(`Grid row ${rowIndex} may only contain 0 or 1`);
+        }
+    });
+
+    // Terrain
+    const terrainCodes = Object.values(terrainDefinitions).map(definition => definition.code);
+    if (!Array.isArray(data.terrain) || data.terrain.length !== height) {
+        errors.push(`Terrain must have ${height} rows`);
+    } else {
+        data.terrain.forEach((row, rowIndex) => {
+            if (!Array.isArray(row) || row.length !== width) {
+                errors.push(`Terrain row ${rowIndex} must have ${width} cells`);
+                return;
+            }
+            row.forEach((code, cellIndex) => {
+                if (!terrainCodes.includes(code)) {
+                    errors.push(`Unknown terrain code '${code}' at ${rowIndex},${cellIndex}`);
+                }
+            });
+        });
+    }
+
+    // Players
+    let unitOwners = Object.values(UnitOwner);
+    if (data.players !== undefined) {
+        if (!Array.isArray(data.players) || data.players.length < 2 || data.players.length > 4) {
+            errors.push('Players must be a list of 2 to 4 players');
+        } else {
+            const controllers = Object.values(ControllerType);
+            data.players.forEach((player, index) => {
+                const label = `Player ${index}`;
+                if (typeof player?.id !== 'string' || player.id === '') {
+                    errors.push(`${label} must have an id`);
+                }
+                if (player?.controller !== undefined && !controllers.includes(player.controller)) {
+                    errors.push(`${label} has unknown controller '${player.controller}'`);
+                }
+            });
+
+            const ids = data.players.map(player => player?.id);
+            if (new Set(ids).size !== ids.length) {
+                errors.push('Player ids must be unique');
+            }
+            unitOwners = [...ids, UnitOwner.NEUTRAL];
+        }
+    }
+
+    // Units
+    if (!Array.isArray(data.units)) {
+        errors.push('Units must be a list');
+    } else {
+        const unitTypes = getUnitTypes();
+        const occupied = new Map();
+
+        data.units.forEach((unit, index) => {
+            const label = `Unit ${index}`;
+            if (!unitTypes.includes(unit?.type)) {
+                errors.push(`${label} has unknown type '${unit?.type}'`);
+            }
+            if (!unitOwners.includes(unit?.owner)) {
+                errors.push(`${label} has unknown owner '${unit?.owner}'`);
+            }
+            if (unit?.commander !== undefined && typeof unit.commander !== 'boolean') {
+                errors.push(`${label} has a non-boolean commander flag`);
+            }
+
+            const { row, col } = unit ?? {};
+            if (!Number.isInteger(row) || !Number.isInteger(col)
+                || row < 0 || row >= height || col < 0 || col >= width) {
+                errors.push(`${label} is placed outside the map at ${row},${col}`);
+                return;
+            }
+            if (data.grid[row]?.[col] !== 1) {
+                errors.push(`${label} is placed on invisible cell ${row},${col}`);
+            }
+
+            const key = `${row},${col}`;
+            if (occupied.has(key)) {
+                errors.push(`${label} overlaps unit ${occupied.get(key)} at ${key}`);
+            } else {
+                occupied.set(key, index);
+            }
+        });
+    }
+
+    // Spawn zones
+    if (data.spawns !== undefined) {
+        if (!Array.isArray(data.spawns)) {
+            errors.push('Spawns must be a list');
+        } else {
+            const spawned = new Set();
+            data.spawns.forEach((spawn, index) => {
+                const label = `Spawn ${index}`;
+                if (!unitOwners.includes(spawn?.owner) || spawn.owner === UnitOwner.NEUTRAL) {
+                    errors.push(`${label} has unknown owner '${spawn?.owner}'`);
+                }
+
+                const key = `${spawn?.row},${spawn?.col}`;
+                if (data.grid[spawn?.row]?.[spawn?.col] !== 1) {
+                    errors.push(`${label} must be on a visible hex, got ${key}`);
+                } else if (spawned.has(key)) {
+                    errors.push(`${label} overlaps another spawn at ${key}`);
+                }
+                spawned.add(key);
+            });
+        }
+    }
+
+    // Victory conditions
+    if (!Array.isArray(data.victory) || data.victory.length === 0) {
+        errors.push('At least one victory condition is required');
+    } else {
+        const victoryTypes = Object.values(VictoryType);
+        data.victory.forEach((condition, index) => {
+            const label = `Victory condition ${index}`;
+            switch (condition?.type) {
+                case VictoryType.CAPTURE: {
+                    const { row, col, owner } = condition;
+                    if (data.grid[row]?.[col] !== 1) {
+                        errors.push(`${label} must target a visible hex, got ${row},${col}`);
+                    }
+                    if (owner !== undefined && !unitOwners.includes(owner)) {
+                        errors.push(`${label} has unknown owner '${owner}'`);
+                    }
+                    break;
+                }
+                case VictoryType.SURVIVE:
+                    if (!unitOwners.includes(condition.owner)) {
+                        errors.push(`${label} has unknown owner '${condition.owner}'`);
+                    }
+                    if (!Number.isInteger(condition.turns) || condition.turns < 1) {
+                        errors.push(`${label} must have a positive number of turns`);
+                    }
+                    break;
+                default:
+                    if (!victoryTypes.includes(condition?.type)) {
+                        errors.push(`${label} has unknown type '${condition?.type}'`);
+                    }
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse map file text
+ * @param {string} text - JSON text of the map file
+ * @returns {MapFile} Parsed map file
+ * @throws {MapFormatError} If the text isn't valid JSON
+ */
+export function parseMap(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new MapFormatError([`File is not valid JSON: ${error.message}`]);
+    }
+}
+
+/**
+ * Load a map file, rebuilding the map state
+ * @param {MapFile} data - Parsed map file
+ * @throws {MapFormatError} If the map file is invalid
+ */
+export function loadMap(data) {
+    const errors = validateMap(data);
+    if (errors.length > 0) {
+        throw new MapFormatError(errors);
+    }
+
+    config.gridConfig = data.grid.map(row => [...row]);
+    config.terrainConfig = data.terrain.map(row => [...row]);
+
+    setPlayers(createPlayersForMap(data));
+    resetMapState();
+    resetVisibility();
+    initializeCellStates();
+    mapState.victoryConditions = data.victory.map(condition => ({ ...condition }));
+    mapState.spawnZones = (data.spawns ?? []).map(spawn => ({ ...spawn }));
+    mapState.startingMap = structuredClone(data);
+
+    for (const placement of data.units) {
+        const unit = createUnit(placement.type, placement.owner);
+        unit.isCommander = placement.commander === true;
+        placeUnit(unit, placement.row, placement.col);
+    }
+}
+
+/**
+ * Serialize the current map and unit positions into a map file
+ * @param {string} [name='Untitled'] - Display name of the map
+ * @returns {MapFile} Map file
+ */
+export function serializeMap(name = 'Untitled') {
+    const cells = mapState.cells;
+
+    return {
+        version: MAP_FORMAT_VERSION,
+        name,
+        width: cells[0]?.length ?? 0,
+        height: cells.length,
+        grid: cells.map(row => row.map(cell => cell.isVisible ? 1 : 0)),
+        terrain: cells.map(row => row.map(cell => terrainDefinitions[cell.terrain].code)),
+        players: getPlayers().map(player => ({ ...player })),
+        units: mapState.units.map(unit => ({
+            type: unit.type,
+            owner: unit.owner,
+            row: unit.position.row,
+            col: unit.position.col,
+            ...(unit.isCommander && { commander: true })
+        })),
+        spawns: mapState.spawnZones.map(spawn => ({ ...spawn })),
+        victory: mapState.victoryConditions.map(condition => ({ ...condition }))
+    };
+}
@@ -0,0 +1,347 @@
+/**
+ * Map generator module creating random maps in the map file format
+ *
+ * Terrain follows two noise fields: elevation decides between water, plains, hills and
+ * mountains, moisture turns some plains into forest. Each terrain gets a fixed share of
+ * the map by ranking the hexes, so every map has a similar mix whatever the noise does.
+ * The same options and seed always give the same map.
+ */
+import { config } from './config.js';
+import { createCell, runDijkstra } from './mapState.js';
+import { TerrainType, IMPASSABLE, terrainDefinitions, getMovementCost, getTerrainFromCode } from './terrain.js';
+import { getUnitDefinition } from './unit.js';
+import { cube, offsetToCube, cubeToOffset } from './hexCoords.js';
+import { createRandom, createSeed } from './random.js';
+import { MAP_FORMAT_VERSION, MAX_MAP_DIMENSION, VictoryType } from './mapFormat.js';
+
+// Smallest map with room for both spawn zones and some ground between them
+export const MIN_GENERATED_DIMENSION = 6;
+
+/**
+ * @typedef {Object} MapGeneratorOptions
+ * @property {number} [width=12] - Number of columns
+ * @property {number} [height=10] - Number of rows
+ * @property {number} [seed] - Seed of the map, a new one by default
+ * @property {boolean} [symmetric=true] - Whether both halves are the same ground turned around, for fair matches
+ * @property {number} [holeDensity=0.06] - Share of hexes left out of the map
+ * @property {Object<string, number>} [terrainShares] - Share of the map each terrain covers, plains fill the rest
+ * @property {Array<string>} [army] - Unit types each side starts with
+ */
+
+// Share of the map each terrain covers by default, plains fill the rest
+const DEFAULT_TERRAIN_SHARES = {
+    [TerrainType.WATER]: 0.12,
+    [TerrainType.MOUNTAINS]: 0.06,
+    [TerrainType.HILLS]: 0.12,
+    [TerrainType.FOREST]: 0.2
+};
+
+// Units each side starts with by default, the Skirmish line-up
+const DEFAULT_ARMY = ['soldier', 'soldier', 'archer', 'knight', 'mage'];
+
+// Rows at each end of the map the sides start in
+const SPAWN_DEPTH = 2;
+
+// Hexes per noise feature, larger values give larger landmasses
+const NOISE_SCALE = 4;
+
+// Noise layers added on top of each other, each with half the size and weight of the one before
+const NOISE_OCTAVES = 3;
+
+// Cost of carving through a blocked hex when connecting the spawn zones, detours are preferred
+const CARVE_COST = 10;
+
+/**
+ * Hash a lattice point to a value
+ * @param {number} x - Lattice column
+ * @param {number} y - Lattice row
+ * @param {number} salt - Seed of the noise field
+ * @returns {number} Value in [0, 1)
+ */
+function latticeValue(x, y, salt) {
+    let hash = (Math.imul(x, 374761393) + Math.imul(y, 668265263) + salt) | 0;
+    hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Sample smooth value noise made of several octaves
+ * @param {number} x - Horizontal position in hexes
+ * @param {number} y - Vertical position in hexes
+ * @param {number} salt - Seed of the noise field
+ * @returns {number} Value in [0, 1)
+ */
+function fractalNoise(x, y, salt) {
+    const smooth = t => t * t * (3 - 2 * t);
+    let total = 0;
+    let weight = 0;
+
+    for (let octave = 0; octave < NOISE_OCTAVES; octave++) {
+        const frequency = 2 ** octave / NOISE_SCALE;
+        const amplitude = 0.5 ** octave;
+        const sx = x * frequency;
+        const sy = y * frequency;
+        const ix = Math.floor(sx);
+        const iy = Math.floor(sy);
+        const fx = smooth(sx - ix);
+        const fy = smooth(sy - iy);
+        const octaveSalt = salt + octave * 1013904223;
+
+        const top = latticeValue(ix, iy, octaveSalt) * (1 - fx) + latticeValue(ix + 1, iy, octaveSalt) * fx;
+        const bottom = latticeValue(ix, iy + 1, octaveSalt) * (1 - fx) + latticeValue(ix + 1, iy + 1, octaveSalt) * fx;
+        total += (top * (1 - fy) + bottom * fy) * amplitude;
+        weight += amplitude;
+    }
+
+    return total / weight;
+}
+
+/**
+ * Get the position of a hex in hexes, so noise is evenly spread over the hex grid
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {{x: number, y: number}}
+ */
+function getHexPosition(row, col) {
+    const { q, r } = offsetToCube(row, col, config.hexOrientation);
+    return { x: q + r / 2, y: r * Math.sqrt(3) / 2 };
+}
+
+/**
+ * Get the hex a hex is mirrored onto in symmetric maps, the map turned around its center
+ * Turning happens in cube coordinates so neighbors stay neighbors. When the grid has an odd
+ * number of shifted rows (columns for flat hexes), one end of them has no counterpart.
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {number} width - Number of columns
+ * @param {number} height - Number of rows
+ * @returns {[number, number]|null} Row and column of the mirrored hex, null if it lies outside the map
+ */
+function getMirroredHex(row, col, width, height) {
+    const orientation = config.hexOrientation;
+    const first = offsetToCube(0, 0, orientation);
+    const last = offsetToCube(height - 1, width - 1, orientation);
+    const hex = offsetToCube(row, col, orientation);
+    const mirrored = cubeToOffset(cube(first.q + last.q - hex.q, first.r + last.r - hex.r), orientation);
+
+    const isInside = mirrored.row >= 0 && mirrored.row < height && mirrored.col >= 0 && mirrored.col < width;
+    return isInside ? [mirrored.row, mirrored.col] : null;
+}
+
+/**
+ * Check if a terrain can be crossed by every unit type of an army
+ * @param {string} terrain - Terrain type from TerrainType
+ * @param {Array<string>} army - Unit types
+ * @returns {boolean}
+ */
+function isPassableForArmy(terrain, army) {
+    return army.every(type => getMovementCost(terrain, type) !== IMPASSABLE);
+}
+
+/**
+ * Assign terrain by ranking hexes on their elevation and moisture
+ * @param {Array<{row: number, col: number, elevation: number, moisture: number}>} hexes - Hexes of the map
+ * @param {Object<string, number>} shares - Share of the map each terrain covers
+ * @returns {Map<string, string>} Terrain type by 'row,col'
+ */
+function assignTerrain(hexes, shares) {
+    const terrain = new Map(hexes.map(hex => [`${hex.row},${hex.col}`, TerrainType.PLAINS]));
+    const count = share => Math.round((share ?? 0) * hexes.length);
+    const byElevation = [...hexes].sort((a, b) => a.elevation - b.elevation);
+
+    // Water fills the lowlands, mountains and then hills the highest ground
+    const water = count(shares[TerrainType.WATER]);
+    const mountains = count(shares[TerrainType.MOUNTAINS]);
+    const hills = count(shares[TerrainType.HILLS]);
+    byElevation.slice(0, water).forEach(hex => terrain.set(`${hex.row},${hex.col}`, TerrainType.WATER));
+    byElevation.slice(byElevation.length - mountains)
+        .forEach(hex => terrain.set(`${hex.row},${hex.col}`, TerrainType.MOUNTAINS));
+    byElevation.slice(byElevation.length - mountains - hills, byElevation.length - mountains)
+        .forEach(hex => terrain.set(`${hex.row},${hex.col}`, TerrainType.HILLS));
+
+    // Forests grow on the wettest plains
+    const plains = hexes.filter(hex => terrain.get(`${hex.row},${hex.col}`) === TerrainType.PLAINS)
+        .sort((a, b) => b.moisture - a.moisture);
+    plains.slice(0, count(shares[TerrainType.FOREST]))
+        .forEach(hex => terrain.set(`${hex.row},${hex.col}`, TerrainType.FOREST));
+
+    return terrain;
+}
+
+/**
+ * Lay out the cells of a grid apart from the current map, for searching it
+ * @param {Array<Array<number>>} grid - Cell visibility
+ * @param {Array<Array<string>>} terrain - Terrain codes
+ * @returns {(row: number, col: number) => import('./mapState.js').Cell|null} Cell lookup for runDijkstra
+ */
+function createCellLookup(grid, terrain) {
+    const cells = grid.map((row, rowIndex) => row.map((visibility, colIndex) =>
+        createCell(rowIndex, colIndex, visibility === 1, getTerrainFromCode(terrain[rowIndex][colIndex]))));
+    return (row, col) => cells[row]?.[col] ?? null;
+}
+
+/**
+ * Make sure every spawn hex can be reached from every other by each unit type of the army
+ * Blocked hexes on the cheapest way between unconnected spawns are turned into open plains
+ * @param {Array<Array<number>>} grid - Cell visibility, changed in place
+ * @param {Array<Array<string>>} terrain - Terrain codes, changed in place
+ * @param {Array<{row: number, col: number}>} spawns - Spawn hexes of both sides
+ * @param {Array<string>} army - Unit types
+ * @param {boolean} symmetric - Whether carved hexes are mirrored as well
+ */
+function connectSpawns(grid, terrain, spawns, army, symmetric) {
+    const height = grid.length;
+    const width = grid[0].length;
+    const plainsCode = terrainDefinitions[TerrainType.PLAINS].code;
+    const isOpen = cell => cell.isVisible && isPassableForArmy(cell.terrain, army);
+
+    // Each carving connects at least one more spawn, so this ends
+    for (let attempt = 0; attempt <= spawns.length; attempt++) {
+        const getGridCell = createCellLookup(grid, terrain);
+        const start = getGridCell(spawns[0].row, spawns[0].col);
+        const reached = runDijkstra(start, isOpen, undefined, undefined, getGridCell);
+        const unreached = spawns.find(spawn => !reached.getNode(getGridCell(spawn.row, spawn.col)).visited);
+        if (!unreached) return;
+
+        // Holes are searched as well so they can be carved, open ground is cheaper to pass
+        const isCarved = cell => !isOpen(cell);
+        // Hexes without a counterpart stay holes in symmetric maps
+        const canCarve = cell => !symmetric || getMirroredHex(cell.rowIndex, cell.cellIndex, width, height) !== null;
+        const carving = runDijkstra(start, canCarve, cell => isCarved(cell) ? CARVE_COST : 1, undefined, getGridCell);
+        for (const cell of carving.getPath(getGridCell(unreached.row, unreached.col))) {
+            if (!isCarved(cell)) continue;
+            const hexes = [[cell.rowIndex, cell.cellIndex]];
+            if (symmetric) hexes.push(getMirroredHex(cell.rowIndex, cell.cellIndex, width, height));
+            for (const [row, col] of hexes) {
+                grid[row][col] = 1;
+                terrain[row][col] = plainsCode;
+            }
+        }
+    }
+
+    throw new Error('Could not connect the spawn zones of the generated map');
+}
+
+/**
+ * Generate a random map
+ * The current map state is left as it was, load the map to play it
+ * @param {MapGeneratorOptions} [options={}]
+ * @returns {import('./mapFormat.js').MapFile} Map file for loadMap
+ * @throws {Error} If the options are invalid
+ */
+export function generateMap(options = {}) {
+    const {
+        width = 12,
+        height = 10,
+        seed = createSeed(),
+        symmetric = true,
+        holeDensity = 0.06,
+        terrainShares = DEFAULT_TERRAIN_SHARES,
+        army = DEFAULT_ARMY
+    } = options;
+
+    const validDimension = value => Number.isInteger(value) && value >= MIN_GENERATED_DIMENSION && value <= MAX_MAP_DIMENSION;
+    if (!validDimension(width) || !validDimension(height)) {
+        throw new Error(`Generated maps must be between ${MIN_GENERATED_DIMENSION} and ${MAX_MAP_DIMENSION} hexes in either direction, got ${width}x${height}`);
+    }
+    if (!(holeDensity >= 0 && holeDensity < 1)) {
+        throw new Error(`Hole density must be at least 0 and below 1, got ${holeDensity}`);
+    }
+    const unknownType = army.find(type => !getUnitDefinition(type));
+    if (unknownType) {
+        throw new Error(`Unknown unit type in army: ${unknownType}`);
+    }
+
+    const random = createRandom(seed);
+    const elevationSalt = Math.floor(random() * 4294967296) | 0;
+    const moistureSalt = Math.floor(random() * 4294967296) | 0;
+
+    // Sample the noise fields on every hex
+    const hexes = [];
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const { x, y } = getHexPosition(row, col);
+            hexes.push({ row, col, elevation: fractalNoise(x, y, elevationSalt), moisture: fractalNoise(x, y, moistureSalt) });
+        }
+    }
+    const terrainTypes = assignTerrain(hexes, terrainShares);
+
+    const isSpawnRow = row => row < SPAWN_DEPTH || row >= height - SPAWN_DEPTH;
+    const plainsCode = terrainDefinitions[TerrainType.PLAINS].code;
+    const grid = [];
+    const terrain = [];
+    for (let row = 0; row < height; row++) {
+        grid.push([]);
+        terrain.push([]);
+        for (let col = 0; col < width; col++) {
+            const type = terrainTypes.get(`${row},${col}`);
+            grid[row].push(random() < holeDensity && !isSpawnRow(row) ? 0 : 1);
+            // Both sides start on ground all of their units can stand on
+            terrain[row].push(isSpawnRow(row) && !isPassableForArmy(type, army) ? plainsCode : terrainDefinitions[type].code);
+        }
+    }
+
+    // The second half is the first one turned around, hexes without a counterpart are left out
+    if (symmetric) {
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const mirrored = getMirroredHex(row, col, width, height);
+                if (!mirrored) {
+                    grid[row][col] = 0;
+                    continue;
+                }
+                const [mirrorRow, mirrorCol] = mirrored;
+                if (row * width + col > mirrorRow * width + mirrorCol) {
+                    grid[row][col] = grid[mirrorRow][mirrorCol];
+                    terrain[row][col] = terrain[mirrorRow][mirrorCol];
+                }
+            }
+        }
+    }
+
+    // Spawn zones fill the rows at both ends, the player starts at the bottom like on the built-in maps
+    const spawns = [];
+    for (let row = 0; row < height; row++) {
+        if (!isSpawnRow(row)) continue;
+        for (let col = 0; col < width; col++) {
+            if (grid[row][col] === 1) spawns.push({ owner: row < SPAWN_DEPTH ? 'ai' : 'player', row, col });
+        }
+    }
+    if (spawns.filter(spawn => spawn.owner === 'player').length < army.length) {
+        throw new Error(`An army of ${army.length} units doesn't fit into the spawn zone of a ${width}x${height} map`);
+    }
+
+    connectSpawns(grid, terrain, spawns, army, symmetric);
+
+    // Armies line up in the outermost row from the middle outwards, spilling into the next one
+    const middleRow = (height - 1) / 2;
+    const middleCol = (width - 1) / 2;
+    const lineUp = owner => spawns
+        .filter(spawn => spawn.owner === owner)
+        .sort((a, b) => Math.abs(b.row - middleRow) - Math.abs(a.row - middleRow)
+            || Math.abs(a.col - middleCol) - Math.abs(b.col - middleCol)
+            || a.col - b.col)
+        .slice(0, army.length)
+        .map((spawn, index) => ({ type: army[index], owner, row: spawn.row, col: spawn.col }));
+    const playerUnits = lineUp('player');
+    // The AI's army stands on the player's hexes turned around, so neither side gets the better ground
+    const aiUnits = symmetric
+        ? playerUnits.map(unit => {
+            const [row, col] = getMirroredHex(unit.row, unit.col, width, height);
+            return { ...unit, owner: 'ai', row, col };
+        })
+        : lineUp('ai');
+
+    return {
+        version: MAP_FORMAT_VERSION,
+        name: `Generated ${width}x${height} #${seed}`,
+        width,
+        height,
+        grid,
+        terrain,
+        units: [...playerUnits, ...aiUnits],
+        spawns,
+        victory: [{ type: VictoryType.ANNIHILATION }]
+    };
+}
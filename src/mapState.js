@@ -2,6 +2,13 @@
  * Map state module for managing grid cells and units
  */
 import { config, calculateHexX, calculateHexY } from './config.js';
+import { TerrainType, IMPASSABLE, getTerrainFromCode, getMovementCost } from './terrain.js';
+import { PriorityQueue } from './priorityQueue.js';
+import { getPlayers } from './players.js';
+import { LineBlocker, isUnitVisibleTo, isCellVisibleTo, findLineBlocker } from './visibility.js';
+import { AbilityTarget, getAbilityDefinition } from './abilities.js';
+import { offsetToCube, cubeToOffset, cubeNeighbors, cubeDistance, cubeLine, cubeSpiral } from './hexCoords.js';
+import { EventBus } from './eventBus.js';
 
 
 /**
@@ -13,8 +20,12 @@ import { config, calculateHexX, calculateHexY } from './config.js';
  * @property {number} rowIndex - Row index in the grid
  * @property {number} cellIndex - Column index in the grid
  * @property {boolean} isVisible - Whether the cell is visible/active in the grid
+ * @property {string} terrain - Terrain type from TerrainType
  * @property {boolean} isActive - Whether the cell is currently selected/active
- * @property {boolean} isHighlighted - Whether the cell is highlighted (for movement/attack range)
+ * @property {boolean} isHighlighted - Whether the cell is highlighted (for movement range)
+ * @property {boolean} isAttackable - Whether the cell holds an enemy unit the selected unit can attack
+ * @property {boolean} isInAttackRange - Whether the selected unit could shoot at the cell from where it stands
+ * @property {boolean} isAbilityTarget - Whether the selected unit's active ability can be aimed at the cell
  * @property {Unit|null} unit - Unit occupying this cell, if any
  * @property {number} x - X coordinate for rendering
  * @property {number} y - Y coordinate for rendering
@@ -27,7 +38,15 @@ import { config, calculateHexX, calculateHexY } from './config.js';
  * @property {Cell|null} activeHexagon - Currently active/selected hexagon cell
  * @property {Array<Unit>} units - Array of all units currently in the game
  * @property {Unit|null} selectedUnit - Currently selected unit, if any
- * @property {'player'|'ai'} currentTurn - Current turn owner ('player' or 'ai')
+ * @property {string|null} activeAbility - Ability of the selected unit being aimed, from AbilityType
+ * @property {string} currentTurn - Owner id of the player whose turn it is
+ * @property {number} turnNumber - Current turn number, starting at 1
+ * @property {Array<import('./mapFormat.js').VictoryCondition>} victoryConditions - Victory conditions of the loaded map
+ * @property {{undoStack: Array<import('./commands.js').Command>, redoStack: Array<import('./commands.js').Command>}} commandLog - Undoable actions of the current turn
+ * @property {import('./mapFormat.js').MapFile|null} startingMap - Map file the current game was started from
+ * @property {Object<string, number>} casualties - Number of units each owner has lost
+ * @property {import('./victory.js').GameResult|null} gameOver - Result of the game once it has ended
+ * @property {Array<import('./mapFormat.js').SpawnZone>} spawnZones - Hexes where each owner may deploy units
  */
 
 /** @type {MapState} */
@@ -36,9 +55,80 @@ export const mapState = {
     activeHexagon: null,
     units: [],
     selectedUnit: null,
-    currentTurn: 'player'
+    activeAbility: null,
+    currentTurn: 'player',
+    turnNumber: 1,
+    victoryConditions: [],
+    commandLog: { undoStack: [], redoStack: [] },
+    startingMap: null,
+    casualties: {},
+    gameOver: null,
+    spawnZones: []
 };
 
+// Define the changes to the map state listeners can follow
+export const MapEvent = {
+    UNIT_MOVED: 'unitMoved',
+    UNIT_ATTACKED: 'unitAttacked',
+    UNIT_DIED: 'unitDied',
+    TURN_STARTED: 'turnStarted',
+    TURN_ENDED: 'turnEnded',
+    SELECTION_CHANGED: 'selectionChanged',
+    CELL_CHANGED: 'cellChanged'
+};
+
+/**
+ * @typedef {Object} MapEvents
+ * @property {{unit: Unit, from: {row: number, col: number}, to: {row: number, col: number}, cost: number}} unitMoved - A unit walked to another cell
+ * @property {import('./combat.js').AttackResult} unitAttacked - An attack and its counterattack or an ability's hit on one unit were dealt, after any deaths
+ * @property {{unit: Unit}} unitDied - A unit died and was taken off the board
+ * @property {{owner: string, turnNumber: number}} turnStarted - A player's turn started, its units are ready
+ * @property {{owner: string, turnNumber: number}} turnEnded - A player ended its turn
+ * @property {{unit: Unit|null, ability: string|null}} selectionChanged - The selected unit, the aimed ability or the highlights changed
+ * @property {{cell: Cell}} cellChanged - A cell's unit, terrain or visibility changed
+ */
+
+/**
+ * Events of the map state, emitted by the functions changing it so the renderer and
+ * anything else can follow the game without being called from the game logic
+ * @type {EventBus<MapEvents>}
+ */
+export const mapEvents = new EventBus();
+
+/**
+ * Register a listener called whenever the turn passes to the next owner
+ * @param {(currentTurn: string) => void} listener - Called with the new turn owner
+ */
+export function onTurnChange(listener) {
+    mapEvents.on(MapEvent.TURN_STARTED, ({ owner }) => listener(owner));
+}
+
+/**
+ * Notify the turn change listeners that the current owner's turn has started
+ * Called by endTurn and when a new game starts
+ */
+export function notifyTurnChange() {
+    mapEvents.emit(MapEvent.TURN_STARTED, { owner: mapState.currentTurn, turnNumber: mapState.turnNumber });
+}
+
+/**
+ * Reset units, selection and turn, e.g. before loading a new map
+ */
+export function resetMapState() {
+    mapState.activeHexagon = null;
+    mapState.units = [];
+    mapState.selectedUnit = null;
+    mapState.activeAbility = null;
+    mapState.currentTurn = getPlayers()[0]?.id ?? 'player';
+    mapState.turnNumber = 1;
+    mapState.victoryConditions = [];
+    mapState.commandLog = { undoStack: [], redoStack: [] };
+    mapState.startingMap = null;
+    mapState.casualties = {};
+    mapState.gameOver = null;
+    mapState.spawnZones = [];
+}
+
 /**
  * Initialize cell states based on grid configuration
  */
@@ -51,44 +141,67 @@ export function initializeCellStates() {
 
         for (let cellIndex = 0; cellIndex < row.length; cellIndex++) {
             const isVisible = row[cellIndex] === 1;
+            const terrainCode = config.terrainConfig?.[rowIndex]?.[cellIndex];
+            const terrain = terrainCode ? getTerrainFromCode(terrainCode) : TerrainType.PLAINS;
 
-            // Calculate position 
-            const x = calculateHexX(rowIndex, cellIndex);
-            const y = calculateHexY(rowIndex);
-
-            // Create state object for each cell
-            mapState.cells[rowIndex][cellIndex] = {
-                rowIndex,
-                cellIndex,
-                isVisible,
-                isActive: false,
-                isHighlighted: false, // For showing movement/attack range
-                unit: null, // Reference to unit on this cell
-                x,
-                y
-            };
+            mapState.cells[rowIndex][cellIndex] = createCell(rowIndex, cellIndex, isVisible, terrain);
         }
     }
 }
 
 /**
- * Toggle activation state of a cell
+ * Create the state object of a cell
  * @param {number} rowIndex - Row index
  * @param {number} cellIndex - Cell index
- * @returns {boolean} New activation state
+ * @param {boolean} isVisible - Whether the cell is part of the map
+ * @param {string} terrain - Terrain type from TerrainType
+ * @returns {Cell} New cell without a unit
  */
-export function toggleCellState(rowIndex, cellIndex) {
-    if (rowIndex >= 0 && rowIndex < mapState.cells.length) {
-        const row = mapState.cells[rowIndex];
-        if (cellIndex >= 0 && cellIndex < row.length) {
-            const cell = row[cellIndex];
-            if (cell.isVisible) {
-                cell.isActive = !cell.isActive;
-                return cell.isActive;
-            }
+export function createCell(rowIndex, cellIndex, isVisible, terrain) {
+    return {
+        rowIndex,
+        cellIndex,
+        isVisible,
+        terrain,
+        isActive: false,
+        isHighlighted: false, // For showing movement range
+        isAttackable: false, // For showing attack targets
+        isInAttackRange: false, // For showing the attack range
+        isAbilityTarget: false, // For showing where an ability can be aimed
+        unit: null, // Reference to unit on this cell
+        x: calculateHexX(rowIndex, cellIndex),
+        y: calculateHexY(rowIndex, cellIndex)
+    };
+}
+
+/**
+ * Recalculate the drawing position of every cell, e.g. after the grid was resized
+ */
+export function updateCellPositions() {
+    for (const row of mapState.cells) {
+        for (const cell of row) {
+            cell.x = calculateHexX(cell.rowIndex, cell.cellIndex);
+            cell.y = calculateHexY(cell.rowIndex, cell.cellIndex);
         }
     }
-    return false;
+}
+
+/**
+ * Toggle whether a cell is part of the map, a unit on a removed cell is removed with it
+ * @param {number} rowIndex - Row index
+ * @param {number} cellIndex - Cell index
+ * @returns {boolean} Whether the cell is part of the map now
+ */
+export function toggleCellState(rowIndex, cellIndex) {
+    const cell = mapState.cells[rowIndex]?.[cellIndex];
+    if (!cell) return false;
+    
+    if (cell.isVisible && cell.unit) {
+        removeUnit(cell.unit);
+    }
+    cell.isVisible = !cell.isVisible;
+    mapEvents.emit(MapEvent.CELL_CHANGED, { cell });
+    return cell.isVisible;
 }
 
 /**
@@ -148,12 +261,14 @@ export function removeUnit(unit) {
             const cell = getCell(unit.position.row, unit.position.col);
             if (cell) {
                 cell.unit = null;
+                mapEvents.emit(MapEvent.CELL_CHANGED, { cell });
             }
         }
         
         // If the removed unit was selected, clear the selection
         if (mapState.selectedUnit === unit) {
             mapState.selectedUnit = null;
+            mapEvents.emit(MapEvent.SELECTION_CHANGED, { unit: null, ability: null });
         }
         
         return true;
@@ -161,6 +276,16 @@ export function removeUnit(unit) {
     return false;
 }
 
+/**
+ * Take a unit that died off the board and count it as a loss of its owner
+ * @param {Unit} unit - Dead unit
+ */
+export function recordCasualty(unit) {
+    removeUnit(unit);
+    mapState.casualties[unit.owner] = (mapState.casualties[unit.owner] ?? 0) + 1;
+    mapEvents.emit(MapEvent.UNIT_DIED, { unit });
+}
+
 /**
  * Place a unit on a cell
  * @param {Unit} unit - Unit to place
@@ -176,6 +301,7 @@ export function placeUnit(unit, rowIndex, cellIndex) {
             const oldCell = getCell(unit.position.row, unit.position.col);
             if (oldCell) {
                 oldCell.unit = null;
+                mapEvents.emit(MapEvent.CELL_CHANGED, { cell: oldCell });
             }
         }
         
@@ -187,6 +313,7 @@ export function placeUnit(unit, rowIndex, cellIndex) {
         // Update unit position and cell reference
         unit.position = { row: rowIndex, col: cellIndex };
         cell.unit = unit;
+        mapEvents.emit(MapEvent.CELL_CHANGED, { cell });
         
         return true;
     }
@@ -199,12 +326,37 @@ export function placeUnit(unit, rowIndex, cellIndex) {
  */
 export function selectUnit(unit) {
     mapState.selectedUnit = unit;
+    mapState.activeAbility = null;
     
     // Clear all highlighted cells
     clearHighlightedCells();
     
     // If a unit is selected, highlight cells in its movement range
     highlightMovementRange(unit);
+    highlightAttackTargets(unit);
+    mapEvents.emit(MapEvent.SELECTION_CHANGED, { unit, ability: null });
+}
+
+/**
+ * Start aiming an ability of the selected unit, only its targets are highlighted meanwhile
+ * @param {string|null} ability - Ability type from AbilityType, null to go back to moving and attacking
+ * @returns {boolean} Whether the ability can be aimed
+ */
+export function selectAbility(ability) {
+    const unit = mapState.selectedUnit;
+    if (!ability) {
+        selectUnit(unit);
+        return true;
+    }
+    if (!canUseAbility(unit, ability)) return false;
+
+    mapState.activeAbility = ability;
+    clearHighlightedCells();
+    for (const cell of getAbilityTargets(unit, ability)) {
+        cell.isAbilityTarget = true;
+    }
+    mapEvents.emit(MapEvent.SELECTION_CHANGED, { unit, ability });
+    return true;
 }
 
 /**
@@ -214,20 +366,235 @@ export function selectUnit(unit) {
 function highlightMovementRange(unit) {
     if (!unit || unit.movementRemaining <= 0) return;
     
-    const { row, col } = unit.position;
-    const movementRange = unit.movementRemaining;
-    
-    const cells = getCellsInRange(row, col, movementRange, cell => {
-        return cell?.unit === unit || !cell?.unit
-    });
-    // Simple implementation that highlights all cells within movement range
-    // A more complex implementation might consider movement cost and obstacles
-    for (const cell of cells) {
+    for (const cell of getReachableCells(unit)) {
         if (cell.unit === unit) continue;
         cell.isHighlighted = true;
     }
 }
 
+/**
+ * Get all cells a unit can reach with its remaining movement, including its own cell
+ * @param {Unit} unit - Moving unit
+ * @returns {Array<Cell>} Reachable cells
+ */
+export function getReachableCells(unit) {
+    const nodes = runUnitDijkstra(unit);
+    return nodes ? nodes.getCellsWithin(unit.movementRemaining) : [];
+}
+
+/**
+ * Get the cost for a unit to enter a cell based on the cell's terrain
+ * @param {Unit} unit - Moving unit
+ * @param {Cell} cell - Cell being entered
+ * @returns {number} Movement cost, IMPASSABLE if the unit can't enter
+ */
+export function getCellMovementCost(unit, cell) {
+    return getMovementCost(cell.terrain, unit.type);
+}
+
+/**
+ * Run Dijkstra for a unit using its terrain costs
+ * Cells occupied by other units the unit's owner sees and impassable terrain are avoided,
+ * hidden units are only found by bumping into them, see moveUnit
+ * @param {Unit} unit - Moving unit
+ * @param {Cell} [startCell] - Cell to start from, the unit's cell by default
+ * @param {number} [maxScore] - Maximum cost, the unit's remaining movement by default
+ * @returns {DijkstraNodes|null}
+ */
+function runUnitDijkstra(
+    unit,
+    startCell = getCell(unit.position.row, unit.position.col),
+    maxScore = unit.movementRemaining
+) {
+    return runDijkstra(
+        startCell,
+        cell => cell.isVisible
+            && (!cell.unit || cell.unit === unit || !isUnitVisibleTo(unit.owner, cell.unit))
+            && getCellMovementCost(unit, cell) !== IMPASSABLE,
+        cell => getCellMovementCost(unit, cell),
+        maxScore
+    );
+}
+
+/**
+ * Find the cheapest path between two cells
+ * Without a unit every visible cell costs 1 to enter, with a unit its terrain costs
+ * apply and cells held by other units are avoided
+ * @param {Cell} from - Start cell
+ * @param {Cell} to - Target cell
+ * @param {Unit|null} [unit=null] - Unit walking the path
+ * @returns {Array<Cell>|null} Cells from start to target inclusive, null if unreachable
+ */
+export function findPath(from, to, unit = null) {
+    if (!from || !to) return null;
+
+    const nodes = unit ? runUnitDijkstra(unit, from, Infinity) : runDijkstra(from);
+    const path = nodes.getPath(to);
+    return path.length > 0 ? path : null;
+}
+
+/**
+ * Get the movement cost of walking a path, the start cell is free
+ * @param {Array<Cell>} path - Cells from start to target
+ * @param {Unit|null} [unit=null] - Unit walking the path, each step costs 1 without one
+ * @returns {number} Total movement cost
+ */
+export function getPathCost(path, unit = null) {
+    let cost = 0;
+    for (let i = 1; i < path.length; i++) {
+        cost += unit ? getCellMovementCost(unit, path[i]) : 1;
+    }
+    return cost;
+}
+
+/**
+ * Mark the cells of all enemies a unit can attack
+ * @param {Unit} unit - Unit to show attack targets for
+ */
+function highlightAttackTargets(unit) {
+    if (!unit?.canAttack()) return;
+    
+    // The hexes the unit could shoot at, whether or not an enemy stands there
+    const from = getCell(unit.position.row, unit.position.col);
+    for (const cell of getCellsWithinDistance(unit.position.row, unit.position.col, unit.attackRange)) {
+        if (cell !== from && !findLineBlocker(from, cell, () => true)) {
+            cell.isInAttackRange = true;
+        }
+    }
+    
+    for (const target of getAttackTargets(unit)) {
+        const cell = getCell(target.position.row, target.position.col);
+        if (cell) cell.isAttackable = true;
+    }
+}
+
+// Why an attack isn't allowed
+export const AttackBlockReason = {
+    INVALID: 'invalid',
+    SAME_OWNER: 'same owner',
+    CANNOT_ATTACK: 'cannot attack',
+    HIDDEN: 'hidden',
+    OUT_OF_RANGE: 'out of range',
+    NO_LINE_OF_SIGHT: 'no line of sight'
+};
+
+/**
+ * @typedef {Object} AttackBlock
+ * @property {string} reason - Reason from AttackBlockReason
+ * @property {number} [distance] - Distance to the target ('out of range')
+ * @property {import('./visibility.js').LineBlock|null} [blocker] - What blocks the line to the target ('no line of sight'), null for a unit the attacker's owner can't see
+ */
+
+/**
+ * Explain why a unit can't attack another unit from its current position
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @returns {AttackBlock|null} Why the attack isn't allowed, null if it is
+ */
+export function getAttackBlock(attacker, defender) {
+    if (!attacker || !defender || attacker === defender || !mapState.units.includes(defender)) {
+        return { reason: AttackBlockReason.INVALID };
+    }
+    if (attacker.owner === defender.owner) return { reason: AttackBlockReason.SAME_OWNER };
+
+    // Units hidden in the fog of war can't be targeted, nothing else about them is told either
+    if (!isUnitVisibleTo(attacker.owner, defender)) return { reason: AttackBlockReason.HIDDEN };
+    if (!attacker.canAttack()) return { reason: AttackBlockReason.CANNOT_ATTACK };
+
+    const distance = getHexDistance(
+        attacker.position.row, attacker.position.col,
+        defender.position.row, defender.position.col
+    );
+    if (distance > attacker.attackRange) return { reason: AttackBlockReason.OUT_OF_RANGE, distance };
+
+    // Ranged attacks need a clear line, any unit in between blocks it. Adjacent targets always have one
+    const blocker = findLineBlocker(
+        getCell(attacker.position.row, attacker.position.col),
+        getCell(defender.position.row, defender.position.col),
+        () => true
+    );
+    if (blocker) {
+        const isHidden = blocker.type === LineBlocker.UNIT && !isUnitVisibleTo(attacker.owner, blocker.cell.unit);
+        return { reason: AttackBlockReason.NO_LINE_OF_SIGHT, blocker: isHidden ? null : blocker };
+    }
+
+    return null;
+}
+
+/**
+ * Check if a unit is able to attack another unit from its current position
+ * @param {Unit} attacker - Attacking unit
+ * @param {Unit} defender - Unit being attacked
+ * @returns {boolean} Whether the attack is allowed
+ */
+export function canAttackTarget(attacker, defender) {
+    return getAttackBlock(attacker, defender) === null;
+}
+
+/**
+ * Get all enemy units a unit can attack from its current position
+ * @param {Unit} unit - Attacking unit
+ * @returns {Array<Unit>} Units within attack range
+ */
+export function getAttackTargets(unit) {
+    if (!unit) return [];
+    return mapState.units.filter(target => canAttackTarget(unit, target));
+}
+
+/**
+ * Check if a unit is able to use an ability now, or from another cell after moving there
+ * @param {Unit} unit - Unit using the ability
+ * @param {string} ability - Ability type from AbilityType
+ * @param {boolean} [moved] - Whether the unit will have moved, whether it has moved by default
+ * @returns {boolean} Whether the unit has the ability, its action left and the ability is ready
+ */
+export function canUseAbility(unit, ability, moved = unit?.hasMoved()) {
+    const definition = getAbilityDefinition(ability);
+    if (!unit || !definition || !unit.abilities.includes(ability)) return false;
+    if (!unit.canAttack() || unit.getCooldown(ability) > 0) return false;
+    return !definition.requiresMove || moved;
+}
+
+/**
+ * Get the cells an ability can be aimed at
+ * @param {Unit} unit - Unit using the ability
+ * @param {string} ability - Ability type from AbilityType
+ * @param {Cell} [from] - Cell the ability is used from, the unit's cell by default
+ * @returns {Array<Cell>} Target cells, empty if the ability can't be used
+ */
+export function getAbilityTargets(unit, ability, from = getCell(unit?.position.row, unit?.position.col)) {
+    const currentCell = getCell(unit?.position.row, unit?.position.col);
+    if (!from || !canUseAbility(unit, ability, unit.hasMoved() || from !== currentCell)) return [];
+
+    const definition = getAbilityDefinition(ability);
+    if (definition.target === AbilityTarget.SELF) return [from];
+
+    const range = definition.range ?? unit.attackRange;
+    return getCellsWithinDistance(from.rowIndex, from.cellIndex, range).filter(cell => {
+        if (cell === from) return false;
+
+        if (definition.target === AbilityTarget.ENEMY) {
+            if (!cell.unit || cell.unit.owner === unit.owner || !isUnitVisibleTo(unit.owner, cell.unit)) return false;
+            // Like attacks, units in between block the line. The unit itself no longer does once it moved
+            return definition.ignoresLineOfSight || !findLineBlocker(from, cell, other => other !== unit);
+        }
+
+        // Hexes are hit from above, only terrain blocks the way
+        return isCellVisibleTo(unit.owner, cell) && !findLineBlocker(from, cell);
+    });
+}
+
+/**
+ * Get the cells hit by an ability aimed at a cell
+ * @param {string} ability - Ability type from AbilityType
+ * @param {Cell} cell - Target cell
+ * @returns {Array<Cell>} The target cell and the cells within the ability's radius
+ */
+export function getAbilityArea(ability, cell) {
+    const radius = getAbilityDefinition(ability)?.radius ?? 0;
+    return getCellsWithinDistance(cell.rowIndex, cell.cellIndex, radius);
+}
+
 /**
  * Get all cells within a specified range of a given cell
  * @param {number} row - Starting row index
@@ -297,13 +664,50 @@ class DijkstraNodes {
         };
         return this.nodes[key];
     };
+
+    /**
+     * Get all reached cells whose score does not exceed the given maximum
+     * Cells that were only looked at, e.g. for being over the search's maximum score, aren't reached
+     * @param {number} maxScore 
+     * @returns {Cell[]}
+     */
+    getCellsWithin (maxScore) {
+        return Object.values(this.nodes)
+            .filter(node => node.visited && node.score <= maxScore)
+            .map(node => node.cell);
+    }
+
+    /**
+     * Reconstruct the path to a cell by following the prev pointers
+     * @param {Cell} cell 
+     * @returns {Cell[]} Cells from the start to the given cell, empty if it wasn't reached
+     */
+    getPath (cell) {
+        const node = this.getNode(cell);
+        if (!node?.visited) return [];
+
+        const path = [];
+        for (let current = node; current; current = current.prev && this.getNode(current.prev)) {
+            path.unshift(current.cell);
+        }
+        return path;
+    }
 }
 /**
  * @param {Cell} startCell
  * @param {(c: Cell) => boolean} cellFilterPredicate 
+ * @param {(c: Cell) => number} getCellCost Cost of entering the cell
+ * @param {number} maxScore Cells costing more than this to reach are not expanded
+ * @param {(row: number, col: number) => Cell|null} getCellAt Cell lookup, the current map by default
  * @returns {DijkstraNodes|null}
  */
-export function runDijkstra(startCell, cellFilterPredicate = (cell) => cell?.isVisible) {
+export function runDijkstra(
+    startCell,
+    cellFilterPredicate = (cell) => cell?.isVisible,
+    getCellCost = () => 1,
+    maxScore = Infinity,
+    getCellAt = getCell
+) {
     if (!startCell) return null;
 
     const nodes = new DijkstraNodes;
@@ -311,28 +715,29 @@ export function runDijkstra(startCell, cellFilterPredicate = (cell) => cell?.isV
     const getNode = (cell) => nodes.getNode(cell);
 
     getNode(startCell).score = 0;
-    /** @type {Cell[]} */
-    const queue = [startCell];
+    /** @type {PriorityQueue<Cell>} */
+    const queue = new PriorityQueue();
+    queue.push(startCell, 0);
 
-    while (queue.length) {
-        const current = queue.shift();
-        if (!current) continue;
+    while (queue.size) {
+        const current = queue.pop();
         const node = getNode(current);
         if (node.visited) continue;
         node.visited = true;
         
         for (const [nr, nc] of getNeighborCoordinates(current.rowIndex, current.cellIndex)) {
-            const cell = getCell(nr, nc);
+            const cell = getCellAt(nr, nc);
             if (!cell || !cellFilterPredicate(cell)) continue;
 
             const neighborNode = getNode(cell);
             if (neighborNode.visited) continue;
 
-            queue.push(cell);
-            const score = node.score + 1;
+            const score = node.score + getCellCost(cell);
+            if (score > maxScore) continue;
             if (score < neighborNode.score) {
                 neighborNode.score = score;
-                neighborNode.prev = cell;
+                neighborNode.prev = current;
+                queue.push(cell, score);
             }
         }
     }
@@ -340,10 +745,61 @@ export function runDijkstra(startCell, cellFilterPredicate = (cell) => cell?.isV
     return nodes;
 }
 
+/**
+ * Get the row and column of the six neighbors of a cell, including ones outside the grid
+ * @param {number} r - Row index
+ * @param {number} c - Column index
+ * @returns {Array<[number, number]>} Row and column of each neighbor
+ */
 export function getNeighborCoordinates(r, c) {
-    return r % 2 === 0
-        ? [[r-1,c-1], [r-1,c], [r,c+1], [r+1,c], [r+1,c-1], [r,c-1]]  // even row
-        : [[r-1,c], [r-1,c+1], [r,c+1], [r+1,c+1], [r+1,c], [r,c-1]]; // odd row
+    return cubeNeighbors(offsetToCube(r, c, config.hexOrientation)).map(toRowCol);
+}
+
+/**
+ * Convert a hex to the row and column of its cell
+ * @param {import('./hexCoords.js').Cube} hex
+ * @returns {[number, number]} Row and column
+ */
+function toRowCol(hex) {
+    const { row, col } = cubeToOffset(hex, config.hexOrientation);
+    return [row, col];
+}
+
+/**
+ * Get the distance in hexes between two cells, ignoring obstacles
+ * @param {number} r1 - First row index
+ * @param {number} c1 - First column index
+ * @param {number} r2 - Second row index
+ * @param {number} c2 - Second column index
+ * @returns {number} Number of steps between the cells
+ */
+export function getHexDistance(r1, c1, r2, c2) {
+    return cubeDistance(offsetToCube(r1, c1, config.hexOrientation), offsetToCube(r2, c2, config.hexOrientation));
+}
+
+/**
+ * Get the hexes on the straight line between two cells, both ends included
+ * @param {number} r1 - First row index
+ * @param {number} c1 - First column index
+ * @param {number} r2 - Second row index
+ * @param {number} c2 - Second column index
+ * @returns {Array<[number, number]>} Row and column of each hex on the line, starting at the first cell
+ */
+export function getHexLine(r1, c1, r2, c2) {
+    return cubeLine(offsetToCube(r1, c1, config.hexOrientation), offsetToCube(r2, c2, config.hexOrientation)).map(toRowCol);
+}
+
+/**
+ * Get all map cells within a distance of a cell, ignoring obstacles
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {number} range - Maximum distance in hexes
+ * @returns {Array<Cell>} Cells ordered ring by ring from the center outwards
+ */
+export function getCellsWithinDistance(row, col, range) {
+    return cubeSpiral(offsetToCube(row, col, config.hexOrientation), range)
+        .map(hex => getCell(...toRowCol(hex)))
+        .filter(Boolean);
 }
 
 /**
@@ -353,45 +809,60 @@ export function clearHighlightedCells() {
     for (let r = 0; r < mapState.cells.length; r++) {
         for (let c = 0; c < mapState.cells[r].length; c++) {
             mapState.cells[r][c].isHighlighted = false;
+            mapState.cells[r][c].isAttackable = false;
+            mapState.cells[r][c].isInAttackRange = false;
+            mapState.cells[r][c].isAbilityTarget = false;
         }
     }
 }
 
 /**
  * Move a unit to a new cell
+ * A unit its owner couldn't see on the way stops the move in the cell in front of it
  * @param {import('./unit.js').Unit} unit - Unit to move
  * @param {number} rowIndex - Target row index
  * @param {number} cellIndex - Target cell index
- * @returns {boolean} Whether the move was successful
+ * @returns {boolean} Whether the unit moved, not necessarily all the way
  */
 export function moveUnit(unit, rowIndex, cellIndex) {
     if (!unit) return false;
     
     const targetCell = getCell(rowIndex, cellIndex);
-    if (!targetCell || !targetCell.isVisible || targetCell.unit) return false;
+    if (!targetCell || !targetCell.isVisible || targetCell.unit === unit) return false;
     
-    // Simple movement cost calculation (1 per cell)
+    // Movement cost is the cheapest terrain-weighted path to the target
     const oldCell = getCell(unit.position.row, unit.position.col);
-    const dijkstra = runDijkstra(oldCell);
+    const dijkstra = runUnitDijkstra(unit);
     const targetNode = dijkstra?.getNode(targetCell);
-    if (!targetNode) return false;
-    const cost = targetNode.score;
+    if (!targetNode || !targetNode.visited) return false;
+    
+    // Units hidden on the way are bumped into, the unit stops in front of the first one
+    const path = dijkstra.getPath(targetCell);
+    const bumped = path.findIndex(cell => cell.unit && cell.unit !== unit);
+    const stopCell = bumped === -1 ? targetCell : path[bumped - 1];
+    if (stopCell === oldCell) return false;
+    const cost = dijkstra.getNode(stopCell).score;
     
     // Update unit position using the unit's move method
-    if (unit.move(rowIndex, cellIndex, cost)) {
+    const from = { ...unit.position };
+    if (unit.move(stopCell.rowIndex, stopCell.cellIndex, cost)) {
         // Update cell references
         if (oldCell) {
             oldCell.unit = null;
+            mapEvents.emit(MapEvent.CELL_CHANGED, { cell: oldCell });
         }
         
-        targetCell.unit = unit;
+        stopCell.unit = unit;
+        mapEvents.emit(MapEvent.CELL_CHANGED, { cell: stopCell });
         clearHighlightedCells();
         
         // If unit still has movement, highlight new movement range
         if (unit.movementRemaining > 0) {
             highlightMovementRange(unit);
         }
+        highlightAttackTargets(unit);
         
+        mapEvents.emit(MapEvent.UNIT_MOVED, { unit, from, to: { row: stopCell.rowIndex, col: stopCell.cellIndex }, cost });
         return true;
     }
     
@@ -399,62 +870,44 @@ export function moveUnit(unit, rowIndex, cellIndex) {
 }
 
 /**
- * End the current turn and switch to the other player
+ * End the current turn and switch to the next player that still has units
+ * Turn change listeners are notified once the new owner's units are reset
  */
-export function endTurn(renderFn) {
+export function endTurn() {
+    mapEvents.emit(MapEvent.TURN_ENDED, { owner: mapState.currentTurn, turnNumber: mapState.turnNumber });
+    
     // Clear selected unit and highlights
     mapState.selectedUnit = null;
+    mapState.activeAbility = null;
     clearHighlightedCells();
+    mapEvents.emit(MapEvent.SELECTION_CHANGED, { unit: null, ability: null });
     
-    // Switch turn
-    mapState.currentTurn = mapState.currentTurn === 'player' ? 'ai' : 'player';
-    
-    // Reset all units for the current player
-    mapState.units.forEach(unit => {
-        if (unit.owner === mapState.currentTurn) {
-            unit.resetTurn();
-        }
-    });
-    
-    // If it's AI turn, trigger AI logic
-    if (mapState.currentTurn === 'ai') {
-        // We'll implement AI logic in a separate function/module
-        runAITurn(renderFn);
-    }
-}
-
-const delay = ms => new Promise(r => setTimeout(r, ms));
-
-const THINKING_TIME = 1000 * 1;
-/**
- * Run the AI turn
- * This is a placeholder - real AI logic would go here
- */
-async function runAITurn(renderFn) {
-    // Basic AI that just moves units randomly and ends turn
-    // Would be expanded with actual strategy in a full implementation
-    await delay(Math.random() * THINKING_TIME);
-
-    for (const unit of mapState.units) {
-        if (unit.owner !== 'ai') continue;
-        selectUnit(unit);
-        renderFn();
-        const pool = [];
-        for (const row of mapState.cells) {
-            for (const cell of row) {
-                if (cell.isHighlighted) pool.push(cell);
+    // Switch turn, a new turn number starts when the order wraps around
+    const order = getPlayers().map(player => player.id);
+    const currentIndex = order.indexOf(mapState.currentTurn);
+    for (let index = currentIndex + 1; index <= currentIndex + order.length; index++) {
+        const candidate = order[index % order.length];
+        const isLast = index === currentIndex + order.length;
+        
+        // Eliminated players are skipped
+        if (isLast || mapState.units.some(unit => unit.owner === candidate)) {
+            if (index >= order.length) {
+                mapState.turnNumber++;
             }
+            mapState.currentTurn = candidate;
+            break;
         }
-        await delay(Math.random() * THINKING_TIME);
-        const selected = pool[Math.round(pool.length * Math.random())];
-        if (selected) {
-            moveUnit(unit, selected.rowIndex, selected.cellIndex);
-            renderFn();
-            await delay(Math.random() * THINKING_TIME);
+    }
+    
+    // Reset all units for the current player, then their status effects tick, which may kill some
+    for (const unit of [...mapState.units]) {
+        if (unit.owner !== mapState.currentTurn) continue;
+        
+        unit.resetTurn();
+        if (!unit.tickStatusEffects()) {
+            recordCasualty(unit);
         }
     }
     
-    // For now, just end the turn
-    endTurn();
-    renderFn();
-}
+    notifyTurnChange();
+}
\ No newline at end of file
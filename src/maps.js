@@ -0,0 +1,192 @@
+/**
+ * Built-in maps in the map file format (see mapFormat.js)
+ */
+
+/** @type {import('./mapFormat.js').MapFile} */
+export const defaultMap = {
+    version: 1,
+    name: 'Skirmish',
+    width: 6,
+    height: 6,
+    // 1 = visible, 0 = invisible
+    grid: [
+        [1, 1, 1, 1, 1, 1],
+        [1, 0, 1, 1, 1, 1],
+        [1, 1, 1, 0, 1, 1],
+        [1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 0, 1, 1]
+    ],
+    // P = plains, F = forest, H = hills, W = water, M = mountains
+    terrain: [
+        ['P', 'P', 'F', 'P', 'P', 'H'],
+        ['F', 'P', 'P', 'H', 'P', 'P'],
+        ['P', 'F', 'P', 'P', 'W', 'P'],
+        ['P', 'P', 'M', 'P', 'W', 'F'],
+        ['H', 'P', 'P', 'F', 'P', 'P'],
+        ['P', 'P', 'P', 'P', 'P', 'P']
+    ],
+    units: [
+        // Player units on the bottom side of the grid
+        { type: 'soldier', owner: 'player', row: 5, col: 0 },
+        { type: 'soldier', owner: 'player', row: 5, col: 1 },
+        { type: 'archer', owner: 'player', row: 5, col: 2 },
+        { type: 'knight', owner: 'player', row: 5, col: 5 },
+        { type: 'mage', owner: 'player', row: 5, col: 4 },
+        // AI units on the top side of the grid
+        { type: 'soldier', owner: 'ai', row: 0, col: 0 },
+        { type: 'soldier', owner: 'ai', row: 0, col: 1 },
+        { type: 'archer', owner: 'ai', row: 0, col: 2 },
+        { type: 'knight', owner: 'ai', row: 0, col: 3 },
+        { type: 'mage', owner: 'ai', row: 0, col: 4 }
+    ],
+    victory: [
+        { type: 'annihilation' }
+    ]
+};
+
+
+/** @type {import('./mapFormat.js').MapFile} */
+export const riverCrossingMap = {
+    version: 1,
+    name: 'River Crossing',
+    width: 8,
+    height: 7,
+    grid: [
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1]
+    ],
+    terrain: [
+        ['P', 'F', 'P', 'P', 'H', 'P', 'F', 'P'],
+        ['P', 'P', 'P', 'F', 'P', 'P', 'P', 'H'],
+        ['F', 'P', 'H', 'P', 'P', 'F', 'P', 'P'],
+        ['W', 'W', 'P', 'W', 'W', 'P', 'W', 'W'],
+        ['P', 'P', 'F', 'P', 'P', 'H', 'P', 'F'],
+        ['H', 'P', 'P', 'P', 'F', 'P', 'P', 'P'],
+        ['P', 'F', 'P', 'H', 'P', 'P', 'F', 'P']
+    ],
+    units: [
+        // Player units on the bottom bank
+        { type: 'knight', owner: 'player', row: 6, col: 3, commander: true },
+        { type: 'soldier', owner: 'player', row: 5, col: 2 },
+        { type: 'soldier', owner: 'player', row: 5, col: 5 },
+        { type: 'archer', owner: 'player', row: 6, col: 2 },
+        { type: 'archer', owner: 'player', row: 6, col: 5 },
+        { type: 'mage', owner: 'player', row: 6, col: 4 },
+        // AI units on the top bank
+        { type: 'knight', owner: 'ai', row: 0, col: 4, commander: true },
+        { type: 'soldier', owner: 'ai', row: 1, col: 2 },
+        { type: 'soldier', owner: 'ai', row: 1, col: 5 },
+        { type: 'archer', owner: 'ai', row: 0, col: 2 },
+        { type: 'archer', owner: 'ai', row: 0, col: 5 },
+        { type: 'mage', owner: 'ai', row: 0, col: 3 }
+    ],
+    victory: [
+        { type: 'commander' },
+        { type: 'annihilation' }
+    ]
+};
+
+/** @type {import('./mapFormat.js').MapFile} */
+export const holdTheHillMap = {
+    version: 1,
+    name: 'Hold the Hill',
+    width: 7,
+    height: 7,
+    grid: [
+        [1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 0, 1, 0, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1],
+        [1, 0, 1, 1, 1, 0, 1],
+        [1, 1, 1, 1, 1, 1, 1]
+    ],
+    terrain: [
+        ['P', 'P', 'F', 'P', 'F', 'P', 'P'],
+        ['P', 'F', 'P', 'P', 'P', 'F', 'P'],
+        ['P', 'P', 'H', 'H', 'H', 'P', 'P'],
+        ['F', 'P', 'H', 'H', 'H', 'P', 'F'],
+        ['P', 'P', 'P', 'P', 'P', 'P', 'P'],
+        ['P', 'P', 'F', 'P', 'F', 'P', 'P'],
+        ['P', 'P', 'P', 'P', 'P', 'P', 'P']
+    ],
+    units: [
+        // Player defends the hill
+        { type: 'soldier', owner: 'player', row: 2, col: 2 },
+        { type: 'soldier', owner: 'player', row: 2, col: 4 },
+        { type: 'archer', owner: 'player', row: 3, col: 3 },
+        { type: 'mage', owner: 'player', row: 2, col: 3 },
+        // AI attacks from both sides
+        { type: 'knight', owner: 'ai', row: 6, col: 1 },
+        { type: 'knight', owner: 'ai', row: 6, col: 5 },
+        { type: 'soldier', owner: 'ai', row: 6, col: 3 },
+        { type: 'soldier', owner: 'ai', row: 0, col: 3 },
+        { type: 'archer', owner: 'ai', row: 0, col: 1 },
+        { type: 'archer', owner: 'ai', row: 0, col: 5 }
+    ],
+    victory: [
+        { type: 'survive', owner: 'player', turns: 8 },
+        { type: 'capture', owner: 'ai', row: 3, col: 3 },
+        { type: 'annihilation' }
+    ]
+};
+
+// Four factions fighting from the corners, played hot-seat by default
+export const fourCornersMap = {
+    version: 1,
+    name: 'Four Corners',
+    width: 8,
+    height: 8,
+    grid: [
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 0, 1, 1, 1],
+        [1, 1, 1, 0, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1]
+    ],
+    terrain: [
+        ['P', 'P', 'F', 'P', 'P', 'F', 'P', 'P'],
+        ['P', 'P', 'P', 'H', 'H', 'P', 'P', 'P'],
+        ['F', 'P', 'P', 'P', 'P', 'P', 'P', 'F'],
+        ['P', 'H', 'P', 'W', 'W', 'P', 'H', 'P'],
+        ['P', 'H', 'P', 'W', 'W', 'P', 'H', 'P'],
+        ['F', 'P', 'P', 'P', 'P', 'P', 'P', 'F'],
+        ['P', 'P', 'P', 'H', 'H', 'P', 'P', 'P'],
+        ['P', 'P', 'F', 'P', 'P', 'F', 'P', 'P']
+    ],
+    players: [
+        { id: 'green', name: 'Green', color: '#4CAF50', controller: 'human' },
+        { id: 'red', name: 'Red', color: '#F44336', controller: 'human' },
+        { id: 'blue', name: 'Blue', color: '#2196F3', controller: 'human' },
+        { id: 'yellow', name: 'Yellow', color: '#FFC107', controller: 'human' }
+    ],
+    units: [
+        { type: 'soldier', owner: 'green', row: 0, col: 0 },
+        { type: 'archer', owner: 'green', row: 0, col: 1 },
+        { type: 'knight', owner: 'green', row: 1, col: 0 },
+        { type: 'soldier', owner: 'red', row: 0, col: 7 },
+        { type: 'archer', owner: 'red', row: 0, col: 6 },
+        { type: 'knight', owner: 'red', row: 1, col: 7 },
+        { type: 'soldier', owner: 'blue', row: 7, col: 7 },
+        { type: 'archer', owner: 'blue', row: 7, col: 6 },
+        { type: 'knight', owner: 'blue', row: 6, col: 7 },
+        { type: 'soldier', owner: 'yellow', row: 7, col: 0 },
+        { type: 'archer', owner: 'yellow', row: 7, col: 1 },
+        { type: 'knight', owner: 'yellow', row: 6, col: 0 }
+    ],
+    victory: [
+        { type: 'annihilation' }
+    ]
+};
+
+// Maps played in order by "Next Map"
+export const builtInMaps = [defaultMap, riverCrossingMap, holdTheHillMap, fourCornersMap];
@@ -0,0 +1,202 @@
+/**
+ * New game menu module for choosing a map, the ruleset and who controls each of the map's players
+ * Random maps are generated from the game's seed, so the seed brings back the map as well
+ */
+import { config } from './config.js';
+import { builtInMaps } from './maps.js';
+import { ControllerType, createPlayersForMap } from './players.js';
+import { rulesets } from './rulesets.js';
+import { createSeed, isValidSeed } from './random.js';
+import { Game, getActiveGame } from './game.js';
+import { generateMap } from './mapGenerator.js';
+import { createButton, createSelect, createOverlay, createHeading } from './ui.js';
+
+// Sizes offered for random maps
+const GENERATED_MAP_SIZES = [
+    { label: 'Small', width: 8, height: 8 },
+    { label: 'Medium', width: 12, height: 10 },
+    { label: 'Large', width: 16, height: 14 }
+];
+
+// Value of the random map in the map drop-down
+const GENERATED_MAP = 'generated';
+
+/**
+ * Start a new game on a map, in place of the active game
+ * @param {import('./mapFormat.js').MapFile} map - Map to play
+ * @param {Object<string, string>} [controllers={}] - Controller type by owner id, the map's defaults otherwise
+ * @param {string} [ruleset=config.ruleset] - Ruleset from RulesetType, the current one by default
+ * @param {number} [seed=createSeed()] - Seed of the game's randomness, a new one by default
+ * @throws {import('./mapFormat.js').MapFormatError} If the map file is invalid
+ */
+export function startGame(map, controllers = {}, ruleset = config.ruleset, seed = createSeed()) {
+    (getActiveGame() ?? new Game()).start({ map, controllers, ruleset, seed });
+}
+
+/**
+ * Show the new game menu as an overlay
+ * @param {HTMLElement} container - Container element for the overlay
+ * @param {Function} renderFn - Render function to call after starting the game
+ */
+export function showNewGameMenu(container, renderFn) {
+    const { overlay, panel } = createOverlay(container);
+    const close = () => overlay.remove();
+
+    let map = builtInMaps[0];
+    /** @type {import('./mapGenerator.js').MapGeneratorOptions|null} Options of the random map, null for built-in maps */
+    let generated = null;
+    let ruleset = config.ruleset;
+    let seedText = '';
+    /** @type {HTMLInputElement} */
+    let seedInput;
+    /** @type {Object<string, string>} */
+    let controllers = {};
+
+    /**
+     * Rebuild the menu for the chosen map
+     */
+    function renderMenu() {
+        panel.replaceChildren();
+        panel.appendChild(createHeading('New Game'));
+
+        const mapSelect = createSelect(
+            [
+                ...builtInMaps.map((builtIn, index) => ({ value: String(index), label: builtIn.name })),
+                { value: GENERATED_MAP, label: 'Random Map' }
+            ],
+            generated ? GENERATED_MAP : String(builtInMaps.indexOf(map))
+        );
+        mapSelect.style.marginBottom = '12px';
+        mapSelect.addEventListener('change', () => {
+            if (mapSelect.value === GENERATED_MAP) {
+                const { width, height } = GENERATED_MAP_SIZES[1];
+                generated = { width, height, symmetric: true };
+                // Only shown for its players, the real one is generated from the game's seed
+                map = generateMap({ ...generated, seed: 1 });
+            } else {
+                generated = null;
+                map = builtInMaps[Number(mapSelect.value)];
+            }
+            controllers = {};
+            renderMenu();
+        });
+        panel.appendChild(mapSelect);
+
+        if (generated) {
+            const sizeSelect = createSelect(
+                GENERATED_MAP_SIZES.map(({ label, width, height }) => ({ value: label, label: `${label} (${width}x${height})` })),
+                GENERATED_MAP_SIZES.find(size => size.width === generated.width && size.height === generated.height)?.label
+            );
+            sizeSelect.style.marginBottom = '12px';
+            sizeSelect.style.marginLeft = '8px';
+            sizeSelect.addEventListener('change', () => {
+                const { width, height } = GENERATED_MAP_SIZES.find(size => size.label === sizeSelect.value);
+                generated = { ...generated, width, height };
+            });
+            panel.appendChild(sizeSelect);
+
+            const mirroredLabel = document.createElement('label');
+            mirroredLabel.style.marginLeft = '8px';
+            mirroredLabel.title = 'Both sides get the same ground, turned around';
+            const mirrored = document.createElement('input');
+            mirrored.type = 'checkbox';
+            mirrored.checked = generated.symmetric;
+            mirrored.addEventListener('change', () => {
+                generated = { ...generated, symmetric: mirrored.checked };
+            });
+            mirroredLabel.appendChild(mirrored);
+            mirroredLabel.appendChild(document.createTextNode(' Mirrored'));
+            panel.appendChild(mirroredLabel);
+        }
+
+        const rulesetSelect = createSelect(
+            Object.entries(rulesets).map(([value, { name }]) => ({ value, label: `Rules: ${name}` })),
+            ruleset
+        );
+        rulesetSelect.title = rulesets[ruleset]?.description ?? '';
+        rulesetSelect.style.marginBottom = '12px';
+        rulesetSelect.style.marginLeft = '8px';
+        rulesetSelect.addEventListener('change', () => {
+            ruleset = rulesetSelect.value;
+            rulesetSelect.title = rulesets[ruleset].description;
+        });
+        panel.appendChild(rulesetSelect);
+
+        // A seed from a bug report plays the game out the same way again
+        seedInput = document.createElement('input');
+        seedInput.type = 'text';
+        seedInput.inputMode = 'numeric';
+        seedInput.placeholder = 'Random seed';
+        seedInput.value = seedText;
+        seedInput.style.display = 'block';
+        seedInput.style.padding = '6px';
+        seedInput.style.marginBottom = '12px';
+        seedInput.style.fontSize = '14px';
+        seedInput.style.backgroundColor = '#3a3f42';
+        seedInput.style.color = 'white';
+        seedInput.style.border = 'none';
+        seedInput.style.borderRadius = '4px';
+        seedInput.addEventListener('input', () => {
+            seedText = seedInput.value;
+        });
+        panel.appendChild(seedInput);
+
+        // Build the map's players without touching the running game
+        for (const player of createPlayersForMap(map)) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '8px';
+            row.style.marginBottom = '8px';
+
+            const swatch = document.createElement('span');
+            swatch.style.width = '14px';
+            swatch.style.height = '14px';
+            swatch.style.borderRadius = '50%';
+            swatch.style.backgroundColor = player.color;
+            row.appendChild(swatch);
+
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.textContent = player.name;
+            row.appendChild(label);
+
+            const controllerSelect = createSelect([
+                { value: ControllerType.HUMAN, label: 'Human' },
+                { value: ControllerType.AI, label: 'Computer' }
+            ], controllers[player.id] ?? player.controller);
+            controllerSelect.addEventListener('change', () => {
+                controllers[player.id] = controllerSelect.value;
+            });
+            row.appendChild(controllerSelect);
+
+            panel.appendChild(row);
+        }
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.gap = '8px';
+        buttons.style.marginTop = '12px';
+        buttons.appendChild(createButton('Start', () => {
+            const seed = seedText.trim() === '' ? createSeed() : Number(seedText.trim());
+            if (!isValidSeed(seed)) {
+                seedInput.style.outline = '2px solid #F44336';
+                seedInput.title = 'Seeds are whole numbers';
+                return;
+            }
+            try {
+                startGame(generated ? generateMap({ ...generated, seed }) : map, controllers, ruleset, seed);
+            } catch (error) {
+                console.error(error);
+                alert(error.message);
+                return;
+            }
+            close();
+            renderFn();
+        }));
+        buttons.appendChild(createButton('Cancel', close));
+        panel.appendChild(buttons);
+    }
+
+    renderMenu();
+}
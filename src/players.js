@@ -0,0 +1,135 @@
+/**
+ * Players module holding the factions taking part in the game and their turn order
+ */
+
+// Define who controls a faction
+export const ControllerType = {
+    HUMAN: 'human',
+    AI: 'ai'
+};
+
+/**
+ * @typedef {Object} Player
+ * @property {string} id - Owner id used by the faction's units
+ * @property {string} name - Display name
+ * @property {string} color - CSS color of the faction's units
+ * @property {string} controller - Controller type from ControllerType
+ */
+
+// Defaults for the classic owners, used when a map doesn't declare its players
+const defaultPlayerInfo = {
+    player: { name: 'Player', color: '#4CAF50', controller: ControllerType.HUMAN },
+    ai: { name: 'AI', color: '#F44336', controller: ControllerType.AI },
+    neutral: { name: 'Neutral', color: '#9E9E9E', controller: ControllerType.AI }
+};
+
+// Colors handed out to factions without their own color
+const factionColors = ['#4CAF50', '#F44336', '#2196F3', '#FFC107'];
+
+// Owner of units that belong to nobody and never take a turn
+const NEUTRAL = 'neutral';
+
+/** @type {{players: Array<Player>}} */
+export const playerState = {
+    players: []
+};
+
+/**
+ * Get all players in turn order
+ * @returns {Array<Player>}
+ */
+export function getPlayers() {
+    return playerState.players;
+}
+
+/**
+ * Replace the players of the game
+ * @param {Array<Player>} players - Players in turn order
+ */
+export function setPlayers(players) {
+    playerState.players = players;
+}
+
+/**
+ * Get a player by owner id
+ * @param {string} id - Owner id
+ * @returns {Player|undefined}
+ */
+export function getPlayer(id) {
+    return playerState.players.find(player => player.id === id);
+}
+
+/**
+ * Get the color of a faction
+ * @param {string} id - Owner id
+ * @returns {string} CSS color
+ */
+export function getPlayerColor(id) {
+    return getPlayer(id)?.color ?? defaultPlayerInfo[id]?.color ?? '#FFFFFF';
+}
+
+/**
+ * Get the display name of a faction
+ * @param {string} id - Owner id
+ * @returns {string} Name
+ */
+export function getPlayerName(id) {
+    return getPlayer(id)?.name ?? defaultPlayerInfo[id]?.name ?? id;
+}
+
+/**
+ * Check whether a faction is played by a human
+ * @param {string} id - Owner id
+ * @returns {boolean}
+ */
+export function isHumanPlayer(id) {
+    return getPlayer(id)?.controller === ControllerType.HUMAN;
+}
+
+/**
+ * Count the factions played by humans
+ * @returns {number}
+ */
+export function countHumanPlayers() {
+    return playerState.players.filter(player => player.controller === ControllerType.HUMAN).length;
+}
+
+/**
+ * Change who controls a faction
+ * @param {string} id - Owner id
+ * @param {string} controller - Controller type from ControllerType
+ */
+export function setPlayerController(id, controller) {
+    const player = getPlayer(id);
+    if (player) player.controller = controller;
+}
+
+/**
+ * Get the controller of every faction, e.g. to keep them when restarting a map
+ * @returns {Object<string, string>} Controller type by owner id
+ */
+export function getControllers() {
+    return Object.fromEntries(playerState.players.map(player => [player.id, player.controller]));
+}
+
+/**
+ * Build the player list for a map
+ * Maps may declare their players, otherwise every owner of a unit (except neutral) becomes one
+ * @param {import('./mapFormat.js').MapFile} map - Map file
+ * @returns {Array<Player>} Players in turn order
+ */
+export function createPlayersForMap(map) {
+    const declared = map.players ?? [...new Set(map.units.map(unit => unit.owner))]
+        .filter(id => id !== NEUTRAL)
+        .map(id => ({ id }));
+
+    return declared.map((entry, index) => {
+        const defaults = defaultPlayerInfo[entry.id];
+        return {
+            id: entry.id,
+            name: entry.name ?? defaults?.name ?? entry.id,
+            color: entry.color ?? defaults?.color ?? factionColors[index % factionColors.length],
+            controller: entry.controller ?? defaults?.controller ?? ControllerType.HUMAN
+        };
+    });
+}
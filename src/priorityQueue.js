@@ -0,0 +1,81 @@
+/**
+ * Binary min-heap priority queue
+ * @template T
+ */
+export class PriorityQueue {
+    /** @type {Array<{item: T, priority: number}>} */
+    heap = [];
+
+    /**
+     * Number of items in the queue
+     * @returns {number}
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Add an item to the queue
+     * @param {T} item - Item to add
+     * @param {number} priority - Lower values are popped first
+     */
+    push(item, priority) {
+        this.heap.push({ item, priority });
+        this.bubbleUp(this.heap.length - 1);
+    }
+
+    /**
+     * Remove and return the item with the lowest priority
+     * @returns {T|undefined} Item or undefined if the queue is empty
+     */
+    pop() {
+        if (this.heap.length === 0) return undefined;
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.sinkDown(0);
+        }
+        return top.item;
+    }
+
+    /**
+     * @param {number} index
+     */
+    bubbleUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.heap[parent].priority <= this.heap[index].priority) break;
+            this.swap(parent, index);
+            index = parent;
+        }
+    }
+
+    /**
+     * @param {number} index
+     */
+    sinkDown(index) {
+        const length = this.heap.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.heap[left].priority < this.heap[smallest].priority) smallest = left;
+            if (right < length && this.heap[right].priority < this.heap[smallest].priority) smallest = right;
+            if (smallest === index) break;
+
+            this.swap(smallest, index);
+            index = smallest;
+        }
+    }
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     */
+    swap(a, b) {
+        [this.heap[a], this.heap[b]] = [this.heap[b], this.heap[a]];
+    }
+}
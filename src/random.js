@@ -0,0 +1,137 @@
+/**
+ * Random module providing the seeded random numbers all game randomness draws from
+ *
+ * Every random decision draws from a stream seeded from the game's seed, so a game
+ * replays exactly from its seed and actions. Streams are kept apart by who draws from
+ * them: replays re-run the game's actions but not the AI's planning, and showing the
+ * AI's thinking delays or not must never shift the combat rolls.
+ */
+
+// Largest seed handed out, small enough to read out in a bug report
+const MAX_SEED = 999999;
+
+// Define the random streams
+export const RandomStream = {
+    GAME: 'game', // Combat rolls and generated maps, everything replays re-run
+    AI: 'ai', // AI decisions, replays play back their outcome instead
+    PRESENTATION: 'presentation' // Things that only change how the game looks
+};
+
+// Offsets keeping the streams of one seed apart
+const STREAM_OFFSETS = {
+    [RandomStream.GAME]: 0,
+    [RandomStream.AI]: 0x9E3779B9,
+    [RandomStream.PRESENTATION]: 0x3C6EF372
+};
+
+/**
+ * @typedef {Object} RandomState
+ * @property {number} seed - Seed the game was started with
+ * @property {Object<string, number>} streams - Position of each stream from RandomStream
+ */
+
+/** @type {RandomState} */
+export const randomState = {
+    seed: 0,
+    streams: {}
+};
+
+/**
+ * Advance a mulberry32 generator state
+ * @param {number} state - Current 32 bit state
+ * @returns {{state: number, value: number}} Next state and a number in [0, 1)
+ */
+function step(state) {
+    const next = (state + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { state: next, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+}
+
+/**
+ * Create a new seed for a game
+ * This is the only place randomness doesn't come from a seed
+ * @returns {number} Seed from 1 to MAX_SEED
+ */
+export function createSeed() {
+    return 1 + Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Check if a value can be used as a seed
+ * @param {any} seed
+ * @returns {boolean} Whether the seed is a whole number from 0 to 2^32 - 1
+ */
+export function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF;
+}
+
+/**
+ * Start all random streams over from a seed
+ * @param {number} [seed=createSeed()] - Seed, a new one by default
+ * @throws {Error} If the seed is not a whole number from 0 to 2^32 - 1
+ */
+export function seedRandom(seed = createSeed()) {
+    if (!isValidSeed(seed)) {
+        throw new Error(`Invalid seed ${seed}, expected a whole number from 0 to ${0xFFFFFFFF}`);
+    }
+    randomState.seed = seed;
+    randomState.streams = Object.fromEntries(Object.entries(STREAM_OFFSETS)
+        .map(([stream, offset]) => [stream, (seed + offset) >>> 0]));
+}
+
+/**
+ * Get the seed the current game was started with
+ * @returns {number}
+ */
+export function getSeed() {
+    return randomState.seed;
+}
+
+/**
+ * Draw a number from a random stream
+ * @param {string} [stream=RandomStream.GAME] - Stream from RandomStream
+ * @returns {number} Number in [0, 1)
+ */
+export function random(stream = RandomStream.GAME) {
+    const { state, value } = step(randomState.streams[stream]);
+    randomState.streams[stream] = state;
+    return value;
+}
+
+/**
+ * Create a standalone generator, e.g. for content that has to come out the same from its own seed
+ * It doesn't advance the game's streams
+ * @param {number} seed - Whole number from 0 to 2^32 - 1
+ * @returns {() => number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        const next = step(state);
+        state = next.state;
+        return next.value;
+    };
+}
+
+/**
+ * Copy the state of the random streams, e.g. for saves and undo
+ * @returns {RandomState}
+ */
+export function getRandomState() {
+    return { seed: randomState.seed, streams: { ...randomState.streams } };
+}
+
+/**
+ * Continue the random streams from a copied state
+ * Streams missing from the state, e.g. in saves from before they existed, start over from the seed
+ * @param {RandomState} state
+ */
+export function setRandomState(state) {
+    randomState.seed = state.seed;
+    randomState.streams = Object.fromEntries(Object.entries(STREAM_OFFSETS)
+        .map(([stream, offset]) => [stream, state.streams?.[stream] ?? (state.seed + offset) >>> 0]));
+}
+
+seedRandom();
@@ -1,8 +1,92 @@
 /**
  * Renderer module for the hexagonal grid
+ *
+ * Frames are drawn in layers: the terrain from the cached chunks of terrainLayer.js, then
+ * the highlights and paths, then the units and finally the tooltips and turn indicator.
+ * Only the cells on screen are drawn, so large maps pan as smoothly as small ones.
  */
-import { appState } from './state.js';
-import { drawHexagon } from './hexagon.js';
+import { appState, calculateHexX, calculateHexY, getAbilityArea } from './state.js';
+import { config, getHexLayout } from './config.js';
+import { pixelToOffset } from './hexCoords.js';
+import { drawHexagon, traceHexagon, drawHexagonBorder } from './hexagon.js';
+import { drawTerrainLayer, markFogChanged } from './terrainLayer.js';
+import { FogState, updateVisibility, getFogState } from './visibility.js';
+import { editorState, getSpawnZone } from './editor.js';
+import { getPlayerColor } from './players.js';
+import { getStatusEffectDefinition } from './statusEffects.js';
+import { getUnitDefinition } from './unit.js';
+import { mapEvents, MapEvent } from './mapState.js';
+
+/**
+ * @typedef {Object} CellRange
+ * @property {number} rowMin - First row
+ * @property {number} rowMax - Last row
+ * @property {number} colMin - First column
+ * @property {number} colMax - Last column
+ */
+
+// What the visibility was last updated for, it only changes along with the map state
+const visibilityCache = {
+    stale: true,
+    cells: null,
+    fogOfWar: null
+};
+
+for (const type of Object.values(MapEvent)) {
+    mapEvents.on(type, () => {
+        visibilityCache.stale = true;
+    });
+}
+
+/**
+ * Update what the viewing player sees if the map state changed since the last update
+ */
+function refreshVisibility() {
+    if (!visibilityCache.stale
+        && visibilityCache.cells === appState.cells
+        && visibilityCache.fogOfWar === config.fogOfWar) return;
+
+    updateVisibility();
+    markFogChanged();
+    visibilityCache.stale = false;
+    visibilityCache.cells = appState.cells;
+    visibilityCache.fogOfWar = config.fogOfWar;
+}
+
+/**
+ * Get the cells on screen, with a margin for hexes reaching in from outside
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @returns {CellRange}
+ */
+function getVisibleRange(canvas) {
+    const layout = getHexLayout();
+    const corners = [[0, 0], [canvas.width, 0], [0, canvas.height], [canvas.width, canvas.height]]
+        .map(([x, y]) => screenToWorld(canvas, x, y))
+        .map(({ x, y }) => pixelToOffset(layout, x, y));
+    const rowCount = appState.cells.length;
+    const colCount = Math.max(0, ...appState.cells.map(row => row.length));
+
+    return {
+        rowMin: Math.max(0, Math.min(...corners.map(({ row }) => row)) - 1),
+        rowMax: Math.min(rowCount - 1, Math.max(...corners.map(({ row }) => row)) + 1),
+        colMin: Math.max(0, Math.min(...corners.map(({ col }) => col)) - 1),
+        colMax: Math.min(colCount - 1, Math.max(...corners.map(({ col }) => col)) + 1)
+    };
+}
+
+/**
+ * Call a function for each existing cell in a range
+ * @param {CellRange} range
+ * @param {(cell: Object) => void} callback
+ */
+function forEachCellIn(range, callback) {
+    for (let rowIndex = range.rowMin; rowIndex <= range.rowMax; rowIndex++) {
+        const row = appState.cells[rowIndex];
+        for (let cellIndex = range.colMin; cellIndex <= Math.min(range.colMax, row.length - 1); cellIndex++) {
+            callback(row[cellIndex]);
+        }
+    }
+}
 
 /**
  * Render the entire grid
@@ -14,9 +98,15 @@ export function render(canvas, ctx) {
     ctx.fillStyle = appState.colors.background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
+    // Units may have moved since the last frame, the editor shows everything
+    const editing = editorState.enabled;
+    if (!editing) {
+        refreshVisibility();
+    }
+    
     // Calculate base center position
-    const centerOffsetX = (canvas.width - appState.gridConfig[0].length * appState.hexSize * 1.5) / 2 + appState.hexSize;
-    const centerOffsetY = (canvas.height - appState.gridConfig.length * appState.hexSize * 0.866 * 1.7) / 2 + appState.hexSize;
+    const centerOffset = getCenterOffset(canvas);
+    const range = getVisibleRange(canvas);
     
     // Draw each hexagon with zoom and pan applied
     ctx.save();
@@ -26,51 +116,380 @@ export function render(canvas, ctx) {
     ctx.scale(appState.view.scale, appState.view.scale);
     ctx.translate(-canvas.width / 2, -canvas.height / 2);
     ctx.translate(appState.view.offsetX, appState.view.offsetY);
-    ctx.translate(centerOffsetX, centerOffsetY);
+    ctx.translate(centerOffset.x, centerOffset.y);
     
-    // First, draw all cells
-    for (let rowIndex = 0; rowIndex < appState.cells.length; rowIndex++) {
-        const row = appState.cells[rowIndex];
+    // First the terrain, it's only drawn again where it changed
+    drawTerrainLayer(ctx, range, appState.view.scale, editing);
+    
+    // Then the highlights of the cells on screen
+    forEachCellIn(range, (cell) => {
+        if (!cell.isVisible) return;
         
-        for (let cellIndex = 0; cellIndex < row.length; cellIndex++) {
-            const cell = row[cellIndex];
-            
-            if (cell.isVisible) {
-                // Determine cell color
-                let color = appState.colors.hexagon;
-                
-                if (cell.isActive) {
-                    color = appState.colors.active;
-                } else if (cell.isHighlighted) {
-                    color = '#5D9CEC'; // Blue for movement range
-                }
-                
-                // Draw the hexagon
-                drawHexagon(ctx, cell.x, cell.y, appState.hexSize, color);
-                
-                // If the cell contains a selected unit, draw a border
-                if (cell.unit && cell.unit === appState.selectedUnit) {
-                    drawHexagonBorder(ctx, cell.x, cell.y, appState.hexSize, '#FFEB3B', 3); // Yellow border
-                }
-            }
+        // Determine overlay color
+        let overlay = null;
+        
+        if (cell.isActive) {
+            overlay = appState.colors.active;
+        } else if (cell.isAbilityTarget) {
+            overlay = 'rgba(179, 136, 255, 0.6)'; // Purple for ability targets
+        } else if (cell.isAttackable) {
+            overlay = 'rgba(233, 87, 63, 0.7)'; // Red for attack targets
+        } else if (cell.isHighlighted) {
+            overlay = 'rgba(93, 156, 236, 0.6)'; // Blue for movement range
+        }
+        
+        if (overlay) {
+            drawHexagon(ctx, cell.x, cell.y, appState.hexSize, overlay);
+        }
+        
+        // Outline the hexes the selected unit can shoot at
+        if (cell.isInAttackRange && !cell.isAttackable) {
+            drawHexagonBorder(ctx, cell.x, cell.y, appState.hexSize * 0.88, 'rgba(233, 87, 63, 0.6)', 2);
+        }
+        
+        // Mark spawn zones in their owner's color while editing
+        const spawn = editing && getSpawnZone(cell);
+        if (spawn) {
+            drawHexagonBorder(ctx, cell.x, cell.y, appState.hexSize * 0.8, getPlayerColor(spawn.owner), 3);
+        }
+        
+        // If the cell contains a selected unit, draw a border
+        if (cell.unit && cell.unit === appState.selectedUnit) {
+            drawHexagonBorder(ctx, cell.x, cell.y, appState.hexSize, '#FFEB3B', 3); // Yellow border
+        }
+    });
+    
+    // Outline what the aimed ability would hit on the hovered target
+    const hovered = appState.view.hoveredCell;
+    if (appState.activeAbility && hovered?.isAbilityTarget) {
+        for (const cell of getAbilityArea(appState.activeAbility, hovered)) {
+            drawHexagonBorder(ctx, cell.x, cell.y, appState.hexSize * 0.9, '#B388FF', 3);
         }
     }
     
-    // Then draw units on top of cells
-    for (let rowIndex = 0; rowIndex < appState.cells.length; rowIndex++) {
-        const row = appState.cells[rowIndex];
+    // Draw the previewed path of the selected unit
+    if (appState.view.pathPreview) {
+        drawPathPreview(ctx, appState.view.pathPreview.path, appState.view.pathPreview.cost);
+    }
+    
+    // Then draw units on top of cells, enemies out of sight stay hidden
+    const now = performance.now();
+    const isUnitShown = cell => cell.isVisible && cell.unit && (editing || getFogState(cell) === FogState.VISIBLE);
+    forEachCellIn(range, (cell) => {
+        if (isUnitShown(cell) && !movingUnits.has(cell.unit)) {
+            drawUnit(ctx, cell.x, cell.y, appState.hexSize, cell.unit);
+        }
+    });
+    
+    // Moving units are drawn somewhere along their path instead, which may start off screen
+    for (const unit of movingUnits.keys()) {
+        const cell = appState.cells[unit.position.row]?.[unit.position.col];
+        if (cell?.unit === unit && isUnitShown(cell)) {
+            const { x, y } = getAnimatedPosition(unit, now);
+            drawUnit(ctx, x, y, appState.hexSize, unit);
+        }
+    }
+    
+    // Explain why the hovered enemy can't be attacked, or what attacking it would do
+    if (appState.view.targetTooltip) {
+        drawTargetTooltip(ctx, appState.view.targetTooltip);
+    }
+    if (appState.view.combatForecast) {
+        drawCombatForecast(ctx, appState.view.combatForecast);
+    }
+    
+    // Draw turn indicator
+    drawTurnIndicator(ctx, canvas.width, canvas.height);
+    
+    ctx.restore();
+}
+
+/**
+ * Draw a tooltip above a target and mark the hex blocking the line to it
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{cell: Object, text: string, blocker: {row: number, col: number}|null}} tooltip - Tooltip to draw
+ */
+function drawTargetTooltip(ctx, tooltip) {
+    const size = appState.hexSize;
+    const { cell, text, blocker } = tooltip;
+    
+    ctx.save();
+    
+    // Cross out the blocking hex, it may lie outside the grid
+    if (blocker) {
+        const x = calculateHexX(blocker.row, blocker.col);
+        const y = calculateHexY(blocker.row, blocker.col);
+        const arm = size * 0.3;
+        ctx.strokeStyle = 'rgba(233, 87, 63, 0.9)';
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(x - arm, y - arm);
+        ctx.lineTo(x + arm, y + arm);
+        ctx.moveTo(x + arm, y - arm);
+        ctx.lineTo(x - arm, y + arm);
+        ctx.stroke();
+    }
+    
+    // Text box above the target
+    ctx.font = `${Math.round(size * 0.3)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const padding = size * 0.15;
+    const width = ctx.measureText(text).width + padding * 2;
+    const height = size * 0.3 + padding * 2;
+    const top = cell.y - size - height;
+    
+    ctx.fillStyle = 'rgba(32, 35, 37, 0.9)';
+    ctx.fillRect(cell.x - width / 2, top, width, height);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText(text, cell.x, top + height / 2);
+    
+    ctx.restore();
+}
+
+/**
+ * Format a range of numbers, a single number if both ends are the same
+ * @param {{min: number, max: number}} range
+ * @returns {string}
+ */
+function formatRange({ min, max }) {
+    return min === max ? String(min) : `${min}–${max}`;
+}
+
+/**
+ * Draw the forecast of an attack next to its target
+ * Each unit gets a health bar: what it keeps for sure, what it may lose and what it loses for sure
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{cell: Object, forecast: import('./combat.js').CombatForecast}} combatForecast - Forecast to draw
+ */
+function drawCombatForecast(ctx, { cell, forecast }) {
+    const size = appState.hexSize;
+    const fontSize = Math.round(size * 0.26);
+    const lineHeight = fontSize * 1.5;
+    const padding = size * 0.15;
+    const width = size * 3.6;
+    const barWidth = width - padding * 2;
+    const barHeight = size * 0.12;
+    
+    const rows = [
+        { unit: forecast.attacker, health: forecast.attackerHealth, text: `Takes ${formatRange(forecast.received)}` },
+        { unit: forecast.defender, health: forecast.defenderHealth, text: `Deals ${formatRange(forecast.damage)}` }
+    ];
+    const summary = `Kill chance ${Math.round(forecast.killChance * 100)}%`
+        + (forecast.deathChance > 0 ? ` · Death chance ${Math.round(forecast.deathChance * 100)}%` : '');
+    const modifiers = [
+        forecast.flankers > 0 ? `Flanked by ${forecast.flankers}` : null,
+        forecast.defense > 0 ? `Cover ${Math.round(forecast.defense * 100)}%` : null
+    ].filter(Boolean);
+    const lines = modifiers.length > 0 ? [modifiers.join(' · '), summary] : [summary];
+    const height = padding * 2 + rows.length * (lineHeight + barHeight + padding) + lines.length * lineHeight;
+    
+    // Right of the target, the unit stays visible
+    const left = cell.x + size;
+    const top = cell.y - height / 2;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(32, 35, 37, 0.9)';
+    ctx.fillRect(left, top, width, height);
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textBaseline = 'middle';
+    
+    let y = top + padding;
+    for (const { unit, health, text } of rows) {
+        ctx.fillStyle = unit.getColor();
+        ctx.textAlign = 'left';
+        ctx.fillText(`${unit.getName()} ${unit.health} → ${formatRange(health)}`, left + padding, y + lineHeight / 2);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'right';
+        ctx.fillText(text, left + width - padding, y + lineHeight / 2);
+        y += lineHeight;
         
-        for (let cellIndex = 0; cellIndex < row.length; cellIndex++) {
-            const cell = row[cellIndex];
+        const scale = barWidth / unit.maxHealth;
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(left + padding, y, barWidth, barHeight);
+        ctx.fillStyle = '#F44336';
+        ctx.fillRect(left + padding, y, unit.health * scale, barHeight);
+        ctx.fillStyle = '#FFC107';
+        ctx.fillRect(left + padding, y, health.max * scale, barHeight);
+        ctx.fillStyle = '#4CAF50';
+        ctx.fillRect(left + padding, y, health.min * scale, barHeight);
+        y += barHeight + padding;
+    }
+    
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'left';
+    for (const line of lines) {
+        ctx.fillText(line, left + padding, y + lineHeight / 2);
+        y += lineHeight;
+    }
+    
+    ctx.restore();
+}
+
+// Bounds of the grid's hex centers, only measured again for another grid or layout
+const gridBounds = {
+    key: null,
+    cells: null,
+    bounds: null
+};
+
+/**
+ * Get the bounds of the grid's hex centers
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Bounds, null for an empty grid
+ */
+function getGridBounds() {
+    const key = `${appState.hexSize}|${appState.hexOrientation}|${appState.cells.length}|${appState.cells[0]?.length}`;
+    if (gridBounds.cells === appState.cells && gridBounds.key === key) return gridBounds.bounds;
+    
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const row of appState.cells) {
+        for (const cell of row) {
+            minX = Math.min(minX, cell.x);
+            minY = Math.min(minY, cell.y);
+            maxX = Math.max(maxX, cell.x);
+            maxY = Math.max(maxY, cell.y);
+        }
+    }
+    
+    gridBounds.key = key;
+    gridBounds.cells = appState.cells;
+    gridBounds.bounds = minX === Infinity ? null : { minX, minY, maxX, maxY };
+    return gridBounds.bounds;
+}
+
+/**
+ * Get the offset that centers the grid on the canvas
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @returns {{x: number, y: number}} Translation from world to unzoomed canvas coordinates
+ */
+function getCenterOffset(canvas) {
+    const bounds = getGridBounds();
+    if (!bounds) return { x: 0, y: 0 };
+    
+    return {
+        x: canvas.width / 2 - (bounds.minX + bounds.maxX) / 2,
+        y: canvas.height / 2 - (bounds.minY + bounds.maxY) / 2
+    };
+}
+
+/**
+ * Duration of a unit's animated step from one hex to the next (in milliseconds)
+ */
+const STEP_DURATION = 150;
+
+/**
+ * Units currently animating along a path
+ * @type {Map<Unit, {path: Array<Object>, startTime: number}>}
+ */
+const movingUnits = new Map();
+
+/**
+ * Animate a unit walking hex by hex along a path
+ * The unit is expected to already stand on the path, which is cut off where it stopped
+ * @param {Unit} unit - Moving unit
+ * @param {Array<Object>} path - Cells from start to target
+ * @param {Function} renderFn - Render function called on every frame
+ * @returns {Promise<void>} Resolves when the animation has finished
+ */
+export function animateUnitMove(unit, path, renderFn) {
+    // Units bumping into a hidden enemy stop short of the planned target
+    const stop = path?.findIndex(cell => cell.rowIndex === unit.position.row && cell.cellIndex === unit.position.col) ?? -1;
+    path = path?.slice(0, stop + 1);
+    if (!path || path.length < 2) return Promise.resolve();
+    
+    return new Promise((resolve) => {
+        const animation = { path, startTime: performance.now() };
+        const duration = (path.length - 1) * STEP_DURATION;
+        movingUnits.set(unit, animation);
+        
+        function frame(now) {
+            // A newer animation of the same unit takes over
+            if (movingUnits.get(unit) !== animation) {
+                resolve();
+                return;
+            }
             
-            if (cell.isVisible && cell.unit) {
-                drawUnit(ctx, cell.x, cell.y, appState.hexSize, cell.unit);
+            if (now - animation.startTime >= duration) {
+                movingUnits.delete(unit);
+                renderFn();
+                resolve();
+                return;
             }
+            
+            renderFn();
+            requestAnimationFrame(frame);
         }
+        
+        requestAnimationFrame(frame);
+    });
+}
+
+/**
+ * Get the current drawing position of a moving unit
+ * @param {Unit} unit - Unit to look up
+ * @param {number} now - Current timestamp
+ * @returns {{x: number, y: number}|null} Position or null if the unit isn't moving
+ */
+function getAnimatedPosition(unit, now) {
+    const animation = movingUnits.get(unit);
+    if (!animation) return null;
+    
+    const { path, startTime } = animation;
+    const progress = Math.max(0, (now - startTime) / STEP_DURATION);
+    const step = Math.min(Math.floor(progress), path.length - 2);
+    const t = Math.min(progress - step, 1);
+    const from = path[step];
+    const to = path[step + 1];
+    
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+    };
+}
+
+/**
+ * Draw a path as a line through the hex centers with its cost at the end
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Object>} path - Cells from start to target
+ * @param {number} cost - Movement cost of the path
+ */
+function drawPathPreview(ctx, path, cost) {
+    if (path.length < 2) return;
+    
+    const size = appState.hexSize;
+    const end = path[path.length - 1];
+    
+    ctx.save();
+    
+    // Path line
+    ctx.strokeStyle = 'rgba(255, 235, 59, 0.8)';
+    ctx.lineWidth = 4;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.setLineDash([10, 8]);
+    ctx.beginPath();
+    ctx.moveTo(path[0].x, path[0].y);
+    for (let i = 1; i < path.length; i++) {
+        ctx.lineTo(path[i].x, path[i].y);
     }
+    ctx.stroke();
     
-    // Draw turn indicator
-    drawTurnIndicator(ctx, canvas.width, canvas.height);
+    // Cost badge at the target
+    ctx.setLineDash([]);
+    ctx.fillStyle = 'rgba(255, 235, 59, 0.9)';
+    ctx.beginPath();
+    ctx.arc(end.x, end.y, size * 0.25, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.fillStyle = '#202325';
+    ctx.font = `bold ${Math.round(size * 0.3)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(cost), end.x, end.y);
     
     ctx.restore();
 }
@@ -92,12 +511,26 @@ function drawUnit(ctx, x, y, size, unit) {
     ctx.arc(x, y, radius, 0, Math.PI * 2);
     ctx.fill();
     
-    // Draw unit symbol
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = `bold ${Math.round(size * 0.4)}px Arial`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(unit.getSymbol(), x, y);
+    // Commanders get a golden ring
+    if (unit.isCommander) {
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    // Draw the unit's sprite, or its symbol while there is none
+    const sprite = getUnitSprite(unit);
+    if (sprite) {
+        ctx.drawImage(sprite, x - radius * 0.8, y - radius * 0.8, radius * 1.6, radius * 1.6);
+    } else {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = `bold ${Math.round(size * 0.4)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(unit.getSymbol(), x, y);
+    }
     
     // Draw health indicator if unit has taken damage
     if (unit.health < unit.maxHealth) {
@@ -131,38 +564,76 @@ function drawUnit(ctx, x, y, size, unit) {
         ctx.arc(x, y, radius, 0, Math.PI * 2);
         ctx.fill();
     }
+    
+    // Draw status effect icons on top
+    drawStatusEffects(ctx, x, y - radius, size, unit);
 }
 
 /**
- * Draw a hexagon border
+ * Sprites of the unit types by URL
+ * @type {Map<string, HTMLImageElement>}
+ */
+const sprites = new Map();
+
+/**
+ * Get the sprite of a unit's type, loading it on first use
+ * @param {Unit} unit - Unit to draw
+ * @returns {HTMLImageElement|null} Loaded sprite, null if the type has none or it hasn't loaded yet
+ */
+function getUnitSprite(unit) {
+    const url = getUnitDefinition(unit.type)?.sprite;
+    if (!url) return null;
+    
+    if (!sprites.has(url)) {
+        const image = new Image();
+        image.src = url;
+        sprites.set(url, image);
+    }
+    const image = sprites.get(url);
+    return image.complete && image.naturalWidth > 0 ? image : null;
+}
+
+/**
+ * Draw a row of status effect icons centered on a point, with the stack count on stacked effects
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} x - X coordinate of hexagon center
- * @param {number} y - Y coordinate of hexagon center
+ * @param {number} x - X coordinate of the row center
+ * @param {number} y - Y coordinate of the row center
  * @param {number} size - Size of hexagon
- * @param {string} color - Border color
- * @param {number} lineWidth - Border width
+ * @param {Unit} unit - Unit whose effects are drawn
  */
-function drawHexagonBorder(ctx, x, y, size, color, lineWidth) {
-    const angleOffset = Math.PI / 6;
+function drawStatusEffects(ctx, x, y, size, unit) {
+    const iconRadius = size * 0.13;
+    const spacing = iconRadius * 2.2;
+    const left = x - (unit.statusEffects.length - 1) * spacing / 2;
     
-    ctx.strokeStyle = color;
-    ctx.lineWidth = lineWidth;
-    ctx.beginPath();
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
     
-    for (let i = 0; i < 6; i++) {
-        const angle = (i * Math.PI / 3) + angleOffset;
-        const xPos = x + size * Math.cos(angle);
-        const yPos = y + size * Math.sin(angle);
+    unit.statusEffects.forEach((effect, index) => {
+        const definition = getStatusEffectDefinition(effect.type);
+        if (!definition) return;
+        const iconX = left + index * spacing;
+        
+        ctx.fillStyle = definition.color;
+        ctx.strokeStyle = '#202325';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(iconX, y, iconRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = `bold ${Math.round(iconRadius * 1.4)}px Arial`;
+        ctx.fillText(definition.icon, iconX, y);
         
-        if (i === 0) {
-            ctx.moveTo(xPos, yPos);
-        } else {
-            ctx.lineTo(xPos, yPos);
+        if (effect.stacks > 1) {
+            ctx.font = `bold ${Math.round(iconRadius)}px Arial`;
+            ctx.fillText(String(effect.stacks), iconX + iconRadius, y - iconRadius);
         }
-    }
+    });
     
-    ctx.closePath();
-    ctx.stroke();
+    ctx.restore();
 }
 
 /**
@@ -178,7 +649,10 @@ function drawTurnIndicator(ctx, canvasWidth, canvasHeight) {
     // Reset transform to draw in screen space
     ctx.resetTransform();
     
-    const text = `${appState.currentTurn.toUpperCase()}'S TURN`;
+    const player = appState.currentPlayer;
+    const text = editorState.enabled
+        ? 'MAP EDITOR'
+        : `${(player?.name ?? appState.currentTurn).toUpperCase()}'S TURN · ${appState.turnNumber}`;
     const padding = 10;
     
     // Set up text properties
@@ -190,7 +664,8 @@ function drawTurnIndicator(ctx, canvasWidth, canvasHeight) {
     const textWidth = ctx.measureText(text).width;
     
     // Draw background
-    ctx.fillStyle = appState.currentTurn === 'player' ? 'rgba(76, 175, 80, 0.8)' : 'rgba(244, 67, 54, 0.8)';
+    ctx.globalAlpha = 0.8;
+    ctx.fillStyle = editorState.enabled ? '#3a3f42' : player?.color ?? '#4CAF50';
     ctx.fillRect(
         canvasWidth / 2 - textWidth / 2 - padding,
         20 - padding,
@@ -199,9 +674,18 @@ function drawTurnIndicator(ctx, canvasWidth, canvasHeight) {
     );
     
     // Draw text
+    ctx.globalAlpha = 1;
     ctx.fillStyle = '#FFFFFF';
     ctx.fillText(text, canvasWidth / 2, 20 + 12);
     
+    // The seed and turn are all a bug report needs to replay the game
+    if (!editorState.enabled) {
+        ctx.font = '14px Arial';
+        ctx.globalAlpha = 0.7;
+        ctx.fillText(`Seed ${appState.seed}`, canvasWidth / 2, 20 + 24 + padding + 14);
+        ctx.globalAlpha = 1;
+    }
+    
     // Restore transform
     ctx.setTransform(transform);
 }
@@ -215,8 +699,7 @@ function drawTurnIndicator(ctx, canvasWidth, canvasHeight) {
  */
 export function screenToWorld(canvas, screenX, screenY) {
     // Invert the transformations from the render function
-    const centerOffsetX = (canvas.width - appState.gridConfig[0].length * appState.hexSize * 1.5) / 2 + appState.hexSize;
-    const centerOffsetY = (canvas.height - appState.gridConfig.length * appState.hexSize * 0.866 * 1.7) / 2 + appState.hexSize;
+    const centerOffset = getCenterOffset(canvas);
     
     // Apply inverse transformations in reverse order
     const x = screenX;
@@ -231,8 +714,28 @@ export function screenToWorld(canvas, screenX, screenY) {
     const panY = scaledY - appState.view.offsetY;
     
     // Invert the center offset
-    const worldX = panX - centerOffsetX;
-    const worldY = panY - centerOffsetY;
+    const worldX = panX - centerOffset.x;
+    const worldY = panY - centerOffset.y;
     
     return { x: worldX, y: worldY };
-}
\ No newline at end of file
+}
+
+/**
+ * Redraw whenever the map state changes, changes made in the same frame share one redraw
+ * @param {Function} renderFn - Render function to call
+ */
+export function renderOnChange(renderFn) {
+    let queued = false;
+    const queueRender = () => {
+        if (queued) return;
+        queued = true;
+        requestAnimationFrame(() => {
+            queued = false;
+            renderFn();
+        });
+    };
+
+    for (const type of Object.values(MapEvent)) {
+        mapEvents.on(type, queueRender);
+    }
+}
@@ -0,0 +1,376 @@
+/**
+ * Replay module for recording matches and playing them back
+ *
+ * A replay is the game state a match was recorded from plus every action taken since,
+ * with units referred to by their position in the starting state. Combat rolls come
+ * from the seeded game stream stored in that state, so re-running the actions gives
+ * the exact same match. The AI's own randomness is not needed, its actions are recorded.
+ */
+import { config } from './config.js';
+import { mapState, getCell, selectUnit } from './mapState.js';
+import { serializeGameState, deserializeGameState, migrateSave } from './saveGame.js';
+import {
+    onCommand,
+    executeMove,
+    executeAttack,
+    executeAbility,
+    executeEndTurn
+} from './commands.js';
+import { getControllers, setPlayerController } from './players.js';
+import { evaluateVictory } from './victory.js';
+import { abilityDefinitions } from './abilities.js';
+
+// Current version of the replay format
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Recorded action, kept short as replays list every action of a match:
+ * ['move', unit, row, col], ['attack', unit, target], ['ability', unit, ability, row, col] or ['end']
+ * @typedef {Array<string|number>} ReplayAction
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {number} version - Replay format version
+ * @property {import('./saveGame.js').GameSave} start - Game state the recording starts from
+ * @property {Array<ReplayAction>} actions - Actions in the order they were taken
+ */
+
+/**
+ * @typedef {Object} ReplayCheckpoint
+ * @property {number} position - Number of actions played before the checkpoint
+ * @property {import('./saveGame.js').GameSave} state - Game state at that point
+ * @property {Array<number>} ids - Replay id of each unit in the state, in order
+ */
+
+/**
+ * @typedef {Object} ReplayPlayback
+ * @property {Replay} replay - Replay being watched
+ * @property {number} position - Number of actions played so far
+ * @property {Array<ReplayCheckpoint>} checkpoints - Game state at the start and after each turn
+ * @property {Array<import('./unit.js').Unit>} units - Units by replay id, in the played back game
+ * @property {{state: import('./saveGame.js').GameSave, ids: Array<number>, controllers: Object<string, string>, fogOfWar: boolean}} resume - Game to go back to afterwards
+ */
+
+export const replayState = {
+    /** @type {Replay|null} */
+    recording: null,
+    /** @type {Map<import('./unit.js').Unit, number>} */
+    unitIds: new Map(),
+    /** @type {Array<ReplayAction>} Undone actions that may be redone */
+    undone: [],
+    /** @type {ReplayPlayback|null} */
+    playback: null
+};
+
+/**
+ * Error thrown when a replay can't be played
+ */
+export class ReplayFormatError extends Error {
+    /**
+     * @param {Array<string>} errors - Problems found in the replay
+     */
+    constructor(errors) {
+        super(`Invalid replay:\n- ${errors.join('\n- ')}`);
+        this.name = 'ReplayFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Start recording the current game, dropping the previous recording
+ * Called whenever a game starts or is loaded
+ */
+export function startRecording() {
+    replayState.recording = {
+        version: REPLAY_FORMAT_VERSION,
+        start: serializeGameState(),
+        actions: []
+    };
+    replayState.unitIds = new Map(mapState.units.map((unit, index) => [unit, index]));
+    replayState.undone = [];
+}
+
+/**
+ * Get the recording of the current game
+ * @returns {Replay|null} Replay of everything played since the game started, null if nothing was recorded
+ */
+export function getRecording() {
+    if (!replayState.recording) return null;
+    return structuredClone(replayState.recording);
+}
+
+/**
+ * Turn an action into its recorded form
+ * @param {string} name - Action name
+ * @param {Array<any>} args - Arguments of the action
+ * @returns {ReplayAction} Recorded action
+ * @throws {Error} If the action is unknown
+ */
+function encodeAction(name, args) {
+    const id = unit => replayState.unitIds.get(unit);
+    switch (name) {
+        case 'move':
+            return ['move', id(args[0]), args[1], args[2]];
+        case 'attack':
+            return ['attack', id(args[0]), id(args[1])];
+        case 'ability':
+            return ['ability', id(args[0]), args[1], args[2].rowIndex, args[2].cellIndex];
+        case 'endTurn':
+            return ['end'];
+        default:
+            throw new Error(`Unknown action ${name}`);
+    }
+}
+
+/**
+ * Keep the recording in step with the actions taken, undone actions are taken back
+ * @param {import('./commands.js').CommandEvent} event
+ */
+function recordCommand(event) {
+    const recording = replayState.recording;
+    if (!recording || replayState.playback) return;
+
+    if (event.type === 'undo') {
+        replayState.undone.push(recording.actions.pop());
+    } else if (event.type === 'redo') {
+        recording.actions.push(replayState.undone.pop());
+    } else {
+        recording.actions.push(encodeAction(event.name, event.args));
+        replayState.undone = [];
+    }
+}
+
+onCommand(recordCommand);
+
+/**
+ * Validate a replay before playing it
+ * Whether the actions are legal is only known by playing them
+ * @param {any} data - Parsed replay
+ * @returns {Array<string>} List of problems, empty if the replay looks valid
+ */
+export function validateReplay(data) {
+    if (!data || typeof data !== 'object') {
+        return ['Replay must be a JSON object'];
+    }
+
+    const errors = [];
+    if (data.version !== REPLAY_FORMAT_VERSION) {
+        errors.push(`Unsupported replay version ${data.version}, expected ${REPLAY_FORMAT_VERSION}`);
+    }
+    try {
+        migrateSave(data.start);
+    } catch (error) {
+        errors.push(`Replay must start from a supported game state: ${error.message}`);
+    }
+    if (!Array.isArray(data.actions)) {
+        errors.push('Actions must be a list');
+        return errors;
+    }
+
+    const isIndex = value => Number.isInteger(value) && value >= 0;
+    data.actions.forEach((action, index) => {
+        const [type, ...args] = Array.isArray(action) ? action : [];
+        const valid = (type === 'move' && args.length === 3 && args.every(isIndex))
+            || (type === 'attack' && args.length === 2 && args.every(isIndex))
+            || (type === 'ability' && args.length === 4 && isIndex(args[0]) && abilityDefinitions[args[1]]
+                && isIndex(args[2]) && isIndex(args[3]))
+            || (type === 'end' && args.length === 0);
+        if (!valid) {
+            errors.push(`Action ${index} is not a valid move, attack, ability or end of turn`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Parse a replay from JSON text
+ * @param {string} text - Replay file contents
+ * @returns {Replay}
+ * @throws {ReplayFormatError} If the text is not a valid replay
+ */
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new ReplayFormatError([`Replay is not valid JSON: ${error.message}`]);
+    }
+
+    const errors = validateReplay(data);
+    if (errors.length > 0) {
+        throw new ReplayFormatError(errors);
+    }
+    return data;
+}
+
+/**
+ * Check if a replay is being watched
+ * Turn and game over listeners leave the played back game alone while it is
+ * @returns {boolean}
+ */
+export function isWatchingReplay() {
+    return replayState.playback !== null;
+}
+
+/**
+ * Play a recorded action in the played back game
+ * @param {ReplayAction} action
+ * @returns {boolean} Whether the action could be taken
+ */
+function playAction(action) {
+    const units = replayState.playback.units;
+    switch (action[0]) {
+        case 'move':
+            return Boolean(executeMove(units[action[1]], action[2], action[3]));
+        case 'attack':
+            return Boolean(executeAttack(units[action[1]], units[action[2]]));
+        case 'ability':
+            return Boolean(executeAbility(units[action[1]], action[2], getCell(action[3], action[4])));
+        case 'end':
+            if (mapState.gameOver) return false;
+            executeEndTurn();
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Restore a checkpoint in the played back game
+ * @param {ReplayCheckpoint} checkpoint
+ */
+function restoreCheckpoint(checkpoint) {
+    const playback = replayState.playback;
+    deserializeGameState(checkpoint.state);
+    playback.units = [];
+    mapState.units.forEach((unit, index) => {
+        playback.units[checkpoint.ids[index]] = unit;
+    });
+    playback.position = checkpoint.position;
+}
+
+/**
+ * Capture a checkpoint of the played back game
+ * @returns {ReplayCheckpoint}
+ */
+function createCheckpoint() {
+    const playback = replayState.playback;
+    return {
+        position: playback.position,
+        state: serializeGameState(),
+        ids: mapState.units.map(unit => playback.units.indexOf(unit))
+    };
+}
+
+/**
+ * Start watching a replay, the current game is put aside until the replay is closed
+ * The whole replay is played through once to check it and to note where each turn starts
+ * @param {Replay} replay - Replay to watch
+ * @throws {ReplayFormatError} If the replay is invalid or one of its actions can't be taken
+ */
+export function openReplay(replay) {
+    const errors = validateReplay(replay);
+    if (errors.length > 0) {
+        throw new ReplayFormatError(errors);
+    }
+
+    replayState.playback = {
+        replay,
+        position: 0,
+        checkpoints: [],
+        units: [],
+        resume: {
+            state: serializeGameState(),
+            ids: mapState.units.map(unit => replayState.unitIds.get(unit)),
+            controllers: getControllers(),
+            fogOfWar: config.fogOfWar
+        }
+    };
+
+    // Watchers see every side
+    config.fogOfWar = false;
+
+    try {
+        const start = { position: 0, state: replay.start, ids: replay.start.units.map((_, index) => index) };
+        restoreCheckpoint(start);
+        const checkpoints = [start];
+
+        replay.actions.forEach((action, index) => {
+            if (!playAction(action)) {
+                throw new ReplayFormatError([`Action ${index} (${action[0]}) can't be taken at that point of the match`]);
+            }
+            replayState.playback.position = index + 1;
+            if (action[0] === 'end') {
+                checkpoints.push(createCheckpoint());
+            }
+        });
+
+        replayState.playback.checkpoints = checkpoints;
+        seekReplay(0);
+    } catch (error) {
+        closeReplay();
+        throw error;
+    }
+}
+
+/**
+ * Stop watching the replay and go back to the game that was put aside
+ * A game that was over is over again, its game over listeners are called once more
+ */
+export function closeReplay() {
+    const playback = replayState.playback;
+    if (!playback) return;
+
+    const { state, ids, controllers, fogOfWar } = playback.resume;
+    replayState.playback = null;
+    config.fogOfWar = fogOfWar;
+
+    deserializeGameState(state);
+    for (const [id, controller] of Object.entries(controllers)) {
+        setPlayerController(id, controller);
+    }
+
+    // Units were recreated, the recording still has to know them
+    replayState.unitIds = new Map(mapState.units.map((unit, index) => [unit, ids[index]]));
+    evaluateVictory();
+}
+
+/**
+ * Show the played back game after a number of actions
+ * @param {number} position - Number of actions played, clamped to the replay's length
+ */
+export function seekReplay(position) {
+    const playback = replayState.playback;
+    if (!playback) return;
+
+    const target = Math.max(0, Math.min(position, playback.replay.actions.length));
+
+    // Replay from the last checkpoint, or keep going if the target is ahead in the same turn
+    const checkpoint = playback.checkpoints.findLast(candidate => candidate.position <= target);
+    if (target < playback.position || checkpoint.position > playback.position) {
+        restoreCheckpoint(checkpoint);
+    }
+    while (playback.position < target) {
+        playAction(playback.replay.actions[playback.position]);
+        playback.position++;
+    }
+    selectUnit(null);
+}
+
+/**
+ * Get where the played back game is
+ * @returns {{position: number, length: number, turnStarts: Array<number>}|null} Actions played, the replay's
+ *   length and the position each turn starts at, null if no replay is watched
+ */
+export function getReplayProgress() {
+    const playback = replayState.playback;
+    if (!playback) return null;
+
+    return {
+        position: playback.position,
+        length: playback.replay.actions.length,
+        turnStarts: playback.checkpoints.map(checkpoint => checkpoint.position)
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * Replay viewer module with the controls for stepping, scrubbing and auto-playing a replay
+ */
+import { appState } from './state.js';
+import { openReplay, closeReplay, seekReplay, getReplayProgress } from './replay.js';
+import { getPlayerName } from './players.js';
+import { createButton, createSelect } from './ui.js';
+
+// Time between two actions when auto-playing at normal speed (in milliseconds)
+const STEP_DELAY = 600;
+
+// Auto-play speeds to choose from
+const SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Watch a replay, the current game comes back once the viewer is closed
+ * @param {HTMLElement} container - Container element for the controls
+ * @param {import('./replay.js').Replay} replay - Replay to watch
+ * @param {Function} renderFn - Render function to call after each step
+ */
+export function showReplayViewer(container, replay, renderFn) {
+    try {
+        openReplay(replay);
+    } catch (error) {
+        console.error(error);
+        alert(error.message);
+        return;
+    }
+
+    // The game's own controls would act on the played back game
+    const toolbar = document.getElementById('toolbar');
+    if (toolbar) toolbar.style.display = 'none';
+
+    const panel = document.createElement('div');
+    panel.id = 'replay-viewer';
+    panel.style.position = 'fixed';
+    panel.style.bottom = '20px';
+    panel.style.left = '50%';
+    panel.style.transform = 'translateX(-50%)';
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '8px';
+    panel.style.padding = '12px';
+    panel.style.backgroundColor = 'rgba(32, 35, 37, 0.9)';
+    panel.style.borderRadius = '8px';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    container.appendChild(panel);
+
+    let speed = 1;
+    let timer = null;
+
+    const label = document.createElement('div');
+    label.style.fontSize = '14px';
+    label.style.textAlign = 'center';
+
+    const timeline = document.createElement('input');
+    timeline.type = 'range';
+    timeline.min = '0';
+    timeline.step = '1';
+    timeline.addEventListener('input', () => {
+        stop();
+        seek(Number(timeline.value));
+    });
+
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.gap = '8px';
+
+    const playButton = createButton('Play', () => (timer ? stop() : play()));
+
+    const speedSelect = createSelect(
+        SPEEDS.map(value => ({ value: String(value), label: `${value}×` })),
+        String(speed),
+        value => { speed = Number(value); }
+    );
+    speedSelect.title = 'Playback speed';
+
+    controls.appendChild(createButton('⏮ Turn', () => {
+        stop();
+        const { position, turnStarts } = getReplayProgress();
+        seek(turnStarts.findLast(start => start < position) ?? 0);
+    }));
+    controls.appendChild(createButton('◀ Step', () => {
+        stop();
+        seek(getReplayProgress().position - 1);
+    }));
+    controls.appendChild(playButton);
+    controls.appendChild(createButton('Step ▶', () => {
+        stop();
+        seek(getReplayProgress().position + 1);
+    }));
+    controls.appendChild(createButton('Turn ⏭', () => {
+        stop();
+        const { position, length, turnStarts } = getReplayProgress();
+        seek(turnStarts.find(start => start > position) ?? length);
+    }));
+    controls.appendChild(speedSelect);
+    controls.appendChild(createButton('Close', close));
+
+    panel.appendChild(label);
+    panel.appendChild(timeline);
+    panel.appendChild(controls);
+
+    /**
+     * Show the played back game after a number of actions and update the controls
+     * @param {number} position - Number of actions played
+     */
+    function seek(position) {
+        seekReplay(position);
+        update();
+    }
+
+    /**
+     * Update the controls from where the played back game is
+     */
+    function update() {
+        const { position, length } = getReplayProgress();
+        timeline.max = String(length);
+        timeline.value = String(position);
+        label.textContent = `Turn ${appState.turnNumber} · ${getPlayerName(appState.currentTurn)} · `
+            + `Action ${position} of ${length} · Seed ${appState.seed}`;
+        playButton.textContent = timer ? 'Pause' : 'Play';
+        renderFn();
+    }
+
+    /**
+     * Auto-play from the current position, from the start if the replay is over
+     */
+    function play() {
+        const { position, length } = getReplayProgress();
+        if (position >= length) seekReplay(0);
+
+        const tick = () => {
+            const progress = getReplayProgress();
+            if (progress.position >= progress.length) {
+                stop();
+                return;
+            }
+            seekReplay(progress.position + 1);
+            timer = setTimeout(tick, STEP_DELAY / speed);
+            update();
+        };
+        timer = setTimeout(tick, STEP_DELAY / speed);
+        update();
+    }
+
+    /**
+     * Stop auto-playing
+     */
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        update();
+    }
+
+    /**
+     * Close the viewer and go back to the game
+     */
+    function close() {
+        clearTimeout(timer);
+        timer = null;
+        closeReplay();
+        panel.remove();
+        if (toolbar) toolbar.style.display = 'flex';
+        renderFn();
+    }
+
+    update();
+}
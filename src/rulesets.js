@@ -0,0 +1,51 @@
+/**
+ * Rulesets module defining the combat rules a game can be played with
+ */
+import { config } from './config.js';
+
+// Define the rulesets
+export const RulesetType = {
+    CLASSIC: 'classic',
+    STANDARD: 'standard'
+};
+
+/**
+ * @typedef {Object} Ruleset
+ * @property {string} name - Display name
+ * @property {string} description - Short summary of the rules
+ * @property {boolean} counterattacks - Whether defenders that survive strike back at attackers in their range
+ * @property {number} counterattackFactor - Share of its attack a defender strikes back with
+ * @property {boolean} terrainDefense - Whether the defender's terrain reduces the damage it takes
+ * @property {number} flankingBonus - Extra damage per other unit of the attacker next to the defender
+ * @property {number} damageBand - How far damage may randomly stray from its base value, e.g. 0.2 for ±20%
+ */
+
+/** @type {Object<string, Ruleset>} */
+export const rulesets = {
+    [RulesetType.CLASSIC]: {
+        name: 'Classic',
+        description: 'Attacks always deal the attacker\'s strength, nobody strikes back',
+        counterattacks: false,
+        counterattackFactor: 0,
+        terrainDefense: false,
+        flankingBonus: 0,
+        damageBand: 0
+    },
+    [RulesetType.STANDARD]: {
+        name: 'Standard',
+        description: 'Defenders strike back and use cover, flanking pays off, damage varies by ±20%',
+        counterattacks: true,
+        counterattackFactor: 0.5,
+        terrainDefense: true,
+        flankingBonus: 1,
+        damageBand: 0.2
+    }
+};
+
+/**
+ * Get the ruleset the game is played with
+ * @returns {Ruleset} Ruleset selected in the config, the classic rules for unknown ones
+ */
+export function getActiveRuleset() {
+    return rulesets[config.ruleset] ?? rulesets[RulesetType.CLASSIC];
+}
@@ -0,0 +1,201 @@
+/**
+ * Save game module for serializing the game state and storing it in save slots
+ */
+import { config } from './config.js';
+import { mapState, selectUnit } from './mapState.js';
+import { loadMap, serializeMap } from './mapFormat.js';
+import { isHumanPlayer } from './players.js';
+import { getRandomState, setRandomState } from './random.js';
+
+// Current version of the save format, version 1 saves listed the units next to a map without any
+export const SAVE_FORMAT_VERSION = 2;
+
+// localStorage key holding all save slots
+const STORAGE_KEY = 'hexclaude.saves';
+
+// Slot written automatically at the start of each human player's turn
+export const AUTOSAVE_SLOT = 'Autosave';
+
+/**
+ * @typedef {Object} SavedUnit
+ * @property {number} health - Current health
+ * @property {number} movementRemaining - Movement left this turn
+ * @property {boolean} hasAttacked - Whether the unit attacked this turn
+ * @property {Object<string, number>} [cooldowns] - Turns left before each used ability is ready
+ * @property {Array<import('./unit.js').StatusEffect>} [statusEffects] - Status effects on the unit
+ * @property {boolean} [movedThisTurn] - Whether the unit moved this turn
+ */
+
+/**
+ * @typedef {Object} GameSave
+ * @property {number} version - Save format version
+ * @property {import('./mapFormat.js').MapFile} map - Map with the units at their current positions
+ * @property {Array<SavedUnit>} units - State of each unit, in the order of map.units
+ * @property {string} currentTurn - Current turn owner
+ * @property {number} turnNumber - Current turn number
+ * @property {number} selectedUnit - Index of the selected unit in units, -1 if none
+ * @property {import('./mapFormat.js').MapFile|null} startingMap - Map the game was started from
+ * @property {Object<string, number>} casualties - Units lost per owner
+ * @property {string} [ruleset] - Ruleset the game is played with, from RulesetType
+ * @property {import('./random.js').RandomState} [random] - Seed and position of the random streams
+ */
+
+/**
+ * @typedef {Object} SaveSlot
+ * @property {string} name - Slot name
+ * @property {number} savedAt - Timestamp of the save
+ * @property {GameSave} game - Saved game state
+ */
+
+/**
+ * Serialize the whole game state
+ * @returns {GameSave} Serializable game state
+ */
+export function serializeGameState() {
+    return {
+        version: SAVE_FORMAT_VERSION,
+        map: serializeMap('Saved game'),
+        units: mapState.units.map(unit => ({
+            health: unit.health,
+            movementRemaining: unit.movementRemaining,
+            hasAttacked: unit.hasAttacked,
+            cooldowns: { ...unit.cooldowns },
+            statusEffects: structuredClone(unit.statusEffects),
+            movedThisTurn: unit.movedThisTurn
+        })),
+        currentTurn: mapState.currentTurn,
+        turnNumber: mapState.turnNumber,
+        selectedUnit: mapState.units.indexOf(mapState.selectedUnit),
+        startingMap: mapState.startingMap,
+        casualties: { ...mapState.casualties },
+        ruleset: config.ruleset,
+        random: getRandomState()
+    };
+}
+
+/**
+ * Bring a save of an older format version up to date
+ * @param {any} save - Parsed save
+ * @returns {GameSave} Save in the current format
+ * @throws {Error} If the save is from an unsupported version
+ */
+export function migrateSave(save) {
+    if (save?.version === 1) {
+        // Units carrying their type and position were saved next to the map, later ones on it
+        const units = Array.isArray(save.units) ? save.units : [];
+        const isDetached = units.length > 0 && units.every(unit => typeof unit?.type === 'string');
+        const map = isDetached
+            ? { ...save.map, units: units.map(({ type, owner, row, col }) => ({ type, owner, row, col })) }
+            : save.map;
+        save = { ...save, version: 2, map };
+    }
+
+    if (save?.version !== SAVE_FORMAT_VERSION) {
+        throw new Error(`Unsupported save version ${save?.version}, expected ${SAVE_FORMAT_VERSION}`);
+    }
+    return save;
+}
+
+/**
+ * Restore the game state from a save
+ * @param {GameSave} save - Serialized game state, older format versions are migrated
+ * @throws {Error} If the save is from an unsupported version or its units don't match its map
+ * @throws {import('./mapFormat.js').MapFormatError} If the saved map is invalid
+ */
+export function deserializeGameState(save) {
+    save = migrateSave(save);
+    if (!Array.isArray(save.units) || save.units.length !== (save.map?.units?.length ?? 0)) {
+        throw new Error('Saved units don\'t match the units on the saved map');
+    }
+
+    // Loading the map places the units in the saved order
+    loadMap(save.map);
+
+    mapState.units.forEach((unit, index) => {
+        const saved = save.units[index];
+        unit.health = saved.health;
+        unit.movementRemaining = saved.movementRemaining;
+        unit.hasAttacked = saved.hasAttacked;
+        unit.cooldowns = { ...saved.cooldowns };
+        unit.statusEffects = structuredClone(saved.statusEffects ?? []);
+        unit.movedThisTurn = saved.movedThisTurn ?? unit.movementRemaining < unit.movement;
+    });
+
+    mapState.currentTurn = save.currentTurn;
+    mapState.turnNumber = save.turnNumber;
+    mapState.startingMap = save.startingMap ?? null;
+    mapState.casualties = { ...save.casualties };
+    config.ruleset = save.ruleset ?? config.ruleset;
+    if (save.random) {
+        setRandomState(save.random);
+    }
+
+    // Selecting also restores the highlighted cells
+    selectUnit(mapState.units[save.selectedUnit] ?? null);
+}
+
+/**
+ * Read all save slots from localStorage
+ * @returns {Object<string, SaveSlot>} Save slots by name
+ */
+function readSlots() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+    } catch (error) {
+        console.error('Could not read saves:', error);
+        return {};
+    }
+}
+
+/**
+ * Write all save slots to localStorage
+ * @param {Object<string, SaveSlot>} slots - Save slots by name
+ * @returns {boolean} Whether the slots were written, storage can be full or unavailable
+ */
+function writeSlots(slots) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(slots));
+        return true;
+    } catch (error) {
+        console.error('Could not write saves:', error);
+        return false;
+    }
+}
+
+/**
+ * List all save slots, most recent first
+ * @returns {Array<SaveSlot>} Save slots
+ */
+export function listSaves() {
+    return Object.values(readSlots()).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Save the current game to a slot, replacing any previous save in it
+ * @param {string} name - Slot name
+ * @returns {boolean} Whether the game was saved
+ */
+export function saveToSlot(name) {
+    const slots = readSlots();
+    slots[name] = { name, savedAt: Date.now(), game: serializeGameState() };
+    return writeSlots(slots);
+}
+
+/**
+ * Delete a save slot
+ * @param {string} name - Slot name
+ */
+export function deleteSave(name) {
+    const slots = readSlots();
+    delete slots[name];
+    writeSlots(slots);
+}
+
+/**
+ * Save to the autosave slot whenever a human player's turn starts
+ * @param {string} currentTurn - Owner of the new turn
+ */
+export function autosave(currentTurn) {
+    if (!isHumanPlayer(currentTurn) || mapState.gameOver) return;
+    saveToSlot(AUTOSAVE_SLOT);
+}
@@ -0,0 +1,70 @@
+/**
+ * Save menu module for choosing a saved game to resume
+ */
+import { listSaves, deleteSave } from './saveGame.js';
+import { createButton, createOverlay, createHeading } from './ui.js';
+import { Game, getActiveGame } from './game.js';
+
+/**
+ * Show the load menu as an overlay
+ * @param {HTMLElement} container - Container element for the overlay
+ * @param {Function} renderFn - Render function to call after loading
+ * @param {string} [closeLabel='Close'] - Label of the button that dismisses the menu
+ */
+export function showLoadMenu(container, renderFn, closeLabel = 'Close') {
+    const { overlay, panel } = createOverlay(container);
+    const close = () => overlay.remove();
+
+    /**
+     * Rebuild the list of saves
+     */
+    function renderSlots() {
+        panel.replaceChildren();
+
+        panel.appendChild(createHeading('Load Game'));
+
+        const saves = listSaves();
+        if (saves.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No saved games';
+            empty.style.marginBottom = '12px';
+            panel.appendChild(empty);
+        }
+
+        for (const slot of saves) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '8px';
+            row.style.marginBottom = '8px';
+
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.textContent = `${slot.name} · turn ${slot.game.turnNumber} · ${new Date(slot.savedAt).toLocaleString()}`;
+            row.appendChild(label);
+
+            row.appendChild(createButton('Load', () => {
+                try {
+                    (getActiveGame() ?? new Game()).load(slot.game);
+                } catch (error) {
+                    console.error(error);
+                    alert(error.message);
+                    return;
+                }
+                close();
+                renderFn();
+            }));
+
+            row.appendChild(createButton('Delete', () => {
+                deleteSave(slot.name);
+                renderSlots();
+            }));
+
+            panel.appendChild(row);
+        }
+
+        panel.appendChild(createButton(closeLabel, close));
+    }
+
+    renderSlots();
+}
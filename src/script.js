@@ -1,13 +1,22 @@
 /**
  * Main entry point for the hexagonal grid application
  */
-import { initializeCellStates, placeUnit } from './state.js';
-import { render } from './renderer.js';
+import { render, renderOnChange } from './renderer.js';
 import { setupInteractions } from './interactions.js';
-import { createUnit, UnitType, UnitOwner } from './unit.js';
+import { createToolbar } from './toolbar.js';
+import { createEditorPanel } from './editorPanel.js';
+import { createActionBar } from './actionBar.js';
+import { defaultMap } from './maps.js';
+import { autosave, listSaves } from './saveGame.js';
+import { showLoadMenu } from './saveMenu.js';
+import { setupAI } from './aiRunner.js';
+import { showGameOverMenu } from './gameOverMenu.js';
+import { setupHandoff } from './handoffScreen.js';
+import { loadUnitCatalog } from './unitCatalog.js';
+import { Game, GameEvent } from './game.js';
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     // Get canvas and context
     const canvas = document.getElementById('canvas');
     const ctx = canvas.getContext('2d');
@@ -19,54 +28,52 @@ document.addEventListener('DOMContentLoaded', function() {
         renderCanvas(); // Re-render when resized
     }
     
-    // Create a render function that passes canvas and context
+    // Create a render function that passes canvas and context, the action bar follows the selection
     function renderCanvas() {
         render(canvas, ctx);
+        updateActionBar();
     }
     
+    // The page plays one game at a time, new and loaded games replace its match
+    const game = new Game();
+    
     // Set up all event listeners
     window.addEventListener('resize', resizeCanvas);
-    setupInteractions(canvas, renderCanvas);
+    renderOnChange(renderCanvas);
+    setupInteractions(canvas, game, renderCanvas);
+    createToolbar(canvas.parentElement, renderCanvas);
+    createEditorPanel(canvas.parentElement, renderCanvas);
+    const updateActionBar = createActionBar(canvas.parentElement, renderCanvas);
     
-    // Initialize cell states
-    initializeCellStates();
+    // Units can only be created once their types are known
+    try {
+        await loadUnitCatalog();
+    } catch (error) {
+        console.error(error);
+        alert(error.message);
+        return;
+    }
     
-    // Create and place initial units
-    initializeUnits();
+    // Load the starting map with its cells and units, before anyone listens for its first turn
+    game.start({ map: defaultMap });
     
-    // Initial render
-    resizeCanvas();
-});
-
-/**
- * Initialize units and place them on the grid
- */
-function initializeUnits() {
-    // Create player units
-    const playerSoldier1 = createUnit(UnitType.SOLDIER, UnitOwner.PLAYER);
-    const playerSoldier2 = createUnit(UnitType.SOLDIER, UnitOwner.PLAYER);
-    const playerArcher = createUnit(UnitType.ARCHER, UnitOwner.PLAYER);
-    const playerKnight = createUnit(UnitType.KNIGHT, UnitOwner.PLAYER);
-    const playerMage = createUnit(UnitType.MAGE, UnitOwner.PLAYER);
+    // Keep an autosave of every human player turn, the game leaves played back turns out
+    game.on(GameEvent.TURN_START, currentTurn => autosave(currentTurn));
+    
+    // Let the AI play its turns
+    setupAI(game, renderCanvas);
     
-    // Create AI units
-    const aiSoldier1 = createUnit(UnitType.SOLDIER, UnitOwner.AI);
-    const aiSoldier2 = createUnit(UnitType.SOLDIER, UnitOwner.AI);
-    const aiArcher = createUnit(UnitType.ARCHER, UnitOwner.AI);
-    const aiKnight = createUnit(UnitType.KNIGHT, UnitOwner.AI);
-    const aiMage = createUnit(UnitType.MAGE, UnitOwner.AI);
+    // Hide the battlefield between the turns of players sharing the device
+    setupHandoff(canvas.parentElement, renderCanvas);
     
-    // Place player units on the bottom side of the grid
-    placeUnit(playerSoldier1, 5, 0);
-    placeUnit(playerSoldier2, 5, 1);
-    placeUnit(playerArcher, 5, 2);
-    placeUnit(playerKnight, 5, 5);
-    placeUnit(playerMage, 5, 4);
+    // Show the result once a side has won
+    game.on(GameEvent.GAME_OVER, result => showGameOverMenu(canvas.parentElement, result, renderCanvas));
     
-    // Place AI units on the top side of the grid
-    placeUnit(aiSoldier1, 0, 0);
-    placeUnit(aiSoldier2, 0, 1);
-    placeUnit(aiArcher, 0, 2);
-    placeUnit(aiKnight, 0, 3);
-    placeUnit(aiMage, 0, 4);
-}
+    // Initial render
+    resizeCanvas();
+    
+    // Offer to resume a saved game
+    if (listSaves().length > 0) {
+        showLoadMenu(canvas.parentElement, renderCanvas, 'New Game');
+    }
+});
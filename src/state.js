@@ -2,8 +2,10 @@
  * State management module for the hexagonal grid
  * This module combines the separate state modules to provide a unified interface
  */
-import { config, calculateHexX, calculateHexY } from './config.js';
+import { config, calculateHexX, calculateHexY, getHexLayout } from './config.js';
 import { viewState, resetViewState, setZoom, panView } from './viewState.js';
+import { isHumanPlayer, getPlayer } from './players.js';
+import { getSeed } from './random.js';
 import { 
     mapState, 
     initializeCellStates, 
@@ -16,7 +18,17 @@ import {
     moveUnit,
     selectUnit,
     clearHighlightedCells,
-    endTurn
+    canAttackTarget,
+    getAttackBlock,
+    getAttackTargets,
+    selectAbility,
+    canUseAbility,
+    getAbilityTargets,
+    getAbilityArea,
+    endTurn,
+    onTurnChange,
+    findPath,
+    getPathCost
 } from './mapState.js';
 
 // Create and export the unified application state
@@ -32,12 +44,19 @@ export const appState = {
     // Unit states
     get units() { return mapState.units; },
     get selectedUnit() { return mapState.selectedUnit; },
+    get activeAbility() { return mapState.activeAbility; },
     get currentTurn() { return mapState.currentTurn; },
+    get currentPlayer() { return getPlayer(mapState.currentTurn); },
+    get isHumanTurn() { return isHumanPlayer(mapState.currentTurn); },
+    get turnNumber() { return mapState.turnNumber; },
+    get seed() { return getSeed(); },
+    get gameOver() { return mapState.gameOver; },
     
     // Drawing parameters
     get hexSize() { return config.hexSize; },
     get hexSpacing() { return config.hexSpacing; },
     get hexRowSpacing() { return config.hexRowSpacing; },
+    get hexOrientation() { return config.hexOrientation; },
     get colors() { return config.colors; },
     
     // Zoom and pan state
@@ -48,6 +67,7 @@ export const appState = {
 export { 
     calculateHexX, 
     calculateHexY,
+    getHexLayout,
     initializeCellStates,
     toggleCellState,
     cellExists,
@@ -58,7 +78,17 @@ export {
     moveUnit,
     selectUnit,
     clearHighlightedCells,
+    canAttackTarget,
+    getAttackBlock,
+    getAttackTargets,
+    selectAbility,
+    canUseAbility,
+    getAbilityTargets,
+    getAbilityArea,
     endTurn,
+    onTurnChange,
+    findPath,
+    getPathCost,
     resetViewState,
     setZoom,
     panView
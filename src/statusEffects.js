@@ -0,0 +1,100 @@
+/**
+ * Status effects module defining the buffs and debuffs units can carry
+ *
+ * Effects are described by data only, Unit applies their modifiers and ticks them.
+ * An effect lasts for a number of its unit's turns: it ticks down at the start of
+ * each of them, after the unit's movement and attack were reset.
+ */
+
+// Define the status effects
+export const StatusEffectType = {
+    POISON: 'poison',
+    STUN: 'stun',
+    SLOW: 'slow',
+    SHIELD: 'shield',
+    REGENERATION: 'regeneration'
+};
+
+// Define what happens when an effect is applied to a unit that already has it
+export const StackingRule = {
+    REFRESH: 'refresh', // The longer of both durations is kept
+    STACK: 'stack', // Stacks add up to the maximum, the duration is refreshed
+    EXTEND: 'extend' // Durations add up
+};
+
+/**
+ * @typedef {Object} StatusEffectModifiers
+ * @property {number} [attack] - Added to the unit's attack, per stack
+ * @property {number} [movement] - Added to the unit's movement, per stack
+ * @property {number} [damageTaken] - Multiplies the damage the unit takes
+ * @property {number} [healingTaken] - Multiplies the health the unit recovers
+ */
+
+/**
+ * @typedef {Object} StatusEffectDefinition
+ * @property {string} name - Display name
+ * @property {string} icon - Symbol drawn on the unit
+ * @property {string} color - Background color of the icon
+ * @property {boolean} harmful - Whether the effect is a debuff
+ * @property {string} stacking - Rule from StackingRule
+ * @property {number} [maxStacks=1] - Most stacks the effect can have
+ * @property {StatusEffectModifiers} [modifiers] - Changes to the unit's stats while the effect lasts
+ * @property {number} [damagePerTurn] - Damage taken at the start of each of the unit's turns, per stack
+ * @property {number} [healPerTurn] - Health recovered at the start of each of the unit's turns, per stack
+ * @property {boolean} [stuns] - Whether the unit can't move or attack
+ */
+
+/** @type {Object<string, StatusEffectDefinition>} */
+export const statusEffectDefinitions = {
+    [StatusEffectType.POISON]: {
+        name: 'Poison',
+        icon: '☠',
+        color: '#7CB342',
+        harmful: true,
+        stacking: StackingRule.STACK,
+        maxStacks: 3,
+        modifiers: { healingTaken: 0.5 },
+        damagePerTurn: 1
+    },
+    [StatusEffectType.STUN]: {
+        name: 'Stun',
+        icon: '✦',
+        color: '#FFB300',
+        harmful: true,
+        stacking: StackingRule.REFRESH,
+        stuns: true
+    },
+    [StatusEffectType.SLOW]: {
+        name: 'Slow',
+        icon: '❄',
+        color: '#4FC3F7',
+        harmful: true,
+        stacking: StackingRule.REFRESH,
+        modifiers: { movement: -1 }
+    },
+    [StatusEffectType.SHIELD]: {
+        name: 'Shield',
+        icon: '⛨',
+        color: '#90A4AE',
+        harmful: false,
+        stacking: StackingRule.REFRESH,
+        modifiers: { damageTaken: 0.5 }
+    },
+    [StatusEffectType.REGENERATION]: {
+        name: 'Regeneration',
+        icon: '✚',
+        color: '#66BB6A',
+        harmful: false,
+        stacking: StackingRule.EXTEND,
+        healPerTurn: 2
+    }
+};
+
+/**
+ * Get status effect definition by type
+ * @param {string} effect - Status effect type from StatusEffectType
+ * @returns {StatusEffectDefinition|null} Status effect definition, null for unknown types
+ */
+export function getStatusEffectDefinition(effect) {
+    return statusEffectDefinitions[effect] ?? null;
+}
@@ -0,0 +1,97 @@
+/**
+ * Terrain module defining terrain types and their movement rules
+ */
+import { getUnitDefinition } from './unit.js';
+
+// Define terrain types
+export const TerrainType = {
+    PLAINS: 'plains',
+    FOREST: 'forest',
+    HILLS: 'hills',
+    WATER: 'water',
+    MOUNTAINS: 'mountains'
+};
+
+// Movement cost used for terrain a unit cannot enter
+export const IMPASSABLE = Infinity;
+
+/**
+ * @typedef {Object} TerrainDefinition
+ * @property {string} name - Display name
+ * @property {string} code - Single letter code used in terrain grids
+ * @property {string} color - Base fill color for rendering
+ * @property {number} movementCost - Default cost of entering a cell of this terrain
+ * @property {boolean} blocksSight - Whether units can't see past a cell of this terrain
+ * @property {number} defense - Share of the damage a unit on this terrain shrugs off, if the ruleset uses terrain defense
+ */
+
+/** @type {Object<string, TerrainDefinition>} */
+export const terrainDefinitions = {
+    [TerrainType.PLAINS]: { name: 'Plains', code: 'P', color: '#3b4a35', movementCost: 1, blocksSight: false, defense: 0 },
+    [TerrainType.FOREST]: { name: 'Forest', code: 'F', color: '#24402a', movementCost: 2, blocksSight: true, defense: 0.25 },
+    [TerrainType.HILLS]: { name: 'Hills', code: 'H', color: '#5a4f38', movementCost: 2, blocksSight: false, defense: 0.25 },
+    [TerrainType.WATER]: { name: 'Water', code: 'W', color: '#2b4560', movementCost: IMPASSABLE, blocksSight: false, defense: 0 },
+    [TerrainType.MOUNTAINS]: { name: 'Mountains', code: 'M', color: '#55585c', movementCost: IMPASSABLE, blocksSight: true, defense: 0.5 }
+};
+
+/**
+ * Get terrain type from its single letter code
+ * @param {string} code - Terrain code (e.g. 'F' for forest)
+ * @returns {string} Terrain type, plains for unknown codes
+ */
+export function getTerrainFromCode(code) {
+    for (const [type, definition] of Object.entries(terrainDefinitions)) {
+        if (definition.code === code) return type;
+    }
+    return TerrainType.PLAINS;
+}
+
+/**
+ * Get terrain definition by type
+ * @param {string} terrain - Terrain type from TerrainType
+ * @returns {TerrainDefinition} Terrain definition, plains for unknown types
+ */
+export function getTerrainDefinition(terrain) {
+    return terrainDefinitions[terrain] || terrainDefinitions[TerrainType.PLAINS];
+}
+
+/**
+ * Get the cost for a unit type to enter a cell of the given terrain
+ * @param {string} terrain - Terrain type from TerrainType
+ * @param {string} unitType - Unit type from UnitType
+ * @returns {number} Movement cost, IMPASSABLE if the unit can't enter
+ */
+export function getMovementCost(terrain, unitType) {
+    // Unit types may override the default costs in the unit catalog
+    const override = getUnitDefinition(unitType)?.terrainCosts[terrain];
+    if (override !== undefined) return override;
+    return getTerrainDefinition(terrain).movementCost;
+}
+
+/**
+ * Get the defense bonus of a terrain
+ * @param {string} terrain - Terrain type from TerrainType
+ * @returns {number} Share of the damage a unit on this terrain shrugs off
+ */
+export function getTerrainDefense(terrain) {
+    return getTerrainDefinition(terrain).defense;
+}
+
+/**
+ * Check if units can see past a cell of the given terrain
+ * @param {string} terrain - Terrain type from TerrainType
+ * @returns {boolean} Whether the terrain blocks line of sight
+ */
+export function blocksSight(terrain) {
+    return getTerrainDefinition(terrain).blocksSight;
+}
+
+/**
+ * Check if a unit type can enter the given terrain at all
+ * @param {string} terrain - Terrain type from TerrainType
+ * @param {string} unitType - Unit type from UnitType
+ * @returns {boolean} Whether the terrain can be entered
+ */
+export function isPassable(terrain, unitType) {
+    return getMovementCost(terrain, unitType) !== IMPASSABLE;
+}
@@ -0,0 +1,294 @@
+/**
+ * Terrain layer module caching the drawn terrain of the map in offscreen chunks
+ *
+ * Terrain only changes when a cell or what the viewing player knows about it changes,
+ * so each chunk of cells is drawn once to its own canvas and copied to the screen on
+ * every frame. Chunks are redrawn when one of their cells changes, when the fog over
+ * them changes or when the zoom no longer matches the resolution they were drawn at.
+ */
+import { appState } from './state.js';
+import { mapEvents, MapEvent } from './mapState.js';
+import { drawHexagon, drawHexagonBorder } from './hexagon.js';
+import { TerrainType, getTerrainDefinition } from './terrain.js';
+import { FogState, getFogState, getRememberedTerrain } from './visibility.js';
+
+// Cells per side of a chunk
+const CHUNK_SIZE = 8;
+
+// Pixels of chunk canvases kept before the least recently drawn ones are dropped
+const MAX_CACHED_PIXELS = 24 * 1024 * 1024;
+
+/**
+ * @typedef {import('./mapState.js').Cell} Cell
+ */
+
+/**
+ * @typedef {Object} TerrainChunk
+ * @property {HTMLCanvasElement} canvas - Drawn terrain of the chunk's cells
+ * @property {{left: number, top: number, width: number, height: number}} bounds - World area the canvas covers
+ * @property {number} scale - Canvas pixels per world unit the chunk was drawn at
+ * @property {boolean} dirty - Whether one of the chunk's cells changed since it was drawn
+ * @property {string} fog - What the viewing player knew about the chunk's cells when it was drawn
+ * @property {number} fogVersion - Fog version the fog was last compared at
+ * @property {number} drawnAt - Frame the chunk was last copied to the screen in
+ */
+
+const terrainLayer = {
+    /** @type {Array<Array<Cell>>|null} Cells the chunks were drawn from, a new grid drops them all */
+    cells: null,
+    /** @type {string|null} Drawing settings the chunks were drawn with */
+    settings: null,
+    /** @type {Map<string, TerrainChunk>} Chunks by 'row,col', least recently drawn first */
+    chunks: new Map(),
+    // Counts the visibility updates, chunks compare their fog again once it changes
+    fogVersion: 0,
+    // Counts the drawn frames
+    frame: 0
+};
+
+/**
+ * Get the key of the chunk holding a cell
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {string}
+ */
+function getChunkKey(row, col) {
+    return `${Math.floor(row / CHUNK_SIZE)},${Math.floor(col / CHUNK_SIZE)}`;
+}
+
+/**
+ * Get the cells of a chunk
+ * @param {string} key - Chunk key
+ * @returns {Array<Cell>}
+ */
+function getChunkCells(key) {
+    const [chunkRow, chunkCol] = key.split(',').map(Number);
+    const cells = [];
+    for (let row = chunkRow * CHUNK_SIZE; row < Math.min((chunkRow + 1) * CHUNK_SIZE, appState.cells.length); row++) {
+        const cellRow = appState.cells[row];
+        for (let col = chunkCol * CHUNK_SIZE; col < Math.min((chunkCol + 1) * CHUNK_SIZE, cellRow.length); col++) {
+            cells.push(cellRow[col]);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Describe what the viewing player knows about some cells, chunks are redrawn when it changes
+ * @param {Array<Cell>} cells
+ * @param {boolean} editing - Whether the map editor is open
+ * @returns {string}
+ */
+function describeFog(cells, editing) {
+    if (editing) return '';
+    return cells.map(cell => (cell.isVisible ? `${getFogState(cell)}:${getRememberedTerrain(cell)}` : '')).join('|');
+}
+
+/**
+ * Let chunks compare their fog again, called whenever the visibility was updated
+ */
+export function markFogChanged() {
+    terrainLayer.fogVersion++;
+}
+
+/**
+ * Drop all drawn chunks
+ */
+export function clearTerrainLayer() {
+    terrainLayer.chunks.clear();
+}
+
+mapEvents.on(MapEvent.CELL_CHANGED, ({ cell }) => {
+    const chunk = terrainLayer.chunks.get(getChunkKey(cell.rowIndex, cell.cellIndex));
+    if (chunk) chunk.dirty = true;
+});
+
+/**
+ * Draw a chunk's cells to its own canvas
+ * @param {Array<Cell>} cells - Cells of the chunk
+ * @param {number} scale - Canvas pixels per world unit
+ * @param {boolean} editing - Whether the map editor is open
+ * @returns {TerrainChunk}
+ */
+function drawChunk(cells, scale, editing) {
+    const size = appState.hexSize;
+    const left = Math.min(...cells.map(cell => cell.x)) - size - 2;
+    const top = Math.min(...cells.map(cell => cell.y)) - size - 2;
+    const width = Math.max(...cells.map(cell => cell.x)) + size + 2 - left;
+    const height = Math.max(...cells.map(cell => cell.y)) + size + 2 - top;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.translate(-left, -top);
+
+    for (const cell of cells) {
+        // The editor outlines the hexes outside the map so they can be added
+        if (!cell.isVisible) {
+            if (editing) drawHexagonBorder(ctx, cell.x, cell.y, size * 0.95, 'rgba(255, 255, 255, 0.15)', 1);
+            continue;
+        }
+
+        // Draw the terrain as far as the viewing player knows it
+        const fog = editing ? FogState.VISIBLE : getFogState(cell);
+        if (fog === FogState.UNEXPLORED) {
+            drawHexagon(ctx, cell.x, cell.y, size, appState.colors.unexplored);
+            continue;
+        }
+
+        const terrainType = getRememberedTerrain(cell);
+        drawHexagon(ctx, cell.x, cell.y, size, getTerrainDefinition(terrainType).color);
+        drawTerrainPattern(ctx, cell.x, cell.y, size, terrainType);
+
+        if (fog === FogState.REMEMBERED) {
+            drawHexagon(ctx, cell.x, cell.y, size, appState.colors.fog);
+        }
+    }
+
+    return {
+        canvas,
+        bounds: { left, top, width, height },
+        scale,
+        dirty: false,
+        fog: describeFog(cells, editing),
+        fogVersion: terrainLayer.fogVersion,
+        drawnAt: terrainLayer.frame
+    };
+}
+
+/**
+ * Draw the terrain of the cells in a range, from the cached chunks where they are still current
+ * The context is expected to be transformed to world coordinates
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{rowMin: number, rowMax: number, colMin: number, colMax: number}} range - Cells on screen
+ * @param {number} scale - Current zoom, chunks are drawn at this resolution
+ * @param {boolean} editing - Whether the map editor is open
+ */
+export function drawTerrainLayer(ctx, range, scale, editing) {
+    // A new grid, layout or mode invalidates every chunk
+    const settings = `${appState.hexSize}|${appState.hexOrientation}|${editing}`;
+    if (terrainLayer.cells !== appState.cells || terrainLayer.settings !== settings) {
+        terrainLayer.cells = appState.cells;
+        terrainLayer.settings = settings;
+        clearTerrainLayer();
+    }
+    terrainLayer.frame++;
+
+    const { chunks } = terrainLayer;
+    for (let chunkRow = Math.floor(range.rowMin / CHUNK_SIZE); chunkRow <= Math.floor(range.rowMax / CHUNK_SIZE); chunkRow++) {
+        for (let chunkCol = Math.floor(range.colMin / CHUNK_SIZE); chunkCol <= Math.floor(range.colMax / CHUNK_SIZE); chunkCol++) {
+            const key = `${chunkRow},${chunkCol}`;
+            let chunk = chunks.get(key);
+
+            // Fog is only compared again once the visibility was updated
+            const cells = chunk && !chunk.dirty && chunk.scale === scale && chunk.fogVersion === terrainLayer.fogVersion
+                ? null
+                : getChunkCells(key);
+            if (cells?.length === 0) continue;
+            if (cells) {
+                if (chunk && !chunk.dirty && chunk.scale === scale && chunk.fog === describeFog(cells, editing)) {
+                    chunk.fogVersion = terrainLayer.fogVersion;
+                } else {
+                    chunk = drawChunk(cells, scale, editing);
+                }
+            }
+
+            // Keep the chunks in the order they were last drawn in
+            chunks.delete(key);
+            chunks.set(key, chunk);
+            chunk.drawnAt = terrainLayer.frame;
+
+            const { left, top, width, height } = chunk.bounds;
+            ctx.drawImage(chunk.canvas, left, top, width, height);
+        }
+    }
+
+    evictChunks();
+}
+
+/**
+ * Drop the least recently drawn chunks while the cache is over its size, chunks of this frame stay
+ */
+function evictChunks() {
+    let pixels = 0;
+    for (const chunk of terrainLayer.chunks.values()) {
+        pixels += chunk.canvas.width * chunk.canvas.height;
+    }
+
+    for (const [key, chunk] of terrainLayer.chunks) {
+        if (pixels <= MAX_CACHED_PIXELS || chunk.drawnAt === terrainLayer.frame) break;
+        pixels -= chunk.canvas.width * chunk.canvas.height;
+        terrainLayer.chunks.delete(key);
+    }
+}
+
+/**
+ * Draw a simple pattern so each terrain type can be told apart
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - X coordinate of hexagon center
+ * @param {number} y - Y coordinate of hexagon center
+ * @param {number} size - Size of hexagon
+ * @param {string} terrain - Terrain type from TerrainType
+ */
+function drawTerrainPattern(ctx, x, y, size, terrain) {
+    const s = size * 0.18;
+    
+    ctx.save();
+    ctx.lineWidth = 2;
+    
+    switch (terrain) {
+        case TerrainType.FOREST:
+            // Small trees
+            ctx.fillStyle = 'rgba(120, 180, 110, 0.45)';
+            for (const [dx, dy] of [[-0.4, -0.3], [0.4, -0.3], [0, 0.4]]) {
+                const tx = x + dx * size;
+                const ty = y + dy * size;
+                ctx.beginPath();
+                ctx.moveTo(tx, ty - s);
+                ctx.lineTo(tx + s * 0.8, ty + s);
+                ctx.lineTo(tx - s * 0.8, ty + s);
+                ctx.closePath();
+                ctx.fill();
+            }
+            break;
+        case TerrainType.HILLS:
+            // Rolling arcs
+            ctx.strokeStyle = 'rgba(200, 180, 130, 0.45)';
+            for (const [dx, dy] of [[-0.3, 0.1], [0.3, 0.35]]) {
+                ctx.beginPath();
+                ctx.arc(x + dx * size, y + dy * size, s * 1.3, Math.PI, 0);
+                ctx.stroke();
+            }
+            break;
+        case TerrainType.WATER:
+            // Waves
+            ctx.strokeStyle = 'rgba(140, 190, 240, 0.45)';
+            for (const dy of [-0.3, 0.1, 0.5]) {
+                const wy = y + dy * size;
+                ctx.beginPath();
+                ctx.moveTo(x - s * 2, wy);
+                ctx.quadraticCurveTo(x - s, wy - s * 0.6, x, wy);
+                ctx.quadraticCurveTo(x + s, wy + s * 0.6, x + s * 2, wy);
+                ctx.stroke();
+            }
+            break;
+        case TerrainType.MOUNTAINS:
+            // Peaks
+            ctx.fillStyle = 'rgba(220, 220, 225, 0.35)';
+            ctx.beginPath();
+            ctx.moveTo(x - s * 2.5, y + s * 2);
+            ctx.lineTo(x - s * 0.8, y - s * 1.5);
+            ctx.lineTo(x + s * 0.4, y + s * 0.5);
+            ctx.lineTo(x + s * 1.2, y - s * 0.5);
+            ctx.lineTo(x + s * 2.5, y + s * 2);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        default:
+            break;
+    }
+    
+    ctx.restore();
+}
@@ -0,0 +1,233 @@
+/**
+ * Toolbar module for game-wide actions (new game, undo/redo, map editing, import/export, saving, etc.)
+ */
+import { appState } from './state.js';
+import { parseMap, serializeMap } from './mapFormat.js';
+import { saveToSlot } from './saveGame.js';
+import { undo, redo } from './commands.js';
+import { showLoadMenu } from './saveMenu.js';
+import { showNewGameMenu, startGame } from './newGameMenu.js';
+import { editorState, setEditorEnabled, getEditedMap } from './editor.js';
+import { getControllers } from './players.js';
+import { createButton, createSelect } from './ui.js';
+import { config } from './config.js';
+import { AIDifficulty } from './ai.js';
+import { getRecording, parseReplay } from './replay.js';
+import { showReplayViewer } from './replayViewer.js';
+
+/**
+ * Create the toolbar with its buttons
+ * @param {HTMLElement} container - Container element for the toolbar
+ * @param {Function} renderFn - Render function to call on updates
+ * @returns {HTMLElement} Toolbar element, other modules may append their own buttons
+ */
+export function createToolbar(container, renderFn) {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'toolbar';
+    toolbar.style.position = 'fixed';
+    toolbar.style.top = '20px';
+    toolbar.style.left = '20px';
+    toolbar.style.display = 'flex';
+    toolbar.style.flexDirection = 'column';
+    toolbar.style.gap = '8px';
+
+    toolbar.appendChild(createButton('New Game', () => {
+        if (canReplaceGame()) showNewGameMenu(container, renderFn);
+    }));
+    toolbar.appendChild(createButton('Undo', () => {
+        if (appState.isHumanTurn && undo()) renderFn();
+    }));
+    toolbar.appendChild(createButton('Redo', () => {
+        if (appState.isHumanTurn && redo()) renderFn();
+    }));
+    toolbar.appendChild(createEditorToggle(renderFn));
+    toolbar.appendChild(createButton('Export Map', () => exportMapFile()));
+    toolbar.appendChild(createButton('Import Map', () => {
+        if (canReplaceGame()) importMapFile(renderFn);
+    }));
+    toolbar.appendChild(createButton('Watch Replay', () => {
+        if (canReplaceGame()) showReplayViewer(container, getRecording(), renderFn);
+    }));
+    toolbar.appendChild(createButton('Export Replay', () => exportReplayFile()));
+    toolbar.appendChild(createButton('Import Replay', () => {
+        if (canReplaceGame()) importReplayFile(container, renderFn);
+    }));
+    toolbar.appendChild(createDifficultySelect());
+    toolbar.appendChild(createButton('Save Game', () => saveGame()));
+    toolbar.appendChild(createButton('Load Game', () => {
+        // Loading mid AI turn would race with the running AI
+        if (!appState.isHumanTurn || editorState.enabled) return;
+        showLoadMenu(container, renderFn);
+    }));
+
+    container.appendChild(toolbar);
+    return toolbar;
+}
+
+/**
+ * Create the button switching between playing and editing the map
+ * Leaving the editor starts a new game on the edited map
+ * @param {Function} renderFn - Render function to call on updates
+ * @returns {HTMLButtonElement} Button element
+ */
+function createEditorToggle(renderFn) {
+    const button = createButton('Edit Map', () => {
+        if (!editorState.enabled) {
+            // Editing mid AI turn would race with the running AI
+            if (!appState.isHumanTurn && !appState.gameOver) return;
+            setEditorEnabled(true);
+        } else {
+            try {
+                // Whatever the editor left behind has to be a loadable map
+                const map = getEditedMap();
+                setEditorEnabled(false);
+                startGame(map, getControllers());
+            } catch (error) {
+                setEditorEnabled(true);
+                console.error(error);
+                alert(error.message);
+                return;
+            }
+        }
+
+        button.textContent = editorState.enabled ? 'Play Map' : 'Edit Map';
+        renderFn();
+    });
+    return button;
+}
+
+/**
+ * Create a drop-down for choosing the AI difficulty
+ * @returns {HTMLSelectElement} Select element
+ */
+function createDifficultySelect() {
+    const options = Object.values(AIDifficulty).map(difficulty => ({
+        value: difficulty,
+        label: `AI: ${difficulty[0].toUpperCase()}${difficulty.slice(1)}`
+    }));
+    const select = createSelect(options, config.aiDifficulty, (difficulty) => {
+        config.aiDifficulty = difficulty;
+    });
+    select.title = 'AI difficulty';
+    return select;
+}
+
+/**
+ * Download the current map as a JSON file
+ */
+function exportMapFile() {
+    const map = editorState.enabled ? getEditedMap() : serializeMap('Exported map');
+    downloadJSON(map, 'map.json');
+}
+
+/**
+ * Download data as a JSON file
+ * @param {Object} data - Data to serialize
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask the user for a JSON file and return its text
+ * @returns {Promise<string>} Text of the chosen file
+ */
+export function pickJSONFile() {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (file) resolve(file.text());
+        });
+        input.click();
+    });
+}
+
+/**
+ * Let the user pick a map file and start a new game on it
+ * @param {Function} renderFn - Render function to call on updates
+ */
+async function importMapFile(renderFn) {
+    const text = await pickJSONFile();
+
+    try {
+        startGame(parseMap(text));
+    } catch (error) {
+        console.error(error);
+        alert(error.message);
+        return;
+    }
+
+    renderFn();
+}
+
+/**
+ * Check if the current game can be put aside for another game or a replay
+ * @returns {boolean}
+ */
+function canReplaceGame() {
+    // Replacing the game mid AI turn would race with the running AI
+    return (appState.isHumanTurn || appState.gameOver) && !editorState.enabled;
+}
+
+/**
+ * Download the recording of the current game as a JSON file
+ */
+function exportReplayFile() {
+    const replay = getRecording();
+    if (!replay) return;
+    downloadJSON(replay, `replay-${replay.start.random?.seed ?? 'game'}.json`);
+}
+
+/**
+ * Let the user pick a replay file and watch it
+ * @param {HTMLElement} container - Container element for the viewer
+ * @param {Function} renderFn - Render function to call on updates
+ */
+async function importReplayFile(container, renderFn) {
+    const text = await pickJSONFile();
+
+    let replay;
+    try {
+        replay = parseReplay(text);
+    } catch (error) {
+        console.error(error);
+        alert(error.message);
+        return;
+    }
+
+    showReplayViewer(container, replay, renderFn);
+}
+
+
+/**
+ * Ask for a slot name and save the current game into it
+ */
+function saveGame() {
+    if (!appState.isHumanTurn) {
+        alert('Games can only be saved during your turn');
+        return;
+    }
+    if (editorState.enabled) {
+        alert('Leave the editor to save the game');
+        return;
+    }
+
+    const name = prompt('Save name', `Turn ${appState.turnNumber}`);
+    if (!name) return;
+
+    if (!saveToSlot(name)) {
+        alert('The game could not be saved, the browser storage may be full');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * UI helpers for building DOM controls shared by menus and toolbars
+ */
+
+/**
+ * Create a button in the toolbar/menu style
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+export function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.padding = '8px 14px';
+    button.style.fontSize = '14px';
+    button.style.backgroundColor = '#3a3f42';
+    button.style.color = 'white';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    button.style.boxShadow = '0 4px 6px rgba(0, 0, 0, 0.1)';
+
+    // Add hover effect
+    button.addEventListener('mouseover', () => {
+        button.style.backgroundColor = '#4a5054';
+    });
+
+    button.addEventListener('mouseout', () => {
+        button.style.backgroundColor = '#3a3f42';
+    });
+
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Create a drop-down in the toolbar/menu style
+ * @param {Array<{value: string, label: string}>} options - Options to choose from
+ * @param {string} selected - Value selected initially
+ * @param {(value: string) => void} [onChange] - Called with the chosen value
+ * @returns {HTMLSelectElement} Select element
+ */
+export function createSelect(options, selected, onChange) {
+    const select = document.createElement('select');
+    select.style.padding = '8px';
+    select.style.fontSize = '14px';
+    select.style.backgroundColor = '#3a3f42';
+    select.style.color = 'white';
+    select.style.border = 'none';
+    select.style.borderRadius = '4px';
+
+    for (const { value, label } of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === selected;
+        select.appendChild(option);
+    }
+
+    if (onChange) {
+        select.addEventListener('change', () => onChange(select.value));
+    }
+    return select;
+}
+
+/**
+ * Create a full screen overlay with a centered panel
+ * @param {HTMLElement} container - Container element for the overlay
+ * @returns {{overlay: HTMLDivElement, panel: HTMLDivElement}} Overlay and its panel
+ */
+export function createOverlay(container) {
+    const overlay = document.createElement('div');
+    overlay.style.position = 'fixed';
+    overlay.style.inset = '0';
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+
+    const panel = document.createElement('div');
+    panel.style.minWidth = '320px';
+    panel.style.maxHeight = '80vh';
+    panel.style.overflowY = 'auto';
+    panel.style.padding = '20px';
+    panel.style.borderRadius = '6px';
+    panel.style.backgroundColor = '#2a2d2f';
+    panel.style.color = 'white';
+    overlay.appendChild(panel);
+
+    container.appendChild(overlay);
+    return { overlay, panel };
+}
+
+/**
+ * Create a panel heading
+ * @param {string} text - Heading text
+ * @returns {HTMLHeadingElement} Heading element
+ */
+export function createHeading(text) {
+    const title = document.createElement('h2');
+    title.textContent = text;
+    title.style.marginBottom = '12px';
+    return title;
+}
@@ -1,16 +1,65 @@
 /**
  * Unit module for handling game units
  */
+import { getPlayerColor } from './players.js';
+import { getAbilityDefinition } from './abilities.js';
+import { StackingRule, getStatusEffectDefinition } from './statusEffects.js';
 
-// Define unit types
-export const UnitType = {
-    SOLDIER: 'soldier',
-    ARCHER: 'archer',
-    KNIGHT: 'knight',
-    MAGE: 'mage'
-};
+/**
+ * @typedef {Object} StatusEffect
+ * @property {string} type - Status effect type from StatusEffectType
+ * @property {number} duration - Own turns left, the effect ticks at the start of each
+ * @property {number} stacks - Number of stacks, see StackingRule
+ */
+
+/**
+ * @typedef {import('./unitCatalog.js').UnitDefinition} UnitDefinition
+ */
+
+// Registry of the unit types by upper case key, e.g. UnitType.SOLDIER === 'soldier'
+// Filled from the unit catalog at startup, see unitCatalog.js
+export const UnitType = {};
 
-// Define unit owners
+/** @type {Map<string, UnitDefinition>} */
+const unitDefinitions = new Map();
+
+/**
+ * Register a unit type, replacing an earlier definition of the same type
+ * @param {UnitDefinition} definition - Validated unit definition
+ */
+export function registerUnitType(definition) {
+    unitDefinitions.set(definition.type, definition);
+    UnitType[definition.type.replace(/([A-Z])/g, '_$1').toUpperCase()] = definition.type;
+}
+
+/**
+ * Forget all registered unit types
+ */
+export function clearUnitTypes() {
+    unitDefinitions.clear();
+    for (const key of Object.keys(UnitType)) {
+        delete UnitType[key];
+    }
+}
+
+/**
+ * Get unit definition by type
+ * @param {string} type - Unit type from UnitType
+ * @returns {UnitDefinition|null} Unit definition, null for unregistered types
+ */
+export function getUnitDefinition(type) {
+    return unitDefinitions.get(type) ?? null;
+}
+
+/**
+ * Get all registered unit types in catalog order
+ * @returns {Array<string>}
+ */
+export function getUnitTypes() {
+    return [...unitDefinitions.keys()];
+}
+
+// Define the classic unit owners, maps may declare other players (see players.js)
 export const UnitOwner = {
     PLAYER: 'player',
     AI: 'ai',
@@ -22,12 +71,15 @@ export class Unit {
     /**
      * Create a new unit
      * @param {string} type - The unit type from UnitType
-     * @param {string} owner - The unit owner from UnitOwner
+     * @param {string} owner - Owner id of the unit's player
      * @param {number} health - The unit's health points
      * @param {number} attack - The unit's attack strength
      * @param {number} movement - The unit's movement range in hexes
+     * @param {number} [attackRange=1] - The unit's attack range in hexes (1 = adjacent only)
+     * @param {number} [sightRange=3] - How far the unit sees in hexes
+     * @param {Array<string>} [abilities=[]] - Abilities from AbilityType the unit can use
      */
-    constructor(type, owner, health, attack, movement) {
+    constructor(type, owner, health, attack, movement, attackRange = 1, sightRange = 3, abilities = []) {
         this.type = type;
         this.owner = owner;
         this.health = health;
@@ -35,34 +87,214 @@ export class Unit {
         this.attack = attack;
         this.movement = movement;
         this.movementRemaining = movement;
+        this.attackRange = attackRange;
+        this.sightRange = sightRange;
         this.hasAttacked = false;
+        this.abilities = abilities;
+        this.cooldowns = {}; // Own turns left before each used ability is ready again
+        /** @type {Array<StatusEffect>} */
+        this.statusEffects = [];
+        this.movedThisTurn = false;
+        this.isCommander = false; // Losing the commander can lose the game
         this.position = { row: -1, col: -1 }; // Not placed yet
     }
 
     /**
-     * Reset the unit's turn (movement and attack)
+     * Reset the unit's turn (movement and attack) and count down the ability cooldowns
+     * Stunned units get neither, slowed units less movement
      */
     resetTurn() {
-        this.movementRemaining = this.movement;
-        this.hasAttacked = false;
+        this.movementRemaining = this.getMovement();
+        this.hasAttacked = this.isStunned();
+        this.movedThisTurn = false;
+
+        for (const ability of Object.keys(this.cooldowns)) {
+            this.cooldowns[ability]--;
+            if (this.cooldowns[ability] <= 0) {
+                delete this.cooldowns[ability];
+            }
+        }
+    }
+
+    /**
+     * Check if the unit has moved this turn
+     * @returns {boolean}
+     */
+    hasMoved() {
+        return this.movedThisTurn;
+    }
+
+    /**
+     * Get the turns left before an ability can be used again
+     * @param {string} ability - Ability type from AbilityType
+     * @returns {number} Turns left, 0 if the ability is ready
+     */
+    getCooldown(ability) {
+        return this.cooldowns[ability] ?? 0;
+    }
+
+    /**
+     * Use up the unit's action on an ability, start its cooldown and apply its effects on the unit itself
+     * @param {string} ability - Ability type from AbilityType
+     */
+    performAbility(ability) {
+        const definition = getAbilityDefinition(ability);
+        this.hasAttacked = true;
+        if (definition?.cooldown > 0) {
+            this.cooldowns[ability] = definition.cooldown;
+        }
+        if (definition?.endsTurn) {
+            this.movementRemaining = 0;
+        }
+        for (const { type, duration } of definition?.selfEffects ?? []) {
+            this.addStatusEffect(type, duration);
+        }
+    }
+
+    /**
+     * Apply a status effect following its stacking rule
+     * @param {string} type - Status effect type from StatusEffectType
+     * @param {number} duration - Number of the unit's turns the effect lasts
+     * @returns {boolean} Whether the effect was applied
+     */
+    addStatusEffect(type, duration) {
+        const definition = getStatusEffectDefinition(type);
+        if (!definition || duration <= 0) return false;
+
+        const existing = this.statusEffects.find(effect => effect.type === type);
+        if (!existing) {
+            this.statusEffects.push({ type, duration, stacks: 1 });
+            return true;
+        }
+
+        switch (definition.stacking) {
+            case StackingRule.STACK:
+                existing.stacks = Math.min(existing.stacks + 1, definition.maxStacks ?? 1);
+                existing.duration = Math.max(existing.duration, duration);
+                break;
+            case StackingRule.EXTEND:
+                existing.duration += duration;
+                break;
+            default:
+                existing.duration = Math.max(existing.duration, duration);
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Check if the unit has a status effect
+     * @param {string} type - Status effect type from StatusEffectType
+     * @returns {boolean}
+     */
+    hasStatusEffect(type) {
+        return this.statusEffects.some(effect => effect.type === type);
+    }
+
+    /**
+     * Sum a modifier over all status effects, additive modifiers count once per stack
+     * @param {string} modifier - Modifier name, e.g. 'attack'
+     * @returns {number}
+     */
+    getModifierSum(modifier) {
+        let sum = 0;
+        for (const { type, stacks } of this.statusEffects) {
+            sum += (getStatusEffectDefinition(type)?.modifiers?.[modifier] ?? 0) * stacks;
+        }
+        return sum;
+    }
+
+    /**
+     * Multiply a modifier over all status effects, once per stack
+     * @param {string} modifier - Modifier name, e.g. 'damageTaken'
+     * @returns {number}
+     */
+    getModifierProduct(modifier) {
+        let product = 1;
+        for (const { type, stacks } of this.statusEffects) {
+            product *= (getStatusEffectDefinition(type)?.modifiers?.[modifier] ?? 1) ** stacks;
+        }
+        return product;
+    }
+
+    /**
+     * Check if a status effect keeps the unit from acting
+     * @returns {boolean}
+     */
+    isStunned() {
+        return this.statusEffects.some(effect => getStatusEffectDefinition(effect.type)?.stuns);
+    }
+
+    /**
+     * Get the unit's attack strength after its status effects
+     * @returns {number}
+     */
+    getAttack() {
+        return Math.max(0, this.attack + this.getModifierSum('attack'));
+    }
+
+    /**
+     * Get the unit's movement range after its status effects
+     * @returns {number}
+     */
+    getMovement() {
+        if (this.isStunned()) return 0;
+        return Math.max(0, this.movement + this.getModifierSum('movement'));
+    }
+
+    /**
+     * Get the damage the unit would take from a hit after its status effects
+     * @param {number} amount - Damage of the hit
+     * @returns {number} Damage taken, rounded up
+     */
+    getDamageTaken(amount) {
+        return Math.max(0, Math.ceil(amount * this.getModifierProduct('damageTaken')));
+    }
+
+    /**
+     * Count down the status effects at the start of the unit's turn
+     * Damage and healing over time are applied first, expired effects are removed
+     * @returns {boolean} Whether the unit is still alive
+     */
+    tickStatusEffects() {
+        let damage = 0;
+        let healing = 0;
+        for (const { type, stacks } of this.statusEffects) {
+            const definition = getStatusEffectDefinition(type);
+            damage += (definition?.damagePerTurn ?? 0) * stacks;
+            healing += (definition?.healPerTurn ?? 0) * stacks;
+        }
+
+        if (healing > 0) this.heal(healing);
+        const alive = damage > 0 ? this.takeDamage(damage) : this.health > 0;
+
+        for (const effect of this.statusEffects) {
+            effect.duration--;
+        }
+        this.statusEffects = this.statusEffects.filter(effect => effect.duration > 0);
+
+        return alive;
     }
 
     /**
      * Take damage and return if unit is still alive
+     * The damage is reduced by the unit's status effects, see getDamageTaken
      * @param {number} amount - Amount of damage to take
      * @returns {boolean} Whether the unit is still alive
      */
     takeDamage(amount) {
-        this.health = Math.max(0, this.health - amount);
+        this.health = Math.max(0, this.health - this.getDamageTaken(amount));
         return this.health > 0;
     }
 
     /**
      * Heal the unit by the specified amount
+     * The healing is reduced by the unit's status effects, rounded down
      * @param {number} amount - Amount to heal
      */
     heal(amount) {
-        this.health = Math.min(this.maxHealth, this.health + amount);
+        const healing = Math.floor(amount * this.getModifierProduct('healingTaken'));
+        this.health = Math.min(this.maxHealth, this.health + healing);
     }
 
     /**
@@ -76,6 +308,7 @@ export class Unit {
         if (cost <= this.movementRemaining) {
             this.position = { row, col };
             this.movementRemaining -= cost;
+            this.movedThisTurn = true;
             return true;
         }
         return false;
@@ -86,7 +319,15 @@ export class Unit {
      * @returns {boolean} Whether the unit can attack
      */
     canAttack() {
-        return !this.hasAttacked;
+        return !this.hasAttacked && !this.isStunned();
+    }
+
+    /**
+     * Check if the unit attacks from a distance
+     * @returns {boolean} Whether the unit can attack beyond adjacent hexes
+     */
+    isRanged() {
+        return this.attackRange > 1;
     }
 
     /**
@@ -96,26 +337,25 @@ export class Unit {
     performAttack() {
         if (this.canAttack()) {
             this.hasAttacked = true;
-            return this.attack;
+            return this.getAttack();
         }
         return 0;
     }
 
     /**
-     * Get CSS color based on owner
+     * Get CSS color of the owner's faction
      * @returns {string} CSS color
      */
     getColor() {
-        switch (this.owner) {
-            case UnitOwner.PLAYER:
-                return '#4CAF50'; // Green
-            case UnitOwner.AI:
-                return '#F44336'; // Red
-            case UnitOwner.NEUTRAL:
-                return '#9E9E9E'; // Gray
-            default:
-                return '#FFFFFF'; // White
-        }
+        return getPlayerColor(this.owner);
+    }
+
+    /**
+     * Get unit display name
+     * @returns {string} Name of the unit type
+     */
+    getName() {
+        return getUnitDefinition(this.type)?.name ?? this.type;
     }
 
     /**
@@ -123,38 +363,23 @@ export class Unit {
      * @returns {string} Symbol representing unit type
      */
     getSymbol() {
-        switch (this.type) {
-            case UnitType.SOLDIER:
-                return '♙';
-            case UnitType.ARCHER:
-                return '♘';
-            case UnitType.KNIGHT:
-                return '♞';
-            case UnitType.MAGE:
-                return '♝';
-            default:
-                return '?';
-        }
+        return getUnitDefinition(this.type)?.symbol ?? '?';
     }
 }
 
 /**
- * Create a predefined unit based on type
+ * Create a unit of a registered type with the stats of its definition
  * @param {string} type - The unit type from UnitType
- * @param {string} owner - The unit owner from UnitOwner
+ * @param {string} owner - Owner id of the unit's player
  * @returns {Unit} New unit
+ * @throws {Error} If the unit type isn't registered
  */
 export function createUnit(type, owner) {
-    switch (type) {
-        case UnitType.SOLDIER:
-            return new Unit(type, owner, 10, 3, 2);
-        case UnitType.ARCHER:
-            return new Unit(type, owner, 7, 4, 2);
-        case UnitType.KNIGHT:
-            return new Unit(type, owner, 12, 5, 3);
-        case UnitType.MAGE:
-            return new Unit(type, owner, 6, 6, 1);
-        default:
-            return new Unit(type, owner, 5, 2, 2);
-    }
-}
\ No newline at end of file
+    const definition = getUnitDefinition(type);
+    if (!definition) {
+        throw new Error(`Unknown unit type '${type}'`);
+    }
+
+    const { health, attack, movement, attackRange, sightRange, abilities } = definition;
+    return new Unit(type, owner, health, attack, movement, attackRange, sightRange, [...abilities]);
+}
@@ -0,0 +1,178 @@
+/**
+ * Unit catalog module for loading the unit types from a JSON file
+ *
+ * The catalog is a versioned JSON document listing every unit type with its stats,
+ * abilities, movement costs and looks. It is loaded once at startup and fills the
+ * unit type registry in unit.js, units can only be created after that.
+ */
+import { registerUnitType, clearUnitTypes } from './unit.js';
+import { terrainDefinitions, IMPASSABLE } from './terrain.js';
+import { abilityDefinitions } from './abilities.js';
+
+// Current version of the unit catalog format
+export const UNIT_CATALOG_VERSION = 1;
+
+// Default location of the catalog, relative to index.html
+export const UNIT_CATALOG_URL = 'units.json';
+
+// Movement cost of terrain a unit type can't enter, JSON has no Infinity
+const IMPASSABLE_COST = 'impassable';
+
+/**
+ * @typedef {Object} UnitDefinition
+ * @property {string} type - Unit type id, e.g. 'soldier'
+ * @property {string} name - Display name
+ * @property {string} description - Short description of the unit's role
+ * @property {string} symbol - Glyph drawn on the unit
+ * @property {string} [sprite] - URL of an image drawn instead of the symbol
+ * @property {number} health - Maximum health
+ * @property {number} attack - Attack strength
+ * @property {number} movement - Movement range in hexes
+ * @property {number} attackRange - Attack range in hexes (1 = adjacent only)
+ * @property {number} sightRange - How far the unit sees in hexes
+ * @property {Array<string>} abilities - Abilities from AbilityType
+ * @property {Object<string, number>} terrainCosts - Movement costs overriding the terrain defaults,
+ *   'impassable' in the file and IMPASSABLE once registered
+ */
+
+/**
+ * @typedef {Object} UnitCatalog
+ * @property {number} version - Catalog format version
+ * @property {Array<UnitDefinition>} units - Unit types
+ */
+
+/**
+ * Error thrown when a unit catalog can't be loaded
+ */
+export class UnitCatalogError extends Error {
+    /**
+     * @param {Array<string>} errors - Problems found in the catalog
+     */
+    constructor(errors) {
+        super(`Invalid unit catalog:\n- ${errors.join('\n- ')}`);
+        this.name = 'UnitCatalogError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a unit catalog
+ * @param {any} data - Parsed unit catalog
+ * @returns {Array<string>} List of problems, empty if the catalog is valid
+ */
+export function validateUnitCatalog(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        return ['Unit catalog must be a JSON object'];
+    }
+
+    if (data.version !== UNIT_CATALOG_VERSION) {
+        errors.push(`Unsupported unit catalog version ${data.version}, expected ${UNIT_CATALOG_VERSION}`);
+    }
+
+    if (!Array.isArray(data.units) || data.units.length === 0) {
+        errors.push('Units must be a non-empty list');
+        return errors;
+    }
+
+    const types = new Set();
+    const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    data.units.forEach((unit, index) => {
+        if (!unit || typeof unit !== 'object') {
+            errors.push(`Unit ${index} must be an object`);
+            return;
+        }
+
+        // Type ids end up as UnitType keys, map files and saves refer to them
+        const label = `Unit ${index} (${unit.type})`;
+        if (typeof unit.type !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(unit.type)) {
+            errors.push(`Unit ${index} must have a camelCase type id`);
+        } else if (types.has(unit.type)) {
+            errors.push(`${label} is defined more than once`);
+        }
+        types.add(unit.type);
+
+        for (const field of ['name', 'description', 'symbol']) {
+            if (!isText(unit[field])) {
+                errors.push(`${label} must have a ${field}`);
+            }
+        }
+        if (unit.sprite !== undefined && !isText(unit.sprite)) {
+            errors.push(`${label} has an empty sprite`);
+        }
+
+        for (const [field, min] of [['health', 1], ['attack', 0], ['movement', 0], ['attackRange', 1], ['sightRange', 1]]) {
+            if (!isWholeNumber(unit[field], min)) {
+                errors.push(`${label} must have a whole number ${field} of at least ${min}`);
+            }
+        }
+
+        if (!Array.isArray(unit.abilities)) {
+            errors.push(`${label} must have a list of abilities`);
+        } else {
+            for (const ability of unit.abilities) {
+                if (!abilityDefinitions[ability]) {
+                    errors.push(`${label} has unknown ability '${ability}'`);
+                }
+            }
+        }
+
+        if (!unit.terrainCosts || typeof unit.terrainCosts !== 'object' || Array.isArray(unit.terrainCosts)) {
+            errors.push(`${label} must have a terrainCosts object`);
+        } else {
+            for (const [terrain, cost] of Object.entries(unit.terrainCosts)) {
+                if (!terrainDefinitions[terrain]) {
+                    errors.push(`${label} has a movement cost for unknown terrain '${terrain}'`);
+                } else if (cost !== IMPASSABLE_COST && !isWholeNumber(cost, 1)) {
+                    errors.push(`${label} has an invalid movement cost for ${terrain}, expected a whole number of at least 1 or '${IMPASSABLE_COST}'`);
+                }
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Register the unit types of a catalog, replacing the ones registered before
+ * @param {UnitCatalog} data - Parsed unit catalog
+ * @throws {UnitCatalogError} If the catalog is invalid
+ */
+export function registerUnitCatalog(data) {
+    const errors = validateUnitCatalog(data);
+    if (errors.length > 0) {
+        throw new UnitCatalogError(errors);
+    }
+
+    clearUnitTypes();
+    for (const unit of data.units) {
+        const terrainCosts = Object.fromEntries(Object.entries(unit.terrainCosts)
+            .map(([terrain, cost]) => [terrain, cost === IMPASSABLE_COST ? IMPASSABLE : cost]));
+        registerUnitType({ ...structuredClone(unit), terrainCosts });
+    }
+}
+
+/**
+ * Fetch a unit catalog and register its unit types
+ * @param {string} [url=UNIT_CATALOG_URL] - Location of the catalog
+ * @returns {Promise<UnitCatalog>} The loaded catalog
+ * @throws {UnitCatalogError} If the catalog can't be fetched, parsed or is invalid
+ */
+export async function loadUnitCatalog(url = UNIT_CATALOG_URL) {
+    let data;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        data = await response.json();
+    } catch (error) {
+        throw new UnitCatalogError([`Could not load ${url}: ${error.message}`]);
+    }
+
+    registerUnitCatalog(data);
+    return data;
+}
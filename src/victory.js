@@ -0,0 +1,118 @@
+/**
+ * Victory module for evaluating the map's win/loss conditions
+ */
+import { mapState, getCell, selectUnit } from './mapState.js';
+import { VictoryType } from './mapFormat.js';
+import { getPlayers } from './players.js';
+
+/**
+ * @typedef {Object} GameResult
+ * @property {string|null} winner - Winning owner, null for a draw
+ * @property {string} reason - Victory condition type that decided the game
+ * @property {number} turnNumber - Turn the game ended on
+ */
+
+/** @type {Array<(result: GameResult) => void>} */
+const gameOverListeners = [];
+
+/**
+ * Register a listener called once when the game ends
+ * @param {(result: GameResult) => void} listener - Called with the game result
+ */
+export function onGameOver(listener) {
+    gameOverListeners.push(listener);
+}
+
+/**
+ * Get the owners taking part in the game, neutral units don't count
+ * @returns {Array<string>} Owner ids of all players
+ */
+function getParticipants() {
+    return getPlayers().map(player => player.id);
+}
+
+/**
+ * Check whether an owner still has units
+ * @param {string} owner
+ * @returns {boolean}
+ */
+function hasUnits(owner) {
+    return mapState.units.some(unit => unit.owner === owner);
+}
+
+/**
+ * Evaluate a single victory condition
+ * @param {import('./mapFormat.js').VictoryCondition} condition
+ * @param {Array<string>} participants
+ * @returns {{winner: string|null}|null} Outcome or null if the condition isn't met yet
+ */
+function checkCondition(condition, participants) {
+    switch (condition.type) {
+        case VictoryType.ANNIHILATION: {
+            const remaining = participants.filter(hasUnits);
+            if (remaining.length === 0) return { winner: null };
+            if (remaining.length === 1 && participants.length > 1) return { winner: remaining[0] };
+            return null;
+        }
+        case VictoryType.CAPTURE: {
+            const unit = getCell(condition.row, condition.col)?.unit;
+            if (unit && (!condition.owner || unit.owner === condition.owner)) {
+                return { winner: unit.owner };
+            }
+            return null;
+        }
+        case VictoryType.SURVIVE: {
+            if (mapState.turnNumber > condition.turns && hasUnits(condition.owner)) {
+                return { winner: condition.owner };
+            }
+            return null;
+        }
+        case VictoryType.COMMANDER: {
+            // Owners that never had a commander can't lose this way
+            const startedWithCommander = new Set(
+                (mapState.startingMap?.units ?? [])
+                    .filter(unit => unit.commander)
+                    .map(unit => unit.owner)
+            );
+            const standing = participants.filter(owner => !startedWithCommander.has(owner)
+                || mapState.units.some(unit => unit.owner === owner && unit.isCommander));
+            if (standing.length === 0) return { winner: null };
+            if (standing.length === 1 && participants.length > 1) return { winner: standing[0] };
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check all victory conditions of the current map
+ * @returns {GameResult|null} Result if a condition is met, null while the game goes on
+ */
+export function checkVictory() {
+    const participants = getParticipants();
+
+    for (const condition of mapState.victoryConditions) {
+        const outcome = checkCondition(condition, participants);
+        if (outcome) {
+            return { winner: outcome.winner, reason: condition.type, turnNumber: mapState.turnNumber };
+        }
+    }
+    return null;
+}
+
+/**
+ * Evaluate the victory conditions after an action and end the game if one is met
+ * @returns {GameResult|null} Result of the game once it has ended
+ */
+export function evaluateVictory() {
+    if (mapState.gameOver) return mapState.gameOver;
+
+    const result = checkVictory();
+    if (result) {
+        mapState.gameOver = result;
+        selectUnit(null);
+        gameOverListeners.forEach(listener => listener(result));
+    }
+    return mapState.gameOver;
+}
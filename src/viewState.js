@@ -12,7 +12,13 @@ export const viewState = {
     lastX: 0,
     lastY: 0,
     minScale: 0.5,
-    maxScale: 3
+    maxScale: 3,
+    
+    // Hover state
+    hoveredCell: null,
+    pathPreview: null, // { path: Cell[], cost: number } from the selected unit to the hovered cell
+    targetTooltip: null, // { cell: Cell, text: string, blocker: {row, col}|null } for a hovered enemy that can't be attacked
+    combatForecast: null // { cell: Cell, forecast: CombatForecast } for a hovered enemy that can be attacked
 };
 
 /**
@@ -25,6 +31,10 @@ export function resetViewState() {
     viewState.isDragging = false;
     viewState.lastX = 0;
     viewState.lastY = 0;
+    viewState.hoveredCell = null;
+    viewState.pathPreview = null;
+    viewState.targetTooltip = null;
+    viewState.combatForecast = null;
 }
 
 /**
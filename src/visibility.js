@@ -0,0 +1,210 @@
+/**
+ * Visibility module for the fog of war
+ *
+ * A player sees every hex within the sight range of one of its units, unless
+ * terrain that blocks sight or a hex outside the map lies in between. Hexes seen before are remembered
+ * with the terrain they had at the time, the units on them are not.
+ */
+import { config } from './config.js';
+import { mapState, getCell, getHexDistance, getHexLine, getCellsWithinDistance } from './mapState.js';
+import { blocksSight } from './terrain.js';
+import { getPlayers, isHumanPlayer } from './players.js';
+
+/**
+ * @typedef {import('./mapState.js').Cell} Cell
+ * @typedef {import('./unit.js').Unit} Unit
+ */
+
+// How a hex looks to the viewing player
+export const FogState = {
+    VISIBLE: 'visible',
+    REMEMBERED: 'remembered',
+    UNEXPLORED: 'unexplored'
+};
+
+export const visibilityState = {
+    /** @type {Object<string, Set<string>>} Keys of the hexes each player currently sees */
+    visible: {},
+    /** @type {Object<string, Map<string, string>>} Last seen terrain by hex key for each player */
+    explored: {},
+    /** @type {string|null} Player whose view is rendered, null to show everything */
+    viewer: null
+};
+
+/**
+ * Key identifying a cell in the visibility sets
+ * @param {Cell} cell
+ * @returns {string}
+ */
+function cellKey(cell) {
+    return `${cell.rowIndex},${cell.cellIndex}`;
+}
+
+/**
+ * Forget everything seen so far, e.g. before loading a new map
+ */
+export function resetVisibility() {
+    visibilityState.visible = {};
+    visibilityState.explored = {};
+    visibilityState.viewer = null;
+}
+
+// What can block a line between two hexes
+export const LineBlocker = {
+    OUTSIDE_MAP: 'outside',
+    TERRAIN: 'terrain',
+    UNIT: 'unit'
+};
+
+/**
+ * @typedef {Object} LineBlock
+ * @property {string} type - Blocker type from LineBlocker
+ * @property {number} row - Row of the blocking hex
+ * @property {number} col - Column of the blocking hex
+ * @property {Cell|null} cell - Blocking cell, null outside the grid
+ */
+
+/**
+ * Find the first thing blocking the straight line between two cells
+ * The cells themselves never block, a unit in a forest sees out and can be seen
+ * @param {Cell} from - Cell looked from
+ * @param {Cell} to - Cell looked at
+ * @param {((unit: Unit) => boolean)|null} [isBlockingUnit=null] - Which units in between block the line, none by default
+ * @returns {LineBlock|null} First blocker along the line, null if the line is clear
+ */
+export function findLineBlocker(from, to, isBlockingUnit = null) {
+    const line = getHexLine(from.rowIndex, from.cellIndex, to.rowIndex, to.cellIndex);
+    for (const [row, col] of line.slice(1, -1)) {
+        const cell = mapState.cells[row]?.[col] ?? null;
+        if (!cell?.isVisible) {
+            return { type: LineBlocker.OUTSIDE_MAP, row, col, cell };
+        }
+        if (blocksSight(cell.terrain)) {
+            return { type: LineBlocker.TERRAIN, row, col, cell };
+        }
+        if (cell.unit && isBlockingUnit?.(cell.unit)) {
+            return { type: LineBlocker.UNIT, row, col, cell };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether nothing blocks the view between two cells
+ * @param {Cell} from - Cell looked from
+ * @param {Cell} to - Cell looked at
+ * @returns {boolean}
+ */
+export function hasLineOfSight(from, to) {
+    return findLineBlocker(from, to) === null;
+}
+
+/**
+ * Check whether a unit sees a cell
+ * @param {Unit} unit - Looking unit
+ * @param {Cell} cell - Cell looked at
+ * @param {Cell} [from] - Cell the unit would look from, its current cell by default
+ * @returns {boolean}
+ */
+export function unitSeesCell(unit, cell, from = getCell(unit.position.row, unit.position.col)) {
+    if (getHexDistance(from.rowIndex, from.cellIndex, cell.rowIndex, cell.cellIndex) > unit.sightRange) return false;
+    return hasLineOfSight(from, cell);
+}
+
+/**
+ * Get every hex a player currently sees
+ * @param {string} owner - Owner id of the player
+ * @returns {Set<string>} Keys of the seen hexes ('row,col')
+ */
+export function getVisibleCells(owner) {
+    const visible = new Set();
+
+    for (const unit of mapState.units) {
+        if (unit.owner !== owner) continue;
+
+        const { row, col } = unit.position;
+        for (const cell of getCellsWithinDistance(row, col, unit.sightRange)) {
+            if (!visible.has(cellKey(cell)) && unitSeesCell(unit, cell)) {
+                visible.add(cellKey(cell));
+            }
+        }
+    }
+    return visible;
+}
+
+/**
+ * Check whether a player currently sees a cell
+ * @param {string} owner - Owner id of the player
+ * @param {Cell} cell
+ * @returns {boolean} Always true without fog of war
+ */
+export function isCellVisibleTo(owner, cell) {
+    if (!config.fogOfWar) return true;
+    return mapState.units.some(unit => unit.owner === owner && unitSeesCell(unit, cell));
+}
+
+/**
+ * Check whether a player currently sees a unit, its own units are always seen
+ * @param {string} owner - Owner id of the player
+ * @param {Unit} unit
+ * @returns {boolean}
+ */
+export function isUnitVisibleTo(owner, unit) {
+    if (unit.owner === owner) return true;
+    const cell = getCell(unit.position.row, unit.position.col);
+    return !!cell && isCellVisibleTo(owner, cell);
+}
+
+/**
+ * Recompute what every player sees, remember the seen terrain and pick the player whose view is shown
+ * Humans see the game through their own eyes, during AI turns the last human's view stays up
+ */
+export function updateVisibility() {
+    if (!config.fogOfWar) {
+        visibilityState.viewer = null;
+        return;
+    }
+
+    for (const { id } of getPlayers()) {
+        const visible = getVisibleCells(id);
+        visibilityState.visible[id] = visible;
+
+        const explored = visibilityState.explored[id] ??= new Map();
+        for (const key of visible) {
+            const [row, col] = key.split(',').map(Number);
+            explored.set(key, getCell(row, col).terrain);
+        }
+    }
+
+    if (isHumanPlayer(mapState.currentTurn)) {
+        visibilityState.viewer = mapState.currentTurn;
+    } else if (!isHumanPlayer(visibilityState.viewer)) {
+        // Nobody to hide anything from when only the AI plays
+        visibilityState.viewer = getPlayers().find(player => isHumanPlayer(player.id))?.id ?? null;
+    }
+}
+
+/**
+ * Get how a cell looks to the viewing player, as of the last updateVisibility
+ * @param {Cell} cell
+ * @returns {string} State from FogState
+ */
+export function getFogState(cell) {
+    const viewer = visibilityState.viewer;
+    if (!viewer) return FogState.VISIBLE;
+
+    const key = cellKey(cell);
+    if (visibilityState.visible[viewer]?.has(key)) return FogState.VISIBLE;
+    if (visibilityState.explored[viewer]?.has(key)) return FogState.REMEMBERED;
+    return FogState.UNEXPLORED;
+}
+
+/**
+ * Get the terrain the viewing player last saw on a cell
+ * @param {Cell} cell
+ * @returns {string} Terrain type, the current terrain if the cell is in sight
+ */
+export function getRememberedTerrain(cell) {
+    const viewer = visibilityState.viewer;
+    return visibilityState.explored[viewer]?.get(cellKey(cell)) ?? cell.terrain;
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for attacks and what they leave behind on the map
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGrid, allCells } from './helpers.mjs';
+import { config } from '../src/config.js';
+import { createUnit } from '../src/unit.js';
+import { attackUnit } from '../src/combat.js';
+import { mapState, placeUnit, selectUnit, getAttackBlock, AttackBlockReason } from '../src/mapState.js';
+
+test('an attacker killed by the counterattack leaves no highlights behind', () => {
+    config.ruleset = 'standard';
+    loadGrid(['PPPP', 'PPPP']);
+    const attacker = createUnit('soldier', 'player');
+    const defender = createUnit('soldier', 'ai');
+    placeUnit(attacker, 0, 0);
+    placeUnit(defender, 0, 1);
+    attacker.health = 1;
+    selectUnit(attacker);
+
+    const result = attackUnit(attacker, defender, () => 0.5);
+    assert.equal(result.attackerKilled, true);
+    assert.equal(mapState.selectedUnit, null);
+    assert.deepEqual(allCells().filter(cell => cell.isHighlighted || cell.isAttackable || cell.isInAttackRange), []);
+});
+
+test('an attacker that survives keeps its selection without attack targets', () => {
+    config.ruleset = 'classic';
+    loadGrid(['PPPP', 'PPPP']);
+    const attacker = createUnit('soldier', 'player');
+    const defender = createUnit('soldier', 'ai');
+    placeUnit(attacker, 0, 0);
+    placeUnit(defender, 0, 1);
+    selectUnit(attacker);
+
+    attackUnit(attacker, defender, () => 0.5);
+    assert.equal(mapState.selectedUnit, attacker);
+    assert.deepEqual(allCells().filter(cell => cell.isAttackable), []);
+});
+
+test('attacks on hidden enemies only tell that they are hidden, whatever else stops them', () => {
+    config.fogOfWar = true;
+    loadGrid(['PFPP']);
+    const attacker = createUnit('soldier', 'player');
+    const hidden = createUnit('soldier', 'ai');
+    placeUnit(attacker, 0, 0);
+    placeUnit(hidden, 0, 2);
+    attacker.hasAttacked = true;
+
+    assert.deepEqual(getAttackBlock(attacker, hidden), { reason: AttackBlockReason.HIDDEN });
+});
+
+test('units the attacker can\'t see block the line without being given away', () => {
+    config.fogOfWar = true;
+    loadGrid(['PPPPP']);
+    const archer = createUnit('archer', 'player');
+    const scout = createUnit('soldier', 'player');
+    const hidden = createUnit('soldier', 'ai');
+    const target = createUnit('soldier', 'ai');
+    placeUnit(archer, 0, 0);
+    placeUnit(scout, 0, 4);
+    placeUnit(hidden, 0, 2);
+    placeUnit(target, 0, 3);
+
+    // Only the scout sees the target, nobody sees the unit in between
+    archer.sightRange = 1;
+    scout.sightRange = 1;
+    assert.deepEqual(getAttackBlock(archer, target), { reason: AttackBlockReason.NO_LINE_OF_SIGHT, blocker: null });
+
+    // Once seen, the unit in the way is named
+    scout.sightRange = 2;
+    assert.equal(getAttackBlock(archer, target).blocker.cell.unit, hidden);
+});
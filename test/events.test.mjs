@@ -0,0 +1,179 @@
+/**
+ * Tests for the events the map state emits when it changes
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGrid } from './helpers.mjs';
+import { config } from '../src/config.js';
+import { createUnit } from '../src/unit.js';
+import { attackUnit, useAbility } from '../src/combat.js';
+import { AbilityType } from '../src/abilities.js';
+import { executeMove, undo, redo } from '../src/commands.js';
+import { EventBus } from '../src/eventBus.js';
+import {
+    mapState,
+    mapEvents,
+    MapEvent,
+    getCell,
+    placeUnit,
+    removeUnit,
+    selectUnit,
+    moveUnit,
+    endTurn,
+    toggleCellState
+} from '../src/mapState.js';
+
+/** @type {Array<[string, any]>} Events emitted during the current test, in order */
+let events = [];
+let unsubscribers = [];
+
+beforeEach(() => {
+    // Attacks deal their unit's attack, whatever the roll
+    config.ruleset = 'classic';
+    loadGrid(['PPPP', 'PPPP']);
+    events = [];
+    unsubscribers = Object.values(MapEvent).map(type => mapEvents.on(type, value => events.push([type, value])));
+});
+
+afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+});
+
+/**
+ * Get the events of one type emitted so far
+ * @param {string} type - Event from MapEvent
+ * @returns {Array<any>} Values of the events
+ */
+function emitted(type) {
+    return events.filter(([eventType]) => eventType === type).map(([, value]) => value);
+}
+
+test('listeners are called in order until they are removed', () => {
+    const bus = new EventBus();
+    const calls = [];
+    const removeFirst = bus.on('ping', value => calls.push(['first', value]));
+    bus.on('ping', value => calls.push(['second', value]));
+
+    bus.emit('ping', 1);
+    removeFirst();
+    bus.emit('ping', 2);
+    bus.emit('pong', 3);
+
+    assert.deepEqual(calls, [['first', 1], ['second', 1], ['second', 2]]);
+});
+
+test('placing a unit changes its old and new cell', () => {
+    const unit = createUnit('soldier', 'player');
+    placeUnit(unit, 0, 0);
+    placeUnit(unit, 0, 2);
+
+    assert.deepEqual(emitted(MapEvent.CELL_CHANGED), [
+        { cell: getCell(0, 0) },
+        { cell: getCell(0, 0) },
+        { cell: getCell(0, 2) }
+    ]);
+});
+
+test('failed placements and moves emit nothing', () => {
+    const unit = createUnit('soldier', 'player');
+    placeUnit(unit, 0, 0);
+    events = [];
+
+    placeUnit(createUnit('soldier', 'ai'), 0, 0);
+    moveUnit(unit, 1, 3);
+    assert.deepEqual(events, []);
+});
+
+test('moving a unit reports where it went and what it cost', () => {
+    const unit = createUnit('soldier', 'player');
+    placeUnit(unit, 0, 0);
+    events = [];
+
+    moveUnit(unit, 0, 2);
+    assert.deepEqual(emitted(MapEvent.UNIT_MOVED), [
+        { unit, from: { row: 0, col: 0 }, to: { row: 0, col: 2 }, cost: 2 }
+    ]);
+    assert.deepEqual(emitted(MapEvent.CELL_CHANGED), [{ cell: getCell(0, 0) }, { cell: getCell(0, 2) }]);
+});
+
+test('undoing and redoing a move changes the cells it left and entered', () => {
+    const unit = createUnit('soldier', 'player');
+    placeUnit(unit, 0, 0);
+    placeUnit(createUnit('soldier', 'player'), 1, 0);
+    executeMove(unit, 0, 2);
+
+    for (const step of [undo, redo]) {
+        events = [];
+        assert.equal(step(), true);
+        const changed = emitted(MapEvent.CELL_CHANGED).map(({ cell }) => `${cell.rowIndex},${cell.cellIndex}`);
+        assert.deepEqual(changed.sort(), ['0,0', '0,2']);
+    }
+});
+
+test('removing the selected unit clears the selection', () => {
+    const unit = createUnit('soldier', 'player');
+    placeUnit(unit, 1, 1);
+    selectUnit(unit);
+    assert.deepEqual(emitted(MapEvent.SELECTION_CHANGED), [{ unit, ability: null }]);
+    events = [];
+
+    removeUnit(unit);
+    assert.deepEqual(events, [
+        [MapEvent.CELL_CHANGED, { cell: getCell(1, 1) }],
+        [MapEvent.SELECTION_CHANGED, { unit: null, ability: null }]
+    ]);
+});
+
+test('toggling a cell changes it', () => {
+    toggleCellState(1, 2);
+    assert.deepEqual(emitted(MapEvent.CELL_CHANGED), [{ cell: mapState.cells[1][2] }]);
+});
+
+test('attacks report their outcome after the deaths they caused', () => {
+    const attacker = createUnit('knight', 'player');
+    const defender = createUnit('archer', 'ai');
+    placeUnit(attacker, 0, 0);
+    placeUnit(defender, 0, 1);
+    defender.health = 1;
+    events = [];
+
+    const result = attackUnit(attacker, defender);
+    assert.equal(result.killed, true);
+    assert.deepEqual(emitted(MapEvent.UNIT_DIED), [{ unit: defender }]);
+    assert.deepEqual(emitted(MapEvent.UNIT_ATTACKED), [result]);
+    assert.ok(events.findIndex(([type]) => type === MapEvent.UNIT_DIED)
+        < events.findIndex(([type]) => type === MapEvent.UNIT_ATTACKED));
+});
+
+test('abilities report each unit they hit as an attack', () => {
+    const mage = createUnit('mage', 'player');
+    const first = createUnit('soldier', 'ai');
+    const second = createUnit('archer', 'ai');
+    placeUnit(mage, 0, 0);
+    placeUnit(first, 0, 2);
+    placeUnit(second, 0, 3);
+    events = [];
+
+    const result = useAbility(mage, AbilityType.FIREBALL, getCell(0, 2));
+    assert.equal(result.hits.length, 2);
+    assert.deepEqual(emitted(MapEvent.UNIT_ATTACKED), result.hits);
+    assert.deepEqual(result.hits.map(hit => [hit.defender, hit.ability]), [
+        [first, AbilityType.FIREBALL],
+        [second, AbilityType.FIREBALL]
+    ]);
+});
+
+test('ending the turn ends one player\'s turn and starts the next one\'s', () => {
+    placeUnit(createUnit('soldier', 'player'), 0, 0);
+    placeUnit(createUnit('soldier', 'ai'), 1, 3);
+    events = [];
+
+    endTurn();
+    endTurn();
+    assert.deepEqual(events.filter(([type]) => type === MapEvent.TURN_ENDED || type === MapEvent.TURN_STARTED), [
+        [MapEvent.TURN_ENDED, { owner: 'player', turnNumber: 1 }],
+        [MapEvent.TURN_STARTED, { owner: 'ai', turnNumber: 1 }],
+        [MapEvent.TURN_ENDED, { owner: 'ai', turnNumber: 1 }],
+        [MapEvent.TURN_STARTED, { owner: 'player', turnNumber: 2 }]
+    ]);
+});
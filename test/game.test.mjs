@@ -0,0 +1,71 @@
+/**
+ * Tests for the headless game API and the AI playing through it
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.mjs';
+import { Game, GameEvent } from '../src/game.js';
+import { runAITurn } from '../src/aiRunner.js';
+import { ControllerType } from '../src/players.js';
+
+/**
+ * Get a small open map with one unit per side
+ * @returns {import('../src/mapFormat.js').MapFile}
+ */
+function createMap() {
+    return {
+        version: 1,
+        name: 'Duel',
+        width: 4,
+        height: 2,
+        grid: [[1, 1, 1, 1], [1, 1, 1, 1]],
+        terrain: [['P', 'P', 'P', 'P'], ['P', 'P', 'P', 'P']],
+        units: [
+            { type: 'soldier', owner: 'player', row: 0, col: 0 },
+            { type: 'soldier', owner: 'ai', row: 1, col: 3 }
+        ],
+        victory: [{ type: 'annihilation' }]
+    };
+}
+
+test('an AI turn interrupted by a new match leaves the new match alone', async () => {
+    const game = new Game();
+    game.start({ map: createMap(), ruleset: 'classic', seed: 1, controllers: { player: ControllerType.AI } });
+    const turn = runAITurn(game, () => {}, game.currentTurn);
+
+    // The next match starts while the AI is still thinking
+    game.start({ map: createMap(), ruleset: 'classic', seed: 2, controllers: { player: ControllerType.HUMAN } });
+    await turn;
+
+    assert.equal(game.currentTurn, 'player');
+    assert.equal(game.turnNumber, 1);
+    assert.equal(game.units.every(unit => !unit.hasMoved()), true);
+});
+
+test('loading a save replaces the running match', () => {
+    const game = new Game({ map: createMap(), ruleset: 'classic', seed: 3 });
+    game.dispatch({ type: 'move', unit: game.units[0], row: 0, col: 1 });
+    const save = game.serialize();
+    const { matchId } = game;
+
+    game.start({ map: createMap(), ruleset: 'classic', seed: 4 });
+    game.load(save);
+
+    assert.equal(game.isPlaying(matchId), false);
+    assert.deepEqual(game.units[0].position, { row: 0, col: 1 });
+    assert.deepEqual(game.getReplay().actions, []);
+});
+
+test('loading a save starts the saved player\'s turn', () => {
+    const game = new Game({ map: createMap(), ruleset: 'classic', seed: 5 });
+    game.dispatch({ type: 'endTurn' });
+    const save = game.serialize();
+
+    const loaded = new Game();
+    const turns = [];
+    loaded.on(GameEvent.TURN_START, currentTurn => turns.push(currentTurn));
+    loaded.load(save);
+
+    assert.deepEqual(turns, ['ai']);
+    assert.equal(loaded.currentTurn, 'ai');
+});
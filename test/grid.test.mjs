@@ -0,0 +1,163 @@
+/**
+ * Tests for building the grid from gridConfig and for hex neighbors and distances
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGrid, randomGrid, allCells } from './helpers.mjs';
+import { config } from '../src/config.js';
+import { Orientation } from '../src/hexCoords.js';
+import { TerrainType } from '../src/terrain.js';
+import { createRandom } from '../src/random.js';
+import {
+    mapState,
+    initializeCellStates,
+    cellExists,
+    getCell,
+    toggleCellState,
+    getNeighborCoordinates,
+    getHexDistance
+} from '../src/mapState.js';
+
+/**
+ * Sort coordinates so neighbor lists compare regardless of order
+ * @param {Array<[number, number]>} coordinates
+ * @returns {Array<[number, number]>}
+ */
+function sorted(coordinates) {
+    return [...coordinates].sort(([r1, c1], [r2, c2]) => r1 - r2 || c1 - c2);
+}
+
+test('cells are built from gridConfig with their terrain', () => {
+    loadGrid([
+        'PFH',
+        '.WM'
+    ]);
+
+    assert.equal(mapState.cells.length, 2);
+    assert.ok(mapState.cells.every(row => row.length === 3));
+    for (const cell of allCells()) {
+        assert.equal(cell.isVisible, config.gridConfig[cell.rowIndex][cell.cellIndex] === 1);
+        assert.equal(cell.unit, null);
+    }
+
+    assert.equal(getCell(0, 1).terrain, TerrainType.FOREST);
+    assert.equal(getCell(0, 2).terrain, TerrainType.HILLS);
+    assert.equal(getCell(1, 1).terrain, TerrainType.WATER);
+    assert.equal(getCell(1, 2).terrain, TerrainType.MOUNTAINS);
+});
+
+test('cells without a terrain code are plains', () => {
+    loadGrid(['PP', 'PP']);
+    config.terrainConfig = [['F']];
+    initializeCellStates();
+
+    assert.equal(getCell(0, 0).terrain, TerrainType.FOREST);
+    assert.equal(getCell(0, 1).terrain, TerrainType.PLAINS);
+    assert.equal(getCell(1, 0).terrain, TerrainType.PLAINS);
+});
+
+test('holes and coordinates outside the grid have no cell', () => {
+    loadGrid([
+        'P.P',
+        'PPP'
+    ]);
+
+    assert.equal(cellExists(0, 1), false);
+    assert.equal(getCell(0, 1), null);
+    for (const [row, col] of [[-1, 0], [0, -1], [2, 0], [0, 3], [5, 5]]) {
+        assert.equal(cellExists(row, col), false, `${row},${col}`);
+        assert.equal(getCell(row, col), null, `${row},${col}`);
+    }
+    assert.equal(getCell(1, 2), mapState.cells[1][2]);
+});
+
+test('toggling a cell takes it out of the map and back', () => {
+    loadGrid(['PPP']);
+
+    assert.equal(toggleCellState(0, 1), false);
+    assert.equal(getCell(0, 1), null);
+    assert.equal(toggleCellState(0, 1), true);
+    assert.equal(getCell(0, 1), mapState.cells[0][1]);
+    assert.equal(toggleCellState(3, 3), false);
+});
+
+test('pointy-top neighbors of an even row lean left', () => {
+    loadGrid(['PPPP', 'PPPP', 'PPPP', 'PPPP']);
+
+    assert.deepEqual(sorted(getNeighborCoordinates(2, 2)), [
+        [1, 1], [1, 2],
+        [2, 1], [2, 3],
+        [3, 1], [3, 2]
+    ]);
+});
+
+test('pointy-top neighbors of an odd row lean right', () => {
+    loadGrid(['PPPP', 'PPPP', 'PPPP', 'PPPP']);
+
+    assert.deepEqual(sorted(getNeighborCoordinates(1, 2)), [
+        [0, 2], [0, 3],
+        [1, 1], [1, 3],
+        [2, 2], [2, 3]
+    ]);
+});
+
+test('flat-top neighbors depend on the column instead', () => {
+    loadGrid(['PPPP', 'PPPP', 'PPPP', 'PPPP'], Orientation.FLAT);
+
+    assert.deepEqual(sorted(getNeighborCoordinates(2, 2)), [
+        [1, 1], [1, 2], [1, 3],
+        [2, 1], [2, 3],
+        [3, 2]
+    ]);
+    assert.deepEqual(sorted(getNeighborCoordinates(2, 1)), [
+        [1, 1],
+        [2, 0], [2, 2],
+        [3, 0], [3, 1], [3, 2]
+    ]);
+});
+
+test('neighbors of edge cells may lie outside the grid', () => {
+    loadGrid(['PP', 'PP']);
+
+    const neighbors = getNeighborCoordinates(0, 0);
+    assert.equal(neighbors.length, 6);
+    assert.deepEqual(sorted(neighbors.filter(([row, col]) => cellExists(row, col))), [[0, 1], [1, 0]]);
+});
+
+for (const orientation of Object.values(Orientation)) {
+    test(`${orientation} neighbors are mutual and one step away on random grids`, () => {
+        const random = createRandom(7);
+        for (let round = 0; round < 20; round++) {
+            loadGrid(randomGrid(random, 3 + Math.floor(random() * 6), 3 + Math.floor(random() * 6)), orientation);
+
+            for (const cell of allCells()) {
+                const neighbors = getNeighborCoordinates(cell.rowIndex, cell.cellIndex);
+                assert.equal(new Set(neighbors.map(String)).size, 6);
+
+                for (const [row, col] of neighbors) {
+                    assert.equal(getHexDistance(cell.rowIndex, cell.cellIndex, row, col), 1);
+                    const back = getNeighborCoordinates(row, col).map(String);
+                    assert.ok(back.includes(`${cell.rowIndex},${cell.cellIndex}`),
+                        `${row},${col} doesn't list ${cell.rowIndex},${cell.cellIndex} as a neighbor`);
+                }
+            }
+        }
+    });
+}
+
+test('hex distance is symmetric and obeys the triangle inequality', () => {
+    loadGrid(['PPPPP', 'PPPPP', 'PPPPP', 'PPPPP', 'PPPPP']);
+
+    const cells = allCells();
+    for (const a of cells) {
+        assert.equal(getHexDistance(a.rowIndex, a.cellIndex, a.rowIndex, a.cellIndex), 0);
+        for (const b of cells) {
+            const ab = getHexDistance(a.rowIndex, a.cellIndex, b.rowIndex, b.cellIndex);
+            assert.equal(ab, getHexDistance(b.rowIndex, b.cellIndex, a.rowIndex, a.cellIndex));
+            for (const c of cells) {
+                assert.ok(ab <= getHexDistance(a.rowIndex, a.cellIndex, c.rowIndex, c.cellIndex)
+                    + getHexDistance(c.rowIndex, c.cellIndex, b.rowIndex, b.cellIndex));
+            }
+        }
+    }
+});
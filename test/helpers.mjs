@@ -0,0 +1,89 @@
+/**
+ * Shared setup for the tests, run them from the repository root with `npm test`
+ *
+ * The game modules keep their state in module scope, so each test loads the grid it
+ * needs before touching the map.
+ */
+import { readFileSync } from 'node:fs';
+import { registerUnitCatalog } from '../src/unitCatalog.js';
+import { config } from '../src/config.js';
+import { Orientation } from '../src/hexCoords.js';
+import { ControllerType, setPlayers } from '../src/players.js';
+import { mapState, resetMapState, initializeCellStates, cellExists, getNeighborCoordinates } from '../src/mapState.js';
+import { terrainDefinitions } from '../src/terrain.js';
+
+// Units can only be created once their types are known, the browser fetches the same file
+registerUnitCatalog(JSON.parse(readFileSync(new URL('../src/units.json', import.meta.url), 'utf8')));
+
+// Character marking a cell that isn't part of the map in grid drawings
+const HOLE = '.';
+
+/**
+ * Load a grid drawn as text, one string per row with a terrain code per cell ('.' for holes)
+ * Players 'player' and 'ai' take part, in that order
+ * @param {Array<string>} rows - Rows of the grid, e.g. ['PPF', 'P.M']
+ * @param {string} [orientation=Orientation.POINTY] - Orientation from Orientation
+ */
+export function loadGrid(rows, orientation = Orientation.POINTY) {
+    config.gridConfig = rows.map(row => [...row].map(code => (code === HOLE ? 0 : 1)));
+    config.terrainConfig = rows.map(row => [...row].map(code => (code === HOLE ? 'P' : code)));
+    config.hexOrientation = orientation;
+    setPlayers([
+        { id: 'player', name: 'Player', color: '#4CAF50', controller: ControllerType.HUMAN },
+        { id: 'ai', name: 'AI', color: '#F44336', controller: ControllerType.AI }
+    ]);
+    resetMapState();
+    initializeCellStates();
+}
+
+/**
+ * Draw a random grid
+ * @param {() => number} random - Generator returning numbers in [0, 1)
+ * @param {number} height - Number of rows
+ * @param {number} width - Number of cells per row
+ * @param {number} [holeDensity=0.15] - Chance of each cell being a hole
+ * @returns {Array<string>} Rows of the grid, as taken by loadGrid
+ */
+export function randomGrid(random, height, width, holeDensity = 0.15) {
+    const codes = Object.values(terrainDefinitions).map(definition => definition.code);
+    return Array.from({ length: height }, () => Array.from({ length: width }, () => (
+        random() < holeDensity ? HOLE : codes[Math.floor(random() * codes.length)]
+    )).join(''));
+}
+
+/**
+ * Get every cell of the map, holes included
+ * @returns {Array<import('../src/mapState.js').Cell>}
+ */
+export function allCells() {
+    return mapState.cells.flat();
+}
+
+/**
+ * Reference shortest paths by relaxing every edge until nothing changes, slow but obviously right
+ * @param {import('../src/mapState.js').Cell} start - Cell to start from
+ * @param {(cell: import('../src/mapState.js').Cell) => boolean} canEnter - Whether a cell can be entered
+ * @param {(cell: import('../src/mapState.js').Cell) => number} getCost - Cost of entering a cell
+ * @returns {Map<import('../src/mapState.js').Cell, number>} Cost of reaching each reachable cell
+ */
+export function relaxDistances(start, canEnter, getCost) {
+    const distances = new Map([[start, 0]]);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const [cell, distance] of [...distances]) {
+            for (const [row, col] of getNeighborCoordinates(cell.rowIndex, cell.cellIndex)) {
+                if (!cellExists(row, col)) continue;
+                const neighbor = mapState.cells[row][col];
+                if (!canEnter(neighbor)) continue;
+
+                const score = distance + getCost(neighbor);
+                if (score < (distances.get(neighbor) ?? Infinity)) {
+                    distances.set(neighbor, score);
+                    changed = true;
+                }
+            }
+        }
+    }
+    return distances;
+}
@@ -0,0 +1,152 @@
+/**
+ * Tests for generated maps: symmetry, connected spawn zones and repeatable seeds
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGrid } from './helpers.mjs';
+import { config } from '../src/config.js';
+import { Orientation, cube, offsetToCube, cubeToOffset, cubeNeighbors } from '../src/hexCoords.js';
+import { generateMap } from '../src/mapGenerator.js';
+import { loadMap } from '../src/mapFormat.js';
+import { mapState, getCell, runDijkstra } from '../src/mapState.js';
+import { IMPASSABLE, getMovementCost } from '../src/terrain.js';
+
+// Unit types of the default army
+const ARMY_TYPES = ['soldier', 'archer', 'knight', 'mage'];
+
+/**
+ * Turn a hex around the center of a map
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {import('../src/mapFormat.js').MapFile} map
+ * @param {string} orientation - Orientation from Orientation
+ * @returns {{row: number, col: number}}
+ */
+function turnHex(row, col, map, orientation) {
+    const first = offsetToCube(0, 0, orientation);
+    const last = offsetToCube(map.height - 1, map.width - 1, orientation);
+    const hex = offsetToCube(row, col, orientation);
+    return cubeToOffset(cube(first.q + last.q - hex.q, first.r + last.r - hex.r), orientation);
+}
+
+/**
+ * Run a test body with another hex orientation, putting the old one back afterwards
+ * @param {string} orientation - Orientation from Orientation
+ * @param {() => void} body
+ */
+function withOrientation(orientation, body) {
+    const previous = config.hexOrientation;
+    config.hexOrientation = orientation;
+    try {
+        body();
+    } finally {
+        config.hexOrientation = previous;
+    }
+}
+
+/**
+ * Check that a map is the same after turning it around its center
+ * Hexes whose turned position lies outside the map have to be holes
+ * @param {import('../src/mapFormat.js').MapFile} map
+ * @param {string} orientation - Orientation from Orientation
+ */
+function assertSymmetric(map, orientation) {
+    const first = offsetToCube(0, 0, orientation);
+    const last = offsetToCube(map.height - 1, map.width - 1, orientation);
+    const turn = hex => cube(first.q + last.q - hex.q, first.r + last.r - hex.r);
+    const isInside = ({ row, col }) => row >= 0 && row < map.height && col >= 0 && col < map.width;
+    const isOpen = ({ row, col }) => isInside({ row, col }) && map.grid[row][col] === 1;
+
+    for (let row = 0; row < map.height; row++) {
+        for (let col = 0; col < map.width; col++) {
+            const hex = offsetToCube(row, col, orientation);
+            const turned = cubeToOffset(turn(hex), orientation);
+            if (!isInside(turned)) {
+                assert.equal(map.grid[row][col], 0, `${row},${col} has no counterpart but is open`);
+                continue;
+            }
+
+            assert.equal(map.grid[row][col], map.grid[turned.row][turned.col], `grid at ${row},${col}`);
+            if (map.grid[row][col] === 1) {
+                assert.equal(map.terrain[row][col], map.terrain[turned.row][turned.col], `terrain at ${row},${col}`);
+            }
+
+            // Open neighbors turn into the turned hex's open neighbors
+            const neighbors = cubeNeighbors(hex).map(neighbor => cubeToOffset(neighbor, orientation)).filter(isOpen);
+            const turnedNeighbors = cubeNeighbors(turn(hex)).map(neighbor => cubeToOffset(neighbor, orientation)).filter(isOpen);
+            assert.equal(neighbors.length, turnedNeighbors.length, `neighbors of ${row},${col}`);
+        }
+    }
+}
+
+for (const orientation of Object.values(Orientation)) {
+    test(`${orientation} symmetric maps of any size are the same turned around`, () => {
+        withOrientation(orientation, () => {
+            for (const [width, height] of [[7, 7], [9, 9], [8, 7], [7, 8], [12, 10]]) {
+                for (const seed of [1, 2, 3]) {
+                    const map = generateMap({ width, height, seed });
+                    assertSymmetric(map, orientation);
+                    assert.ok(map.units.length > 0);
+                }
+            }
+        });
+    });
+
+    test(`${orientation} symmetric maps give both armies the same ground turned around`, () => {
+        withOrientation(orientation, () => {
+            for (const [width, height] of [[7, 7], [8, 7], [12, 10]]) {
+                for (const seed of [1, 2, 3]) {
+                    const map = generateMap({ width, height, seed });
+                    const playerUnits = map.units.filter(unit => unit.owner === 'player');
+                    const aiUnits = map.units.filter(unit => unit.owner === 'ai');
+                    assert.equal(aiUnits.length, playerUnits.length);
+                    playerUnits.forEach((unit, index) => {
+                        assert.equal(aiUnits[index].type, unit.type);
+                        assert.deepEqual(turnHex(unit.row, unit.col, map, orientation),
+                            { row: aiUnits[index].row, col: aiUnits[index].col }, `${unit.type} of seed ${seed}`);
+                    });
+                }
+            }
+        });
+    });
+
+    test(`${orientation} maps connect every spawn hex for every unit type`, () => {
+        withOrientation(orientation, () => {
+            for (const symmetric of [true, false]) {
+                for (let seed = 1; seed <= 8; seed++) {
+                    const map = generateMap({ width: 10, height: 9, seed, symmetric, holeDensity: 0.2 });
+                    loadMap(map);
+                    const [first, ...others] = map.spawns;
+                    for (const type of ARMY_TYPES) {
+                        const canEnter = cell => cell.isVisible && getMovementCost(cell.terrain, type) !== IMPASSABLE;
+                        const reached = runDijkstra(getCell(first.row, first.col), canEnter);
+                        for (const spawn of others) {
+                            assert.ok(reached.getNode(getCell(spawn.row, spawn.col)).visited,
+                                `${type} can't reach ${spawn.row},${spawn.col} on seed ${seed}`);
+                        }
+                    }
+                }
+            }
+        });
+    });
+}
+
+test('the same options and seed give the same map', () => {
+    for (const symmetric of [true, false]) {
+        const options = { width: 11, height: 9, seed: 1234, symmetric };
+        assert.deepEqual(generateMap(options), generateMap(options));
+    }
+    assert.notDeepEqual(generateMap({ seed: 1 }).terrain, generateMap({ seed: 2 }).terrain);
+});
+
+test('generating a map leaves the current map alone', () => {
+    loadGrid(['PPP', 'PFP']);
+    const { gridConfig, terrainConfig } = config;
+    const cells = mapState.cells;
+
+    generateMap({ seed: 5 });
+
+    assert.equal(config.gridConfig, gridConfig);
+    assert.equal(config.terrainConfig, terrainConfig);
+    assert.equal(mapState.cells, cells);
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for ranges, Dijkstra costs and paths, around holes and costly terrain
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGrid, randomGrid, allCells, relaxDistances } from './helpers.mjs';
+import { Orientation } from '../src/hexCoords.js';
+import { IMPASSABLE } from '../src/terrain.js';
+import { createRandom } from '../src/random.js';
+import { createUnit } from '../src/unit.js';
+import {
+    getCell,
+    placeUnit,
+    getCellsInRange,
+    runDijkstra,
+    findPath,
+    getPathCost,
+    getReachableCells,
+    getCellMovementCost,
+    getNeighborCoordinates
+} from '../src/mapState.js';
+
+/**
+ * Turn cells into sorted 'row,col' keys so sets of cells compare regardless of order
+ * @param {Iterable<import('../src/mapState.js').Cell>} cells
+ * @returns {Array<string>}
+ */
+function keys(cells) {
+    return [...cells].map(cell => `${cell.rowIndex},${cell.cellIndex}`).sort();
+}
+
+/**
+ * Check that a path walks from neighbor to neighbor
+ * @param {Array<import('../src/mapState.js').Cell>} path
+ */
+function assertConnected(path) {
+    for (let i = 1; i < path.length; i++) {
+        const neighbors = getNeighborCoordinates(path[i - 1].rowIndex, path[i - 1].cellIndex).map(String);
+        assert.ok(neighbors.includes(`${path[i].rowIndex},${path[i].cellIndex}`), `step ${i} of the path jumps`);
+    }
+}
+
+test('a range of 0 is the cell itself', () => {
+    loadGrid(['PPP', 'PPP']);
+
+    assert.deepEqual(getCellsInRange(0, 1, 0), [getCell(0, 1)]);
+});
+
+test('ranges are empty from holes, outside the grid or when negative', () => {
+    loadGrid(['P.P']);
+
+    assert.deepEqual(getCellsInRange(0, 1, 2), []);
+    assert.deepEqual(getCellsInRange(4, 4, 2), []);
+    assert.deepEqual(getCellsInRange(0, 0, -1), []);
+});
+
+test('ranges walk around holes instead of across them', () => {
+    loadGrid([
+        'PP.PP',
+        'PPPPP'
+    ]);
+
+    // (0, 3) is two steps from (0, 1) across the hole, but three around it
+    assert.deepEqual(keys(getCellsInRange(0, 1, 2)), ['0,0', '0,1', '1,0', '1,1', '1,2']);
+    assert.ok(keys(getCellsInRange(0, 1, 3)).includes('0,3'));
+});
+
+test('ranges stop at cells the predicate rules out', () => {
+    loadGrid([
+        'PWP',
+        'PWP'
+    ]);
+
+    const range = getCellsInRange(0, 0, 5, cell => cell.terrain !== 'water');
+    assert.deepEqual(keys(range), ['0,0', '1,0']);
+});
+
+test('each step costs the terrain of the cell entered', () => {
+    loadGrid(['PFHP']);
+
+    const nodes = runDijkstra(getCell(0, 0), cell => cell.isVisible, cell => (cell.terrain === 'plains' ? 1 : 2));
+    assert.equal(nodes.getNode(getCell(0, 1)).score, 2);
+    assert.equal(nodes.getNode(getCell(0, 2)).score, 4);
+    assert.equal(nodes.getNode(getCell(0, 3)).score, 5);
+});
+
+test('paths go around expensive terrain when that is cheaper', () => {
+    loadGrid([
+        'PFP',
+        'PPP'
+    ]);
+
+    const nodes = runDijkstra(getCell(0, 0), cell => cell.isVisible, cell => (cell.terrain === 'forest' ? 5 : 1));
+    const path = nodes.getPath(getCell(0, 2));
+    assert.equal(path[0], getCell(0, 0));
+    assert.equal(path.at(-1), getCell(0, 2));
+    assert.ok(!path.includes(getCell(0, 1)));
+    assertConnected(path);
+    assert.equal(nodes.getNode(getCell(0, 2)).score, 3);
+});
+
+test('cells over the maximum score are not reached', () => {
+    loadGrid(['PPPPP']);
+
+    const nodes = runDijkstra(getCell(0, 0), undefined, undefined, 2);
+    assert.deepEqual(keys(nodes.getCellsWithin(Infinity)), ['0,0', '0,1', '0,2']);
+    assert.deepEqual(nodes.getPath(getCell(0, 4)), []);
+});
+
+test('there is no path to a cell cut off by holes', () => {
+    loadGrid([
+        'P.P',
+        '..P'
+    ]);
+
+    assert.equal(findPath(getCell(0, 0), getCell(0, 2)), null);
+    assert.equal(findPath(getCell(0, 0), null), null);
+    assert.deepEqual(findPath(getCell(0, 0), getCell(0, 0)), [getCell(0, 0)]);
+});
+
+test('units pay their own terrain costs and avoid impassable terrain', () => {
+    loadGrid([
+        'PFFP',
+        'PMMP',
+        'PPPP'
+    ]);
+
+    const archer = createUnit('archer', 'player');
+    const knight = createUnit('knight', 'player');
+    placeUnit(archer, 0, 0);
+    placeUnit(knight, 2, 3);
+
+    // Archers move freely through forests
+    assert.equal(getCellMovementCost(archer, getCell(0, 1)), 1);
+    assert.equal(getCellMovementCost(knight, getCell(0, 1)), 3);
+    assert.equal(getCellMovementCost(archer, getCell(1, 1)), IMPASSABLE);
+
+    const path = findPath(getCell(0, 0), getCell(0, 3), archer);
+    assert.equal(getPathCost(path, archer), 3);
+    assert.ok(!path.some(cell => cell.terrain === 'mountains'));
+    assertConnected(path);
+});
+
+test('units can only reach cells within their remaining movement and not through others', () => {
+    loadGrid([
+        'PPPP',
+        'PPPP'
+    ]);
+
+    const soldier = createUnit('soldier', 'player');
+    const blocker = createUnit('soldier', 'ai');
+    placeUnit(soldier, 0, 0);
+    placeUnit(blocker, 0, 1);
+
+    const reachable = keys(getReachableCells(soldier));
+    assert.ok(reachable.includes('0,0'));
+    assert.ok(!reachable.includes('0,1'));
+    assert.ok(reachable.includes('1,1'));
+    assert.ok(!reachable.includes('0,3'));
+
+    soldier.movementRemaining = 0;
+    assert.deepEqual(keys(getReachableCells(soldier)), ['0,0']);
+});
+
+for (const orientation of Object.values(Orientation)) {
+    test(`${orientation} Dijkstra matches the reference distances and paths on random grids`, () => {
+        const random = createRandom(11);
+        for (let round = 0; round < 40; round++) {
+            loadGrid(randomGrid(random, 3 + Math.floor(random() * 6), 3 + Math.floor(random() * 6)), orientation);
+            const cells = allCells().filter(cell => cell.isVisible);
+            if (cells.length === 0) continue;
+
+            const start = cells[Math.floor(random() * cells.length)];
+            const canEnter = cell => cell.isVisible && cell.terrain !== 'water';
+            const getCost = cell => (cell.terrain === 'plains' ? 1 : 2);
+            const expected = relaxDistances(start, canEnter, getCost);
+            const nodes = runDijkstra(start, canEnter, getCost);
+
+            for (const cell of cells) {
+                const path = nodes.getPath(cell);
+                if (!expected.has(cell)) {
+                    assert.deepEqual(path, []);
+                    continue;
+                }
+
+                assert.equal(nodes.getNode(cell).score, expected.get(cell));
+                assert.equal(path[0], start);
+                assert.equal(path.at(-1), cell);
+                assertConnected(path);
+                assert.equal(path.slice(1).reduce((cost, step) => cost + getCost(step), 0), expected.get(cell));
+            }
+        }
+    });
+
+    test(`${orientation} ranges are the cells within as many steps on random grids`, () => {
+        const random = createRandom(13);
+        for (let round = 0; round < 40; round++) {
+            loadGrid(randomGrid(random, 3 + Math.floor(random() * 6), 3 + Math.floor(random() * 6)), orientation);
+            const cells = allCells().filter(cell => cell.isVisible);
+            if (cells.length === 0) continue;
+
+            const start = cells[Math.floor(random() * cells.length)];
+            const range = Math.floor(random() * 5);
+            const steps = relaxDistances(start, cell => cell.isVisible, () => 1);
+            const within = [...steps].filter(([, distance]) => distance <= range).map(([cell]) => cell);
+
+            assert.deepEqual(keys(getCellsInRange(start.rowIndex, start.cellIndex, range)), keys(within));
+            assert.deepEqual(keys(runDijkstra(start).getCellsWithin(range)), keys(within));
+        }
+    });
+}
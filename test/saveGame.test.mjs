@@ -0,0 +1,107 @@
+/**
+ * Tests for saving and loading games, old save formats included
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.mjs';
+import { config } from '../src/config.js';
+import { loadMap } from '../src/mapFormat.js';
+import { mapState } from '../src/mapState.js';
+import { RandomStream, random, seedRandom } from '../src/random.js';
+import { SAVE_FORMAT_VERSION, serializeGameState, deserializeGameState, saveToSlot, autosave } from '../src/saveGame.js';
+
+/**
+ * Get a small map with one unit per side
+ * @returns {import('../src/mapFormat.js').MapFile}
+ */
+function createMap() {
+    return {
+        version: 1,
+        name: 'Duel',
+        width: 3,
+        height: 1,
+        grid: [[1, 1, 1]],
+        terrain: [['P', 'P', 'P']],
+        units: [
+            { type: 'soldier', owner: 'player', row: 0, col: 0 },
+            { type: 'archer', owner: 'ai', row: 0, col: 2 }
+        ],
+        victory: [{ type: 'annihilation' }]
+    };
+}
+
+test('a saved game loads with its units as they were', () => {
+    config.ruleset = 'classic';
+    loadMap(createMap());
+    mapState.units[1].health = 2;
+    mapState.units[0].movementRemaining = 0;
+    const save = JSON.parse(JSON.stringify(serializeGameState()));
+
+    loadMap({ ...createMap(), units: [] });
+    deserializeGameState(save);
+    assert.equal(save.version, SAVE_FORMAT_VERSION);
+    assert.deepEqual(mapState.units.map(unit => [unit.type, unit.position.col, unit.health]), [
+        ['soldier', 0, mapState.units[0].maxHealth],
+        ['archer', 2, 2]
+    ]);
+    assert.equal(mapState.units[0].movementRemaining, 0);
+});
+
+test('version 1 saves with the units next to the map load their units', () => {
+    deserializeGameState({
+        version: 1,
+        map: { ...createMap(), units: [] },
+        units: [
+            { type: 'soldier', owner: 'player', row: 0, col: 1, health: 3, movementRemaining: 1, hasAttacked: true }
+        ],
+        currentTurn: 'player',
+        turnNumber: 4,
+        selectedUnit: -1
+    });
+
+    assert.equal(mapState.units.length, 1);
+    assert.deepEqual(mapState.units[0].position, { row: 0, col: 1 });
+    assert.equal(mapState.units[0].health, 3);
+    assert.equal(mapState.units[0].hasAttacked, true);
+    assert.equal(mapState.turnNumber, 4);
+});
+
+test('random streams missing from a save start over from its seed', () => {
+    loadMap(createMap());
+    seedRandom(42);
+    const expected = random(RandomStream.PRESENTATION);
+    random(RandomStream.GAME);
+    const save = JSON.parse(JSON.stringify(serializeGameState()));
+    delete save.random.streams[RandomStream.PRESENTATION];
+    const nextRoll = random(RandomStream.GAME);
+
+    seedRandom(7);
+    deserializeGameState(save);
+    assert.equal(random(RandomStream.PRESENTATION), expected);
+    // Streams in the save go on where they were
+    assert.equal(random(RandomStream.GAME), nextRoll);
+});
+
+test('saves of unknown versions or with missing units are rejected', () => {
+    loadMap(createMap());
+    const save = serializeGameState();
+
+    assert.throws(() => deserializeGameState({ ...save, version: SAVE_FORMAT_VERSION + 1 }), /Unsupported save version/);
+    assert.throws(() => deserializeGameState({ ...save, units: save.units.slice(1) }), /don't match/);
+});
+
+test('a full storage fails the save without throwing', (t) => {
+    loadMap(createMap());
+    const logError = t.mock.method(console, 'error', () => {});
+    globalThis.localStorage = {
+        getItem: () => null,
+        setItem: () => {
+            throw new DOMException('Storage is full', 'QuotaExceededError');
+        }
+    };
+    t.after(() => delete globalThis.localStorage);
+
+    assert.equal(saveToSlot('Full'), false);
+    assert.doesNotThrow(() => autosave('player'));
+    assert.equal(logError.mock.callCount(), 2);
+});
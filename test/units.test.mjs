@@ -0,0 +1,229 @@
+/**
+ * Tests for placing, removing and moving units and for passing the turn
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGrid } from './helpers.mjs';
+import { createUnit } from '../src/unit.js';
+import { StatusEffectType } from '../src/statusEffects.js';
+import { config } from '../src/config.js';
+import { isUnitVisibleTo } from '../src/visibility.js';
+import {
+    mapState,
+    getCell,
+    placeUnit,
+    removeUnit,
+    selectUnit,
+    moveUnit,
+    getReachableCells,
+    endTurn,
+    onTurnChange
+} from '../src/mapState.js';
+
+// Owners whose turns were announced, in order
+const announcedTurns = [];
+onTurnChange(currentTurn => announcedTurns.push(currentTurn));
+
+test('units are placed on free cells of the map only', () => {
+    loadGrid(['PP.', 'PPP']);
+    const first = createUnit('soldier', 'player');
+    const second = createUnit('archer', 'ai');
+
+    assert.equal(placeUnit(first, 0, 0), true);
+    assert.equal(getCell(0, 0).unit, first);
+    assert.deepEqual(first.position, { row: 0, col: 0 });
+
+    // Occupied, a hole and outside the grid
+    assert.equal(placeUnit(second, 0, 0), false);
+    assert.equal(placeUnit(second, 0, 2), false);
+    assert.equal(placeUnit(second, 3, 0), false);
+    assert.equal(getCell(0, 0).unit, first);
+    assert.deepEqual(mapState.units, [first]);
+    assert.deepEqual(second.position, { row: -1, col: -1 });
+});
+
+test('placing a unit again moves it and frees its old cell', () => {
+    loadGrid(['PPP']);
+    const unit = createUnit('soldier', 'player');
+
+    placeUnit(unit, 0, 0);
+    assert.equal(placeUnit(unit, 0, 2), true);
+    assert.equal(getCell(0, 0).unit, null);
+    assert.equal(getCell(0, 2).unit, unit);
+    assert.deepEqual(mapState.units, [unit]);
+});
+
+test('removing a unit clears its cell and the selection', () => {
+    loadGrid(['PPP']);
+    const unit = createUnit('soldier', 'player');
+    const other = createUnit('soldier', 'player');
+    placeUnit(unit, 0, 0);
+    placeUnit(other, 0, 1);
+    selectUnit(unit);
+
+    assert.equal(removeUnit(unit), true);
+    assert.equal(getCell(0, 0).unit, null);
+    assert.equal(mapState.selectedUnit, null);
+    assert.deepEqual(mapState.units, [other]);
+    assert.equal(getCell(0, 1).unit, other);
+
+    // A unit can only be removed once
+    assert.equal(removeUnit(unit), false);
+    assert.deepEqual(mapState.units, [other]);
+});
+
+test('removing a unit keeps another unit selected', () => {
+    loadGrid(['PPP']);
+    const unit = createUnit('soldier', 'player');
+    const other = createUnit('soldier', 'player');
+    placeUnit(unit, 0, 0);
+    placeUnit(other, 0, 1);
+    selectUnit(other);
+
+    removeUnit(unit);
+    assert.equal(mapState.selectedUnit, other);
+});
+
+test('moving costs the terrain of the cheapest path', () => {
+    loadGrid([
+        'PFPP',
+        'PPPP'
+    ]);
+    const knight = createUnit('knight', 'player');
+    placeUnit(knight, 0, 0);
+
+    // Through the forest costs a knight 4, around it 3
+    assert.equal(moveUnit(knight, 0, 2), true);
+    assert.equal(getCell(0, 0).unit, null);
+    assert.equal(getCell(0, 2).unit, knight);
+    assert.deepEqual(knight.position, { row: 0, col: 2 });
+    assert.equal(knight.movementRemaining, 0);
+    assert.equal(knight.hasMoved(), true);
+});
+
+test('units cannot move onto other units, holes or out of range', () => {
+    loadGrid([
+        'PPP.PPP',
+        'PPPPPPP'
+    ]);
+    const soldier = createUnit('soldier', 'player');
+    const blocker = createUnit('soldier', 'ai');
+    placeUnit(soldier, 0, 0);
+    placeUnit(blocker, 0, 1);
+
+    assert.equal(moveUnit(soldier, 0, 1), false);
+    assert.equal(moveUnit(soldier, 0, 3), false);
+    assert.equal(moveUnit(soldier, 0, 6), false);
+    assert.equal(moveUnit(soldier, 9, 9), false);
+    assert.equal(moveUnit(null, 1, 0), false);
+    assert.deepEqual(soldier.position, { row: 0, col: 0 });
+    assert.equal(soldier.movementRemaining, soldier.movement);
+    assert.equal(getCell(0, 0).unit, soldier);
+});
+
+test('units cannot enter impassable terrain', () => {
+    loadGrid(['PWP']);
+    const soldier = createUnit('soldier', 'player');
+    placeUnit(soldier, 0, 0);
+
+    assert.equal(moveUnit(soldier, 0, 1), false);
+    assert.equal(moveUnit(soldier, 0, 2), false);
+});
+
+test('ending the turn passes it on and resets the next player\'s units', () => {
+    loadGrid(['PPPP']);
+    const mine = createUnit('soldier', 'player');
+    const theirs = createUnit('soldier', 'ai');
+    placeUnit(mine, 0, 0);
+    placeUnit(theirs, 0, 3);
+    theirs.movementRemaining = 0;
+    theirs.hasAttacked = true;
+    theirs.movedThisTurn = true;
+    selectUnit(mine);
+    announcedTurns.length = 0;
+
+    endTurn();
+    assert.equal(mapState.currentTurn, 'ai');
+    assert.equal(mapState.turnNumber, 1);
+    assert.equal(mapState.selectedUnit, null);
+    assert.equal(theirs.movementRemaining, theirs.movement);
+    assert.equal(theirs.hasAttacked, false);
+    assert.equal(theirs.hasMoved(), false);
+
+    // A new turn number starts once every player had a turn
+    mine.movementRemaining = 0;
+    endTurn();
+    assert.equal(mapState.currentTurn, 'player');
+    assert.equal(mapState.turnNumber, 2);
+    assert.equal(mine.movementRemaining, mine.movement);
+    assert.deepEqual(announcedTurns, ['ai', 'player']);
+});
+
+test('ending the turn skips players without units', () => {
+    loadGrid(['PPPP']);
+    placeUnit(createUnit('soldier', 'player'), 0, 0);
+
+    endTurn();
+    assert.equal(mapState.currentTurn, 'player');
+    assert.equal(mapState.turnNumber, 2);
+});
+
+test('ending the turn ticks status effects and removes units they kill', () => {
+    loadGrid(['PPPP']);
+    const mine = createUnit('soldier', 'player');
+    const poisoned = createUnit('archer', 'ai');
+    const stunned = createUnit('soldier', 'ai');
+    placeUnit(mine, 0, 0);
+    placeUnit(poisoned, 0, 2);
+    placeUnit(stunned, 0, 3);
+    poisoned.health = 1;
+    poisoned.addStatusEffect(StatusEffectType.POISON, 2);
+    stunned.addStatusEffect(StatusEffectType.STUN, 2);
+
+    endTurn();
+    assert.ok(!mapState.units.includes(poisoned));
+    assert.equal(getCell(0, 2).unit, null);
+    assert.equal(mapState.casualties.ai, 1);
+
+    // Stunned units get no action this turn
+    assert.equal(stunned.canAttack(), false);
+    assert.equal(stunned.movementRemaining, 0);
+});
+
+test('multiplying modifiers apply once per stack', () => {
+    const unit = createUnit('soldier', 'player');
+    unit.addStatusEffect(StatusEffectType.POISON, 3);
+    unit.addStatusEffect(StatusEffectType.POISON, 3);
+    assert.equal(unit.statusEffects[0].stacks, 2);
+    assert.equal(unit.getModifierProduct('healingTaken'), 0.25);
+
+    unit.health = 1;
+    unit.heal(8);
+    assert.equal(unit.health, 3);
+});
+
+test('enemies hidden by fog leave no gap in the range and stop units bumping into them', () => {
+    loadGrid([
+        'PFPP',
+        'PPPP'
+    ]);
+    config.fogOfWar = true;
+    const knight = createUnit('knight', 'player');
+    const hidden = createUnit('soldier', 'ai');
+    placeUnit(knight, 0, 0);
+    placeUnit(hidden, 0, 2);
+    assert.equal(isUnitVisibleTo('player', hidden), false);
+
+    // The forest hides the soldier, its cell looks like any other
+    assert.ok(getReachableCells(knight).includes(getCell(0, 2)));
+
+    assert.equal(moveUnit(knight, 0, 2), true);
+    assert.deepEqual(knight.position, { row: 1, col: 1 });
+    assert.equal(getCell(1, 1).unit, knight);
+    assert.equal(getCell(0, 2).unit, hidden);
+    assert.equal(knight.movementRemaining, 1);
+    assert.equal(isUnitVisibleTo('player', hidden), true);
+
+    // Seen enemies block as before
+    assert.equal(moveUnit(knight, 0, 2), false);
+});